@@ -148,15 +148,22 @@ export default function Home() {
             <InlineCode>yarn-berry</InlineCode> - Yarn version 2.x, 3.x, 4.x
           </li>
           <li>
-            <InlineCode>deno</InlineCode> - When using{" "}
+            <InlineCode>deno</InlineCode> - Reads workspaces and{" "}
+            <InlineCode>npm:</InlineCode> / <InlineCode>jsr:</InlineCode>{" "}
+            imports from <InlineCode>deno.json</InlineCode>, as well as{" "}
             <InlineCode>package.json</InlineCode>
           </li>
         </UnorderedList>
         <P>
           You can configure <InlineCode>one-version</InlineCode> via either a{" "}
           <InlineCode>one-version.config.jsonc</InlineCode> or{" "}
-          <InlineCode>one-version.config.json</InlineCode> file. An example
-          configuration is provided below:
+          <InlineCode>one-version.config.json</InlineCode> file (as well as{" "}
+          <InlineCode>.ts</InlineCode>, <InlineCode>.mjs</InlineCode> and{" "}
+          <InlineCode>.cjs</InlineCode> config files, the{" "}
+          <InlineCode>"one-version"</InlineCode> key within your root{" "}
+          <InlineCode>package.json</InlineCode>, or a file passed with{" "}
+          <InlineCode>--config</InlineCode>). An example configuration is
+          provided below:
         </P>
 
         <Code lang="json">
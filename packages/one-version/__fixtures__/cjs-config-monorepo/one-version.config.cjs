@@ -0,0 +1,3 @@
+module.exports = {
+  overrides: { react: { "17.x": { workspaces: ["pkg-b"], reason: "Legacy" } } },
+};
@@ -0,0 +1,8 @@
+export default async function config({ rootDirectory }) {
+  return {
+    packageManager: "npm",
+    overrides: {
+      react: { "17.x": { workspaces: ["pkg-b"], reason: "Legacy" } },
+    },
+  };
+}
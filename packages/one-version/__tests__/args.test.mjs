@@ -0,0 +1,77 @@
+import assert from "node:assert";
+import { describe, test } from "node:test";
+import { formatFlags, parseArgs } from "../utils/args.mjs";
+
+let flags = {
+  format: { type: "string", placeholder: "<format>", description: "Format" },
+  strategy: {
+    type: "string",
+    options: ["pin", "loose"],
+    description: "Strategy",
+  },
+  workspace: { type: "string", multiple: true, description: "Workspace" },
+  quiet: { type: "boolean", description: "Quiet" },
+  help: { type: "boolean", short: "h", description: "Help" },
+};
+
+describe("parseArgs", () => {
+  test("parses flags passed as --flag value and --flag=value", () => {
+    assert.deepEqual(
+      parseArgs(["--format", "json", "--strategy=pin", "--quiet"], flags),
+      {
+        values: { format: "json", strategy: "pin", quiet: true },
+        positionals: [],
+        errors: [],
+      },
+    );
+  });
+
+  test("collects flags that can be passed more than once", () => {
+    assert.deepEqual(
+      parseArgs(["--workspace", "pkg-a", "--workspace=apps/*"], flags).values,
+      { workspace: ["pkg-a", "apps/*"] },
+    );
+  });
+
+  test("parses short flags and positionals", () => {
+    assert.deepEqual(
+      parseArgs(["react@18.3.1", "-h", "--", "--quiet"], flags),
+      {
+        values: { help: true },
+        positionals: ["react@18.3.1", "--quiet"],
+        errors: [],
+      },
+    );
+  });
+
+  test("reports unknown flags with suggestions", () => {
+    assert.deepEqual(parseArgs(["--formt=json", "--verbose"], flags).errors, [
+      "Unknown flag: --formt. Did you mean --format?",
+      "Unknown flag: --verbose",
+    ]);
+    assert.deepEqual(parseArgs(["--constructor"], flags).errors, [
+      "Unknown flag: --constructor",
+    ]);
+  });
+
+  test("reports missing and invalid values", () => {
+    assert.deepEqual(
+      parseArgs(["--strategy", "pinn", "--quiet=yes", "--format"], flags)
+        .errors,
+      [
+        'Invalid value "pinn" for --strategy, expected one of: pin, loose. Did you mean "pin"?',
+        "The --quiet flag doesn't take a value",
+        "Missing value for --format",
+      ],
+    );
+  });
+});
+
+describe("formatFlags", () => {
+  test("aligns the descriptions of flags", () => {
+    assert.deepEqual(formatFlags({ format: flags.format, help: flags.help }), [
+      "  --format <format>  Format",
+      "  -h, --help         Help",
+    ]);
+  });
+});
@@ -0,0 +1,98 @@
+import assert from "node:assert";
+import { describe, test } from "node:test";
+import {
+  createBaseline,
+  isBaselined,
+  pruneBaseline,
+  validateBaseline,
+} from "../utils/baseline.mjs";
+
+let react17 = { workspace: "pkg-b", name: "react", specifier: "17.0.2" };
+let react18 = { workspace: "pkg-a", name: "react", specifier: "18.2.0" };
+let lodash = { workspace: "pkg-a", name: "lodash", specifier: "^4.17.21" };
+
+describe("createBaseline", () => {
+  test("sorts and deduplicates the entries", () => {
+    assert.deepEqual(
+      createBaseline({
+        duplicateDependencies: [react18, react17, react18],
+        unpinnedDependencies: [lodash],
+      }),
+      {
+        version: 1,
+        duplicateDependencies: [react17, react18],
+        unpinnedDependencies: [lodash],
+      },
+    );
+  });
+});
+
+describe("validateBaseline", () => {
+  test("accepts baselines", () => {
+    assert.equal(
+      validateBaseline(
+        createBaseline({
+          duplicateDependencies: [react17],
+          unpinnedDependencies: [],
+        }),
+      ),
+      undefined,
+    );
+  });
+
+  test("reports invalid baselines", () => {
+    assert.equal(validateBaseline([]), "Expected an object");
+    assert.equal(
+      validateBaseline({ version: 2 }),
+      "Unsupported version: 2, expected 1",
+    );
+    assert.equal(
+      validateBaseline({
+        version: 1,
+        duplicateDependencies: [{ name: "react" }],
+        unpinnedDependencies: [],
+      }),
+      'Expected "duplicateDependencies" to be a list of {workspace, name, specifier}',
+    );
+  });
+});
+
+describe("isBaselined", () => {
+  test("matches entries by workspace, name and specifier", () => {
+    let baseline = createBaseline({
+      duplicateDependencies: [react17],
+      unpinnedDependencies: [lodash],
+    });
+    assert.equal(isBaselined(baseline, "duplicateDependencies", react17), true);
+    assert.equal(
+      isBaselined(baseline, "duplicateDependencies", react18),
+      false,
+    );
+    assert.equal(isBaselined(baseline, "unpinnedDependencies", react17), false);
+  });
+});
+
+describe("pruneBaseline", () => {
+  test("splits out the entries that are no longer found", () => {
+    let baseline = createBaseline({
+      duplicateDependencies: [react17, react18],
+      unpinnedDependencies: [lodash],
+    });
+    assert.deepEqual(
+      pruneBaseline(baseline, {
+        duplicateDependencies: [],
+        unpinnedDependencies: [lodash],
+      }),
+      {
+        baseline: createBaseline({
+          duplicateDependencies: [],
+          unpinnedDependencies: [lodash],
+        }),
+        fixed: {
+          duplicateDependencies: [react17, react18],
+          unpinnedDependencies: [],
+        },
+      },
+    );
+  });
+});
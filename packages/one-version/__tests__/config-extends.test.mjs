@@ -0,0 +1,117 @@
+import assert from "node:assert";
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { after, describe, test } from "node:test";
+import { mergeConfigs, resolveExtends } from "../utils/config-extends.mjs";
+
+describe("mergeConfigs", () => {
+  test("replaces keys from the base config", () => {
+    assert.deepEqual(
+      mergeConfigs(
+        { packageManager: "pnpm", versionStrategy: "pin" },
+        { versionStrategy: "loose" },
+      ),
+      { packageManager: "pnpm", versionStrategy: "loose" },
+    );
+  });
+
+  test("merges overrides by dependency and version", () => {
+    assert.deepEqual(
+      mergeConfigs(
+        {
+          overrides: {
+            react: { "17.x": ["legacy-app"], "16.x": ["old-app"] },
+            lodash: { "3.x": ["*"] },
+          },
+        },
+        {
+          overrides: {
+            react: { "17.x": { workspaces: ["pkg-b"], reason: "Migrating" } },
+            vue: { "2.x": ["pkg-c"] },
+          },
+        },
+      ),
+      {
+        overrides: {
+          react: {
+            "17.x": { workspaces: ["pkg-b"], reason: "Migrating" },
+            "16.x": ["old-app"],
+          },
+          lodash: { "3.x": ["*"] },
+          vue: { "2.x": ["pkg-c"] },
+        },
+      },
+    );
+  });
+
+  test("concatenates rules and dependency policies", () => {
+    assert.deepEqual(
+      mergeConfigs(
+        {
+          rules: [{ dependencies: ["@types/*"], strategy: "caret-only" }],
+          bannedDependencies: [{ name: "moment" }],
+        },
+        {
+          rules: [{ dependencies: ["@types/node"], strategy: "pin" }],
+          bannedDependencies: [{ name: "request" }],
+          allowedDependencies: [{ name: "react" }],
+        },
+      ),
+      {
+        rules: [
+          { dependencies: ["@types/*"], strategy: "caret-only" },
+          { dependencies: ["@types/node"], strategy: "pin" },
+        ],
+        bannedDependencies: [{ name: "moment" }, { name: "request" }],
+        allowedDependencies: [{ name: "react" }],
+      },
+    );
+  });
+});
+
+describe("resolveExtends", () => {
+  let tempDir = mkdtempSync(path.join(tmpdir(), "one-version-"));
+  let files = {
+    "one-version.config.json": "{}",
+    "configs/base.json": "{}",
+    "node_modules/@acme/one-version-config/package.json": JSON.stringify({
+      name: "@acme/one-version-config",
+      main: "index.json",
+    }),
+    "node_modules/@acme/one-version-config/index.json": "{}",
+    "node_modules/@acme/one-version-config/strict.json": "{}",
+  };
+  for (let [filePath, contents] of Object.entries(files)) {
+    mkdirSync(path.dirname(path.join(tempDir, filePath)), { recursive: true });
+    writeFileSync(path.join(tempDir, filePath), contents);
+  }
+  let options = {
+    configPath: path.join(tempDir, "configs", "base.json"),
+    rootDirectory: tempDir,
+  };
+
+  after(() => {
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test("resolves relative paths from the extending config", () => {
+    assert.equal(
+      resolveExtends("../one-version.config.json", options),
+      path.join(tempDir, "one-version.config.json"),
+    );
+    assert.equal(resolveExtends("./missing.json", options), undefined);
+  });
+
+  test("resolves packages through node_modules from the root directory", () => {
+    assert.equal(
+      resolveExtends("@acme/one-version-config", options),
+      path.join(tempDir, "node_modules/@acme/one-version-config/index.json"),
+    );
+    assert.equal(
+      resolveExtends("@acme/one-version-config/strict.json", options),
+      path.join(tempDir, "node_modules/@acme/one-version-config/strict.json"),
+    );
+    assert.equal(resolveExtends("@acme/missing-config", options), undefined);
+  });
+});
@@ -0,0 +1,138 @@
+import assert from "node:assert";
+import { readFileSync } from "node:fs";
+import { describe, test } from "node:test";
+import {
+  getSuggestion,
+  parseConfig,
+  validateConfig,
+} from "../utils/config-validation.mjs";
+
+let schema = JSON.parse(
+  readFileSync(new URL("../schema.json", import.meta.url), "utf8"),
+);
+
+describe("config validation", () => {
+  test("the published schema matches the package's schema", () => {
+    assert.deepEqual(
+      JSON.parse(
+        readFileSync(
+          new URL("../../../apps/docs/public/schema.json", import.meta.url),
+          "utf8",
+        ),
+      ),
+      schema,
+    );
+  });
+
+  test("suggests close matches", () => {
+    let candidates = ["versionStrategy", "duplicateStrategy", "overrides"];
+    assert.equal(
+      getSuggestion("versionStratgy", candidates),
+      "versionStrategy",
+    );
+    assert.equal(getSuggestion("override", candidates), "overrides");
+    assert.equal(getSuggestion("lockfile", candidates), undefined);
+  });
+
+  test("accepts valid configs", () => {
+    assert.deepEqual(
+      validateConfig(
+        {
+          $schema: "https://one-version.vercel.app/schema.json",
+          versionStrategy: "pin",
+          overrides: {
+            react: {
+              "17.x": ["pkg-a"],
+              "^16": { workspaces: ["pkg-b"], expires: "2025-06-30" },
+            },
+          },
+          rules: [{ dependencies: ["@types/*"], strategy: "loose" }],
+        },
+        schema,
+      ),
+      [],
+    );
+  });
+
+  test("reports unknown properties, types and enum values", () => {
+    assert.deepEqual(
+      validateConfig(
+        {
+          versionStratgy: "pin",
+          duplicateStrategy: "semver",
+          includeRoot: "yes",
+          overrides: { react: { "17.x": { reason: "legacy" } } },
+          rules: [{ strategy: "lose" }],
+        },
+        schema,
+      ),
+      [
+        {
+          jsonPath: ["versionStratgy"],
+          atKey: true,
+          message:
+            'Unknown property "versionStratgy". Did you mean "versionStrategy"?',
+        },
+        {
+          jsonPath: ["duplicateStrategy"],
+          message:
+            'Invalid value "semver" for "duplicateStrategy", expected one of: "exact", "intersecting", "same-major"',
+        },
+        {
+          jsonPath: ["includeRoot"],
+          message: 'Expected "includeRoot" to be a boolean',
+        },
+        {
+          jsonPath: ["overrides", "react", "17.x"],
+          message:
+            'Missing required property "workspaces" within "overrides.react.17.x"',
+        },
+        {
+          jsonPath: ["rules", 0, "strategy"],
+          message:
+            'Invalid value "lose" for "rules.0.strategy", expected one of: "pin", "loose", "tilde-only", "caret-only", "major-only". Did you mean "loose"?',
+        },
+      ],
+    );
+  });
+
+  test("locates errors within the text", () => {
+    let { errors } = parseConfig(
+      `{
+  // pin everything
+  "versionStratgy": "pin",
+  "format": "xml"
+}`,
+      schema,
+    );
+
+    assert.deepEqual(errors, [
+      {
+        line: 3,
+        column: 3,
+        message:
+          'Unknown property "versionStratgy". Did you mean "versionStrategy"?',
+      },
+      {
+        line: 4,
+        column: 13,
+        message:
+          'Invalid value "xml" for "format", expected one of: "text", "json", "sarif", "junit"',
+      },
+    ]);
+  });
+
+  test("locates syntax errors", () => {
+    let { errors } = parseConfig(
+      `{
+  "versionStrategy": "pin"
+  "format": "json",
+}`,
+      schema,
+    );
+
+    assert.deepEqual(errors, [
+      { line: 3, column: 3, message: "Syntax error: comma expected" },
+    ]);
+  });
+});
@@ -0,0 +1,77 @@
+import assert from "node:assert";
+import { execFileSync } from "node:child_process";
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { after, describe, test } from "node:test";
+import { getChangedFiles, readFileAtRef } from "../utils/git.mjs";
+
+describe("git", () => {
+  let tempDir = mkdtempSync(path.join(tmpdir(), "one-version-"));
+  let cwd = path.join(tempDir, "repo");
+  let git = (...args) =>
+    execFileSync("git", args, { cwd: tempDir, stdio: "pipe" });
+  let writeFile = (filePath, contents = "{}") => {
+    mkdirSync(path.dirname(path.join(tempDir, filePath)), { recursive: true });
+    writeFileSync(path.join(tempDir, filePath), contents);
+  };
+
+  git("init", "--quiet");
+  writeFile("repo/package.json");
+  writeFile("repo/packages/pkg-a/package.json");
+  writeFile("other/package.json");
+  git("add", "-A");
+  git(
+    "-c",
+    "user.name=test",
+    "-c",
+    "user.email=test@example.com",
+    "-c",
+    "commit.gpgsign=false",
+    "commit",
+    "--quiet",
+    "-m",
+    "base",
+  );
+  let base = git("rev-parse", "HEAD").toString().trim();
+
+  after(() => {
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test("lists changed and untracked files within the directory", () => {
+    writeFile("repo/packages/pkg-a/package.json", '{"name":"pkg-a"}');
+    writeFile("repo/packages/pkg-b/package.json");
+    writeFile("other/package.json", '{"name":"other"}');
+
+    let changes = getChangedFiles({ cwd, ref: "HEAD" });
+    assert.equal(changes.base, base);
+    assert.deepEqual(changes.files.sort(), [
+      "packages/pkg-a/package.json",
+      "packages/pkg-b/package.json",
+    ]);
+  });
+
+  test("throws for unknown refs", () => {
+    assert.throws(() => getChangedFiles({ cwd, ref: "missing-ref" }));
+  });
+
+  test("reads files at a ref", () => {
+    assert.equal(
+      readFileAtRef({
+        cwd,
+        ref: base,
+        filePath: "packages/pkg-a/package.json",
+      }),
+      "{}",
+    );
+    assert.equal(
+      readFileAtRef({
+        cwd,
+        ref: base,
+        filePath: "packages/pkg-b/package.json",
+      }),
+      undefined,
+    );
+  });
+});
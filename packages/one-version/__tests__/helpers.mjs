@@ -0,0 +1,227 @@
+import { execFileSync } from "node:child_process";
+import {
+  cpSync,
+  mkdirSync,
+  mkdtempSync,
+  readFileSync,
+  rmSync,
+  writeFileSync,
+} from "node:fs";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { after } from "node:test";
+import { fileURLToPath } from "node:url";
+import { start } from "../one-version.mjs";
+
+/**
+ * Shared helpers for the integration tests, which run `one-version` against
+ * temporary repos (removed once every test within the file has finished)
+ */
+
+let fixturesDirectory = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "..",
+  "__fixtures__",
+);
+
+/** @type {Array<string>} */
+let tempDirs = [];
+
+after(() => {
+  for (let tempDir of tempDirs) {
+    rmSync(tempDir, { recursive: true, force: true });
+  }
+});
+
+/**
+ * @returns {string}
+ */
+export function createTempDir() {
+  let tempDir = mkdtempSync(path.join(tmpdir(), "one-version-"));
+  tempDirs.push(tempDir);
+  return tempDir;
+}
+
+/**
+ * @param {string} name - The directory within `__fixtures__`
+ * @returns {string}
+ */
+export function getFixture(name) {
+  return path.join(fixturesDirectory, name);
+}
+
+/**
+ * Copies a fixture to a temporary directory, for tests that change files
+ *
+ * @param {string} name - The directory within `__fixtures__`
+ * @returns {string}
+ */
+export function copyFixture(name) {
+  let tempDir = createTempDir();
+  cpSync(getFixture(name), tempDir, { recursive: true });
+  return tempDir;
+}
+
+/**
+ * Writes a map of relative file paths to contents, objects are written as
+ * formatted JSON
+ *
+ * @param {string} rootDirectory
+ * @param {Record<string, string | object>} files
+ */
+export function writeFiles(rootDirectory, files) {
+  for (let [filePath, contents] of Object.entries(files)) {
+    let absolutePath = path.join(rootDirectory, filePath);
+    mkdirSync(path.dirname(absolutePath), { recursive: true });
+    writeFileSync(
+      absolutePath,
+      typeof contents === "string"
+        ? contents
+        : JSON.stringify(contents, null, 2),
+    );
+  }
+}
+
+/**
+ * @param {string} rootDirectory
+ * @param {string} filePath
+ * @param {unknown} contents
+ */
+export function writeJSON(rootDirectory, filePath, contents) {
+  writeFiles(rootDirectory, { [filePath]: JSON.stringify(contents, null, 2) });
+}
+
+/**
+ * @param {string} rootDirectory
+ * @param {string} filePath
+ * @returns {any}
+ */
+export function readJSON(rootDirectory, filePath) {
+  return JSON.parse(readFileSync(path.join(rootDirectory, filePath), "utf8"));
+}
+
+/**
+ * Creates a temporary repo from a map of relative file paths to contents
+ *
+ * @param {Record<string, string | object>} files
+ * @returns {string}
+ */
+export function createRepo(files) {
+  let tempDir = createTempDir();
+  writeFiles(tempDir, files);
+  return tempDir;
+}
+
+/**
+ * Creates a temporary npm repo with a workspace under `libs/<name>` for each
+ * entry of `workspaces`
+ *
+ * @param {object} options
+ * @param {object} [options.config] - Merged into `{ packageManager: "npm" }`
+ * @param {object} [options.rootPackageJSON] - Merged into `{ workspaces: ["libs/*"] }`
+ * @param {Record<string, object>} options.workspaces - The `package.json` of each workspace, without its `name`
+ * @param {Record<string, string | object>} [options.files] - Any other files
+ * @returns {string}
+ */
+export function createWorkspacesRepo({
+  config,
+  rootPackageJSON,
+  workspaces,
+  files,
+}) {
+  return createRepo({
+    "one-version.config.json": { packageManager: "npm", ...config },
+    "package.json": { workspaces: ["libs/*"], ...rootPackageJSON },
+    ...Object.fromEntries(
+      Object.entries(workspaces).map(([name, manifest]) => [
+        `libs/${name}/package.json`,
+        { name, ...manifest },
+      ]),
+    ),
+    ...files,
+  });
+}
+
+/**
+ * Commits every file within the directory to a new git repo
+ *
+ * @param {string} rootDirectory
+ */
+export function commitAll(rootDirectory) {
+  let git = (/** @type {Array<string>} */ ...args) =>
+    execFileSync("git", args, { cwd: rootDirectory, stdio: "pipe" });
+  git("init", "--quiet");
+  git("add", "-A");
+  git(
+    "-c",
+    "user.name=test",
+    "-c",
+    "user.email=test@example.com",
+    "-c",
+    "commit.gpgsign=false",
+    "commit",
+    "--quiet",
+    "-m",
+    "base",
+  );
+}
+
+/**
+ * Collects what's logged, with each call joined into a single line
+ */
+export function createLogger() {
+  /** @type {Array<string>} */
+  let logs = [];
+  /** @type {Array<string>} */
+  let errors = [];
+  return {
+    logs,
+    errors,
+    logger: {
+      log(/** @type {Array<unknown>} */ ...args) {
+        logs.push(args.join(" "));
+      },
+      error(/** @type {Array<unknown>} */ ...args) {
+        errors.push(args.join(" "));
+      },
+    },
+  };
+}
+
+/**
+ * Runs the CLI within a directory
+ *
+ * @param {string} rootDirectory
+ * @param {Array<string>} args
+ * @param {object} [options] - Passed along to `start`, e.g. `signal`
+ */
+export async function run(rootDirectory, args, options = {}) {
+  let { logs, errors, logger } = createLogger();
+  let { statusCode } = await start({
+    rootDirectory,
+    logger,
+    args,
+    ...options,
+  });
+  return { statusCode, logs, errors };
+}
+
+/**
+ * Runs `one-version check --format json`, parsing the report
+ *
+ * @param {string} rootDirectory
+ * @param {Array<string>} [args] - Additional flags
+ */
+export async function checkJSON(rootDirectory, args = []) {
+  let { statusCode, logs, errors } = await run(rootDirectory, [
+    "check",
+    "--format",
+    "json",
+    ...args,
+  ]);
+  return {
+    statusCode,
+    report: logs.length > 0 ? JSON.parse(logs.join("\n")) : undefined,
+    errors,
+  };
+}
@@ -0,0 +1,160 @@
+import assert from "node:assert";
+import { describe, test } from "node:test";
+import {
+  checkJSON,
+  createRepo,
+  readJSON,
+  run,
+  writeJSON,
+} from "../helpers.mjs";
+
+describe("baseline", () => {
+  /**
+   * A repo with existing drift: pkg-a and pkg-b depend on different versions
+   * of react, and pkg-a on a range of lodash
+   */
+  let repoFiles = {
+    "package.json": { name: "root", workspaces: ["packages/*"] },
+    "one-version.config.json": {
+      packageManager: "yarn-berry",
+      versionStrategy: "pin",
+    },
+    "packages/pkg-a/package.json": {
+      name: "pkg-a",
+      dependencies: { react: "18.2.0", lodash: "^4.17.21" },
+    },
+    "packages/pkg-b/package.json": {
+      name: "pkg-b",
+      dependencies: { react: "17.0.2" },
+    },
+  };
+  test("records the existing findings", async () => {
+    let tempDir = createRepo(repoFiles);
+    let { statusCode, logs } = await run(tempDir, ["baseline"]);
+    assert.equal(statusCode, 0);
+    assert.deepEqual(logs, [
+      "Wrote 2 duplicate and 1 unpinned dependencies to .one-version-baseline.json, `one-version check` will only fail on new ones",
+    ]);
+    assert.deepEqual(readJSON(tempDir, ".one-version-baseline.json"), {
+      version: 1,
+      duplicateDependencies: [
+        { workspace: "pkg-b", name: "react", specifier: "17.0.2" },
+        { workspace: "pkg-a", name: "react", specifier: "18.2.0" },
+      ],
+      unpinnedDependencies: [
+        { workspace: "pkg-a", name: "lodash", specifier: "^4.17.21" },
+      ],
+    });
+
+    ({ statusCode, logs } = await run(tempDir, ["check"]));
+    assert.equal(statusCode, 0);
+    assert.ok(logs.join("\n").includes("✨ One Version Rule Success"));
+  });
+
+  test("fails on findings that aren't within the baseline", async () => {
+    let tempDir = createRepo(repoFiles);
+    await run(tempDir, ["baseline"]);
+    writeJSON(tempDir, "packages/pkg-c/package.json", {
+      name: "pkg-c",
+      dependencies: { react: "16.14.0", "left-pad": "^1.3.0" },
+    });
+
+    let { statusCode, logs } = await run(tempDir, [
+      "check",
+      "--format",
+      "json",
+    ]);
+    assert.equal(statusCode, 1);
+    let report = JSON.parse(logs.join("\n"));
+    // the duplicate is still reported in full, for context
+    assert.deepEqual(
+      report.duplicateDependencies.map(({ name }) => name),
+      ["react"],
+    );
+    assert.deepEqual(report.unpinnedDependencies, [
+      { workspace: "pkg-c", name: "left-pad", specifier: "^1.3.0" },
+    ]);
+  });
+
+  test("reports and removes fixed entries", async () => {
+    let tempDir = createRepo(repoFiles);
+    await run(tempDir, ["baseline"]);
+    writeJSON(tempDir, "packages/pkg-a/package.json", {
+      name: "pkg-a",
+      dependencies: { react: "18.2.0", lodash: "4.17.21" },
+    });
+
+    let { statusCode, logs } = await run(tempDir, ["check"]);
+    assert.equal(statusCode, 0);
+    let output = logs.join("\n");
+    assert.ok(
+      output.includes(
+        "Found entries within .one-version-baseline.json that have been fixed",
+      ),
+    );
+    assert.ok(output.includes("lodash@^4.17.21: pkg-a (unpinned)"));
+    assert.equal(
+      readJSON(tempDir, ".one-version-baseline.json").unpinnedDependencies
+        .length,
+      1,
+    );
+
+    let errors;
+    ({ statusCode, logs, errors } = await run(tempDir, [
+      "check",
+      "--update-baseline",
+    ]));
+    assert.equal(statusCode, 0);
+    assert.equal(
+      logs[0],
+      "Removed 1 fixed entries from .one-version-baseline.json",
+    );
+    assert.deepEqual(errors, []);
+    assert.deepEqual(
+      readJSON(tempDir, ".one-version-baseline.json").unpinnedDependencies,
+      [],
+    );
+  });
+
+  test("leaves the notice out of reports meant to be parsed", async () => {
+    let tempDir = createRepo(repoFiles);
+    await run(tempDir, ["baseline"]);
+    writeJSON(tempDir, "packages/pkg-a/package.json", {
+      name: "pkg-a",
+      dependencies: { react: "18.2.0", lodash: "4.17.21" },
+    });
+
+    let { statusCode, report, errors } = await checkJSON(tempDir, [
+      "--update-baseline",
+    ]);
+    assert.equal(statusCode, 0);
+    assert.deepEqual(errors, []);
+    assert.deepEqual(report.unpinnedDependencies, []);
+    assert.deepEqual(
+      readJSON(tempDir, ".one-version-baseline.json").unpinnedDependencies,
+      [],
+    );
+  });
+
+  test("fails to update a missing baseline", async () => {
+    let tempDir = createRepo(repoFiles);
+    let { statusCode, errors } = await run(tempDir, [
+      "check",
+      "--update-baseline",
+    ]);
+    assert.equal(statusCode, 1);
+    assert.deepEqual(errors, [
+      "Could not find .one-version-baseline.json to update, create one with `one-version baseline`",
+    ]);
+  });
+
+  test("fails on invalid baselines", async () => {
+    let tempDir = createRepo(repoFiles);
+    writeJSON(tempDir, ".one-version-baseline.json", { version: 2 });
+    let { statusCode, errors } = await run(tempDir, ["check"]);
+    assert.equal(statusCode, 1);
+    assert.deepEqual(errors, [
+      "Invalid .one-version-baseline.json - Unsupported version: 2, expected 1",
+    ]);
+  });
+});
@@ -0,0 +1,105 @@
+import assert from "node:assert";
+import { describe, test } from "node:test";
+import {
+  checkJSON,
+  copyFixture,
+  getFixture,
+  readJSON,
+  run,
+  writeJSON,
+} from "../helpers.mjs";
+
+describe("catalogs", () => {
+  test("resolves catalog references before checking", async () => {
+    let targetDir = getFixture("pnpm-catalog-monorepo");
+
+    let { statusCode, logs } = await run(targetDir, ["check"]);
+
+    // `catalog:` resolves to the same (pinned) version as the literal versions
+    assert.equal(statusCode, 0);
+    assert.match(logs[0], /One Version Rule Success/);
+  });
+
+  test("reports conflicts with the resolved catalog version", async () => {
+    let tempDir = copyFixture("pnpm-catalog-monorepo");
+    writeJSON(tempDir, "libs/pkg-b/package.json", {
+      name: "pkg-b",
+      dependencies: { react: "18.2.0" },
+    });
+    let { statusCode, report } = await checkJSON(tempDir);
+
+    assert.equal(statusCode, 1);
+    assert.deepEqual(report.duplicateDependencies, [
+      {
+        name: "react",
+        specifiers: [
+          { specifier: "18.3.1", dependencyTypes: { direct: ["pkg-a"] } },
+          { specifier: "18.2.0", dependencyTypes: { direct: ["pkg-b"] } },
+        ],
+        conflicts: [
+          {
+            specifiers: ["18.3.1", "18.2.0"],
+            reason: "18.3.1 and 18.2.0 are different specifiers",
+          },
+        ],
+      },
+    ]);
+  });
+
+  test("requires catalog references with requireCatalog", async () => {
+    let tempDir = copyFixture("pnpm-catalog-monorepo");
+    writeJSON(tempDir, "one-version.config.jsonc", {
+      packageManager: "pnpm",
+      requireCatalog: true,
+    });
+    let { statusCode, logs } = await run(tempDir, ["check"]);
+
+    assert.equal(statusCode, 1);
+    assert.match(logs[0], /should use the catalog: protocol/);
+    assert.match(logs[0], /pkg-b:\n {2}react@18\.3\.1\n {2}typescript@5\.4\.5/);
+  });
+
+  test("reads bun catalogs from package.json", async () => {
+    let targetDir = getFixture("bun-catalog-monorepo");
+
+    let { statusCode, report } = await checkJSON(targetDir);
+
+    assert.equal(statusCode, 1);
+    assert.deepEqual(report.duplicateDependencies, [
+      {
+        name: "react",
+        specifiers: [
+          {
+            specifier: "^18.3.1",
+            dependencyTypes: { direct: ["pkg-a", "pkg-b"] },
+          },
+          { specifier: "^17.0.2", dependencyTypes: { direct: ["pkg-c"] } },
+        ],
+        conflicts: [
+          {
+            specifiers: ["^18.3.1", "^17.0.2"],
+            reason: "^18.3.1 and ^17.0.2 are different specifiers",
+          },
+        ],
+      },
+    ]);
+  });
+
+  test("fix rewrites conflicting versions to the catalog reference", async () => {
+    let tempDir = copyFixture("pnpm-catalog-monorepo");
+    writeJSON(tempDir, "libs/pkg-b/package.json", {
+      name: "pkg-b",
+      dependencies: { react: "19.0.0" },
+    });
+    let { statusCode, logs } = await run(tempDir, ["fix"]);
+
+    assert.equal(statusCode, 0);
+    assert.match(logs[0], /pkg-b \(dependencies\): react 19\.0\.0 -> catalog:/);
+    assert.deepEqual(
+      readJSON(tempDir, "libs/pkg-b/package.json").dependencies,
+      {
+        react: "catalog:",
+      },
+    );
+  });
+});
@@ -0,0 +1,143 @@
+import assert from "node:assert";
+import path from "node:path";
+import { describe, test } from "node:test";
+import { getFixture, run } from "../helpers.mjs";
+
+describe("CLI flags", () => {
+  test("runs within the directory passed with --cwd", async () => {
+    let targetDir = getFixture("cli-flags-monorepo");
+
+    let { statusCode, logs } = await run(path.dirname(targetDir), [
+      "check",
+      "--format=json",
+      "--cwd",
+      path.basename(targetDir),
+    ]);
+
+    assert.equal(statusCode, 1);
+    assert.deepEqual(
+      JSON.parse(logs[0]).workspaces.map(({ name }) => name),
+      ["pkg-a", "pkg-b", "pkg-c"],
+    );
+  });
+
+  test("applies flags over config values", async () => {
+    let targetDir = getFixture("cli-flags-monorepo");
+
+    let { logs } = await run(targetDir, [
+      "check",
+      "--format",
+      "json",
+      "--package-manager",
+      "npm",
+      "--strategy=pin",
+    ]);
+    let report = JSON.parse(logs[0]);
+
+    assert.equal(report.config.packageManager, "npm");
+    assert.equal(report.config.versionStrategy, "pin");
+    assert.deepEqual(report.unpinnedDependencies, [
+      { workspace: "pkg-c", name: "lodash", specifier: "^4.17.21" },
+    ]);
+  });
+
+  test("only reports findings for the workspaces passed with --workspace", async () => {
+    let targetDir = getFixture("cli-flags-monorepo");
+
+    let { statusCode, logs } = await run(targetDir, [
+      "check",
+      "--format",
+      "json",
+      "--strategy",
+      "pin",
+      "--workspace",
+      "pkg-c",
+    ]);
+    let report = JSON.parse(logs[0]);
+
+    assert.equal(statusCode, 1);
+    assert.deepEqual(report.duplicateDependencies, []);
+    assert.equal(report.unpinnedDependencies.length, 1);
+
+    // duplicates are detected across the repo, but reported for pkg-a
+    ({ logs } = await run(targetDir, [
+      "check",
+      "--format=json",
+      "--workspace=pkg-a",
+    ]));
+    assert.deepEqual(
+      JSON.parse(logs[0]).duplicateDependencies.map(({ name }) => name),
+      ["react"],
+    );
+  });
+
+  test("fails when --workspace doesn't match any workspace", async () => {
+    let targetDir = getFixture("cli-flags-monorepo");
+
+    let { statusCode, errors } = await run(targetDir, [
+      "check",
+      "--workspace",
+      "pkg-z",
+    ]);
+
+    assert.equal(statusCode, 1);
+    assert.deepEqual(errors, [
+      "No workspaces match --workspace pkg-z, expected one of: root, pkg-a, pkg-b, pkg-c",
+    ]);
+  });
+
+  test("doesn't log passing checks with --quiet", async () => {
+    let targetDir = getFixture("cli-flags-monorepo");
+
+    let passing = await run(targetDir, [
+      "check",
+      "--quiet",
+      "--workspace",
+      "pkg-c",
+    ]);
+    let failing = await run(targetDir, ["check", "--quiet"]);
+
+    assert.equal(passing.statusCode, 0);
+    assert.deepEqual(passing.logs, []);
+    assert.equal(failing.statusCode, 1);
+    assert.match(failing.logs[0], /One Version Rule Failure/);
+  });
+
+  test("reports unknown flags with suggestions", async () => {
+    let targetDir = getFixture("cli-flags-monorepo");
+
+    let { statusCode, errors } = await run(targetDir, ["check", "--qiet"]);
+
+    assert.equal(statusCode, 1);
+    assert.deepEqual(errors, [
+      "Unknown flag: --qiet. Did you mean --quiet?",
+      "Run `one-version help check` for the available flags",
+    ]);
+  });
+
+  test("logs the help for a command", async () => {
+    let [fromCommand, fromFlag] = await Promise.all([
+      run(process.cwd(), ["help", "fix"]),
+      run(process.cwd(), ["fix", "--help"]),
+    ]);
+
+    assert.equal(fromCommand.statusCode, 0);
+    assert.deepEqual(fromCommand.logs, fromFlag.logs);
+    assert.match(fromCommand.logs[0], /^one-version fix - /);
+    assert.ok(fromCommand.logs.some((log) => log.includes("--dry-run")));
+  });
+
+  test("colors the text output unless passed --no-color", async () => {
+    let targetDir = getFixture("cli-flags-monorepo");
+
+    let colored = await run(targetDir, ["check"], { color: true });
+    let uncolored = await run(targetDir, ["check", "--no-color"], {
+      color: true,
+    });
+
+    assert.ok(
+      colored.logs[0].includes("\u001b[31m🚫 One Version Rule Failure"),
+    );
+    assert.ok(!uncolored.logs[0].includes("\u001b["));
+  });
+});
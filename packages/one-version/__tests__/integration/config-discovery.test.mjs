@@ -0,0 +1,126 @@
+import assert from "node:assert";
+import path from "node:path";
+import { describe, test } from "node:test";
+import {
+  checkJSON,
+  copyFixture,
+  getFixture,
+  readJSON,
+  run,
+  writeJSON,
+} from "../helpers.mjs";
+
+describe("config discovery", () => {
+  let override = {
+    react: { "17.x": { workspaces: ["pkg-b"], reason: "Legacy" } },
+  };
+
+  test("reads the config from the one-version key within package.json", async () => {
+    let targetDir = getFixture("package-json-config-monorepo");
+
+    let { statusCode, report } = await checkJSON(targetDir);
+
+    assert.equal(statusCode, 0);
+    assert.equal(report.configPath, "package.json");
+    assert.deepEqual(report.config.overrides, override);
+  });
+
+  test("reports invalid values with their location within package.json", async () => {
+    let targetDir = getFixture("invalid-package-json-config-monorepo");
+
+    let { statusCode, errors } = await checkJSON(targetDir);
+
+    assert.equal(statusCode, 1);
+    assert.equal(errors.length, 1);
+    assert.match(errors[0], /^package\.json:5:24 - Invalid value "pinned"/);
+  });
+
+  test("prefers JS config files, which may export an async function", async () => {
+    let targetDir = getFixture("js-config-monorepo");
+
+    let { statusCode, report } = await checkJSON(targetDir);
+
+    assert.equal(statusCode, 0);
+    assert.equal(report.configPath, "one-version.config.mjs");
+    assert.equal(report.config.packageManager, "npm");
+  });
+
+  test("reads CommonJS config files", async () => {
+    let targetDir = getFixture("cjs-config-monorepo");
+
+    let { statusCode, report } = await checkJSON(targetDir);
+
+    assert.equal(statusCode, 0);
+    assert.equal(report.configPath, "one-version.config.cjs");
+  });
+
+  test("validates JS config files", async () => {
+    let targetDir = getFixture("invalid-js-config-monorepo");
+
+    let { statusCode, errors } = await checkJSON(targetDir);
+
+    assert.equal(statusCode, 1);
+    assert.deepEqual(errors, [
+      'one-version.config.mjs - Unknown property "versionStratgy". Did you mean "versionStrategy"?',
+    ]);
+  });
+
+  test("uses the config passed with --config over the ones within the repo", async () => {
+    let targetDir = getFixture("config-flag-monorepo");
+
+    let { statusCode, report } = await checkJSON(targetDir, [
+      "--config",
+      "config/strict.json",
+    ]);
+
+    assert.equal(statusCode, 1);
+    assert.equal(report.configPath, path.join("config", "strict.json"));
+    assert.equal(report.config.versionStrategy, "pin");
+    assert.equal(report.config.overrides, undefined);
+  });
+
+  test("fails when the config passed with --config doesn't exist", async () => {
+    let targetDir = getFixture("npm-monorepo");
+
+    let { statusCode, errors } = await checkJSON(targetDir, [
+      "--config",
+      "missing.json",
+    ]);
+
+    assert.equal(statusCode, 1);
+    assert.deepEqual(errors, ["Could not find config file: missing.json"]);
+  });
+
+  test("reports a null configPath without a config", async () => {
+    let targetDir = getFixture("npm-monorepo");
+
+    let { report } = await checkJSON(targetDir);
+
+    assert.equal(report.configPath, null);
+  });
+
+  test("prunes stale overrides from the one-version key within package.json", async () => {
+    let tempDir = copyFixture("package-json-config-monorepo");
+    writeJSON(tempDir, "package.json", {
+      name: "root",
+      workspaces: ["packages/*"],
+      "one-version": {
+        overrides: {
+          ...override,
+          lodash: { "3.x": { workspaces: ["pkg-a"], reason: "Unused" } },
+        },
+      },
+    });
+
+    let { statusCode } = await run(tempDir, [
+      "overrides",
+      "--stale",
+      "--prune",
+    ]);
+
+    assert.equal(statusCode, 0);
+    assert.deepEqual(readJSON(tempDir, "package.json")["one-version"], {
+      overrides: override,
+    });
+  });
+});
@@ -0,0 +1,17 @@
+import assert from "node:assert";
+import { describe, test } from "node:test";
+import { getFixture, run } from "../helpers.mjs";
+
+describe("config validation", () => {
+  test("fails with the location of invalid config values", async () => {
+    let targetDir = getFixture("invalid-config-single-package");
+
+    let { statusCode, logs, errors } = await run(targetDir, ["check"]);
+
+    assert.equal(statusCode, 1);
+    assert.deepEqual(errors, [
+      'one-version.config.jsonc:4:3 - Unknown property "versionStratgy". Did you mean "versionStrategy"?',
+    ]);
+    assert.deepEqual(logs, []);
+  });
+});
@@ -0,0 +1,79 @@
+import assert from "node:assert";
+import { describe, test } from "node:test";
+import {
+  checkJSON,
+  copyFixture,
+  getFixture,
+  readJSON,
+  run,
+  writeJSON,
+} from "../helpers.mjs";
+
+describe("deno", () => {
+  test("checks import maps and package.json dependencies", async () => {
+    let { statusCode, report } = await checkJSON(getFixture("deno-monorepo"));
+
+    assert.equal(statusCode, 1);
+    assert.equal(report.config.packageManager, "deno");
+    assert.deepEqual(report.workspaces, [
+      { name: "@acme/pkg-a", path: "libs/pkg-a" },
+      { name: "@acme/pkg-b", path: "libs/pkg-b" },
+      { name: "pkg-c", path: "libs/pkg-c" },
+    ]);
+    // `jsr:@std/path` is declared with the same version in both workspaces
+    assert.deepEqual(report.duplicateDependencies, [
+      {
+        name: "react",
+        specifiers: [
+          {
+            specifier: "^18.3.1",
+            dependencyTypes: { import: ["@acme/pkg-a"] },
+          },
+          {
+            specifier: "18.3.1",
+            dependencyTypes: { import: ["@acme/pkg-b"], direct: ["pkg-c"] },
+          },
+        ],
+        conflicts: [
+          {
+            specifiers: ["^18.3.1", "18.3.1"],
+            reason: "^18.3.1 and 18.3.1 are different specifiers",
+          },
+        ],
+      },
+    ]);
+  });
+
+  test("checks that imports are pinned", async () => {
+    let tempDir = copyFixture("deno-monorepo");
+    writeJSON(tempDir, "one-version.config.json", { versionStrategy: "pin" });
+    let { report } = await checkJSON(tempDir);
+
+    assert.deepEqual(report.unpinnedDependencies, [
+      { workspace: "@acme/pkg-a", name: "react", specifier: "^18.3.1" },
+      {
+        workspace: "@acme/pkg-a",
+        name: "jsr:@std/path",
+        specifier: "^1.0.0",
+      },
+      {
+        workspace: "@acme/pkg-b",
+        name: "jsr:@std/path",
+        specifier: "^1.0.0",
+      },
+    ]);
+  });
+
+  test("fix rewrites the version within the import map", async () => {
+    let tempDir = copyFixture("deno-monorepo");
+    let { statusCode, logs } = await run(tempDir, ["fix"]);
+
+    assert.equal(statusCode, 0);
+    assert.match(logs[0], /^Updated 1 dependencies across 1 deno.json file:/);
+    let denoConfig = readJSON(tempDir, "libs/pkg-a/deno.json");
+    assert.deepEqual(denoConfig.imports, {
+      react: "npm:react@18.3.1",
+      "@std/path": "jsr:@std/path@^1.0.0",
+    });
+  });
+});
@@ -0,0 +1,90 @@
+import assert from "node:assert";
+import { describe, test } from "node:test";
+import { checkJSON, getFixture, run } from "../helpers.mjs";
+
+describe("dependency policies", () => {
+  test("reports banned dependencies", async () => {
+    let targetDir = getFixture("banned-dependencies-monorepo");
+
+    let { statusCode, report } = await checkJSON(targetDir);
+
+    assert.equal(statusCode, 1);
+    assert.deepEqual(report.policyViolations, [
+      {
+        rule: "banned-dependencies",
+        workspace: "pkg-a",
+        name: "moment",
+        specifier: "2.30.1",
+        type: "direct",
+        message: "Moment is in maintenance mode",
+      },
+      {
+        rule: "banned-dependencies",
+        workspace: "pkg-b",
+        name: "lodash",
+        specifier: "4.17.21",
+        type: "direct",
+        replacement: "lodash-es",
+      },
+      {
+        rule: "banned-dependencies",
+        workspace: "pkg-b",
+        name: "left-pad",
+        specifier: "git+https://github.com/acme/left-pad.git",
+        type: "direct",
+        message: "Publish the package instead",
+      },
+    ]);
+  });
+
+  test("reports banned dependencies within the text output", async () => {
+    let targetDir = getFixture("banned-dependency-text-monorepo");
+
+    let { logs } = await run(targetDir, ["check", "--format", "text"]);
+
+    assert.equal(
+      logs.join("\n"),
+      [
+        "You shall not pass!",
+        "🚫 One Version Rule Failure",
+        "Found banned dependencies:",
+        "",
+        "pkg-b:",
+        "  lodash@4.17.21 (suggested replacement: lodash-es)",
+      ].join("\n"),
+    );
+  });
+
+  test("reports dependencies missing from allowedDependencies", async () => {
+    let targetDir = getFixture("allowed-dependencies-monorepo");
+
+    let { statusCode, report } = await checkJSON(targetDir);
+
+    assert.equal(statusCode, 1);
+    // workspaces within the repo are always allowed
+    assert.deepEqual(report.policyViolations, [
+      {
+        rule: "unlisted-dependencies",
+        workspace: "pkg-a",
+        name: "vitest",
+        specifier: "^1.6.0",
+        type: "dev",
+      },
+      {
+        rule: "unlisted-dependencies",
+        workspace: "pkg-b",
+        name: "react",
+        specifier: ">=17",
+        type: "peer",
+      },
+    ]);
+  });
+
+  test("allows overridden dependencies", async () => {
+    let targetDir = getFixture("overridden-banned-dependency-monorepo");
+
+    let { statusCode } = await checkJSON(targetDir);
+
+    assert.equal(statusCode, 0);
+  });
+});
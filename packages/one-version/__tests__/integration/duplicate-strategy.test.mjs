@@ -0,0 +1,89 @@
+import assert from "node:assert";
+import { describe, test } from "node:test";
+import { checkJSON, getFixture, run } from "../helpers.mjs";
+
+describe("duplicateStrategy", () => {
+  test("intersecting allows ranges with a common version", async () => {
+    let targetDir = getFixture("intersecting-compatible-monorepo");
+
+    let { statusCode } = await checkJSON(targetDir);
+
+    assert.equal(statusCode, 0);
+  });
+
+  test("intersecting explains why ranges conflict", async () => {
+    let targetDir = getFixture("intersecting-incompatible-monorepo");
+
+    let { statusCode, report } = await checkJSON(targetDir);
+
+    assert.equal(statusCode, 1);
+    assert.deepEqual(report.duplicateDependencies[0].conflicts, [
+      {
+        specifiers: ["^18.2.0", "^17.0.2"],
+        reason: "no version satisfies both ^18.2.0 and ^17.0.2",
+      },
+      {
+        specifiers: ["18.3.1", "^17.0.2"],
+        reason: "no version satisfies both 18.3.1 and ^17.0.2",
+      },
+    ]);
+
+    let text = await run(targetDir, ["check", "--format", "text"]);
+    assert.match(
+      text.logs.join("\n"),
+      /\n {2}✗ no version satisfies both \^18\.2\.0 and \^17\.0\.2\n/,
+    );
+  });
+
+  test("same-major allows ranges within a major version", async () => {
+    let targetDir = getFixture("same-major-compatible-monorepo");
+
+    let { statusCode } = await checkJSON(targetDir);
+
+    assert.equal(statusCode, 0);
+  });
+
+  test("same-major explains which major versions are used", async () => {
+    let targetDir = getFixture("same-major-incompatible-monorepo");
+
+    let { report } = await checkJSON(targetDir);
+
+    assert.deepEqual(report.duplicateDependencies[0].conflicts, [
+      {
+        specifiers: ["^18.2.0", "18.3.1", "^17.0.2"],
+        reason:
+          "different major versions are used: 18 (^18.2.0, 18.3.1), 17 (^17.0.2)",
+      },
+    ]);
+  });
+
+  test("specifiers that aren't ranges are compared exactly", async () => {
+    let targetDir = getFixture("intersecting-tag-monorepo");
+
+    let { statusCode, report } = await checkJSON(targetDir);
+
+    assert.equal(statusCode, 1);
+    assert.deepEqual(report.duplicateDependencies[0].conflicts, [
+      {
+        specifiers: ["latest"],
+        reason:
+          "latest is not a semver range, so it can't be compared with ^18.2.0",
+      },
+    ]);
+  });
+
+  test("ranges no version satisfies conflict with same-major", async () => {
+    let targetDir = getFixture("same-major-unsatisfiable-monorepo");
+
+    let { statusCode, report } = await checkJSON(targetDir);
+
+    assert.equal(statusCode, 1);
+    assert.deepEqual(report.duplicateDependencies[0].conflicts, [
+      {
+        specifiers: [">2 <1"],
+        reason:
+          "no version satisfies >2 <1, so it can't be compared with ^3.0.0",
+      },
+    ]);
+  });
+});
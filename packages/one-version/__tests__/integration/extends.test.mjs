@@ -0,0 +1,143 @@
+import assert from "node:assert";
+import path from "node:path";
+import { describe, test } from "node:test";
+import {
+  checkJSON,
+  createRepo,
+  getFixture,
+  readJSON,
+  run,
+} from "../helpers.mjs";
+
+describe("extends", () => {
+  /**
+   * A repo where pkg-a and pkg-b depend on different versions of react
+   */
+  let repoFiles = {
+    "package.json": { name: "root", workspaces: ["packages/*"] },
+    "package-lock.json": "{}",
+    "packages/pkg-a/package.json": {
+      name: "pkg-a",
+      dependencies: { react: "^18.2.0" },
+    },
+    "packages/pkg-b/package.json": {
+      name: "pkg-b",
+      dependencies: { react: "^17.0.0" },
+    },
+  };
+
+  test("merges configs from installed packages and relative paths", async () => {
+    // node_modules can't be checked into a fixture
+    let tempDir = createRepo({
+      ...repoFiles,
+      "node_modules/@acme/one-version-config/package.json": {
+        name: "@acme/one-version-config",
+        main: "index.json",
+      },
+      "node_modules/@acme/one-version-config/index.json": {
+        versionStrategy: "pin",
+        overrides: { react: { "17.x": ["pkg-b"] } },
+        bannedDependencies: [{ name: "moment" }],
+      },
+      "configs/local.json": {
+        versionStrategy: "loose",
+        bannedDependencies: [{ name: "request" }],
+      },
+      "one-version.config.json": {
+        extends: ["@acme/one-version-config", "./configs/local.json"],
+        overrides: { lodash: { "3.x": ["pkg-a"] } },
+      },
+    });
+
+    let { statusCode, report } = await checkJSON(tempDir);
+    let { config } = report;
+
+    assert.equal(statusCode, 0);
+    assert.equal(config.versionStrategy, "loose");
+    assert.equal(config.extends, undefined);
+    assert.deepEqual(config.overrides, {
+      react: { "17.x": ["pkg-b"] },
+      lodash: { "3.x": ["pkg-a"] },
+    });
+    assert.deepEqual(config.bannedDependencies, [
+      { name: "moment" },
+      { name: "request" },
+    ]);
+  });
+
+  test("resolves extends within extended configs relative to their file", async () => {
+    let targetDir = getFixture("extends-nested-monorepo");
+
+    let { statusCode, report } = await checkJSON(targetDir);
+
+    assert.equal(statusCode, 0);
+    assert.deepEqual(report.config.overrides, {
+      react: { "17.x": ["pkg-b"] },
+    });
+  });
+
+  test("reports circular extends", async () => {
+    let targetDir = getFixture("extends-circular-monorepo");
+
+    let { statusCode, errors } = await checkJSON(targetDir);
+
+    assert.equal(statusCode, 1);
+    assert.deepEqual(errors, [
+      `Circular extends: one-version.config.json → ${path.join("configs", "base.json")} → one-version.config.json`,
+    ]);
+  });
+
+  test("reports extended configs that can't be resolved", async () => {
+    let targetDir = getFixture("extends-unresolved-monorepo");
+
+    let { statusCode, errors } = await checkJSON(targetDir);
+
+    assert.equal(statusCode, 1);
+    assert.deepEqual(errors, [
+      'Could not resolve "@acme/one-version-config" (extended by one-version.config.json)',
+    ]);
+  });
+
+  test("validates extended configs", async () => {
+    let targetDir = getFixture("extends-invalid-monorepo");
+
+    let { statusCode, errors } = await checkJSON(targetDir);
+
+    assert.equal(statusCode, 1);
+    assert.equal(errors.length, 1);
+    assert.match(
+      errors[0],
+      /^configs[\\/]base\.json:2:22 - Invalid value "pinned"/,
+    );
+  });
+
+  test("only prunes stale overrides from the config itself", async () => {
+    let tempDir = createRepo({
+      ...repoFiles,
+      "configs/base.json": { overrides: { vue: { "2.x": ["pkg-a"] } } },
+      "one-version.config.json": {
+        extends: "./configs/base.json",
+        overrides: { lodash: { "3.x": ["pkg-a"] } },
+      },
+    });
+
+    let { statusCode, logs } = await run(tempDir, [
+      "overrides",
+      "--stale",
+      "--prune",
+    ]);
+
+    assert.equal(statusCode, 0);
+    assert.deepEqual(logs.slice(1), [
+      "\nRemoved 1 stale overrides from one-version.config.json",
+      "1 stale overrides are from extended configs, remove them manually: vue@2.x",
+    ]);
+    assert.deepEqual(readJSON(tempDir, "one-version.config.json"), {
+      extends: "./configs/base.json",
+      overrides: {},
+    });
+    assert.deepEqual(readJSON(tempDir, "configs/base.json"), {
+      overrides: { vue: { "2.x": ["pkg-a"] } },
+    });
+  });
+});
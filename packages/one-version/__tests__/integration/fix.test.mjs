@@ -0,0 +1,150 @@
+import assert from "node:assert";
+import { readFileSync } from "node:fs";
+import path from "node:path";
+import { describe, test } from "node:test";
+import {
+  copyFixture,
+  createWorkspacesRepo,
+  getFixture,
+  readJSON,
+  run,
+} from "../helpers.mjs";
+
+describe("fix", () => {
+  test("prints a diff without writing files with --dry-run", async () => {
+    let targetDir = copyFixture("bun-monorepo");
+    let { statusCode, logs } = await run(targetDir, ["fix", "--dry-run"]);
+
+    assert.equal(statusCode, 0);
+    assert.match(logs[0], /--- libs\/pkg-a\/package.json/);
+    assert.match(logs[0], /- {4}"typescript": "\^5"/);
+    assert.match(logs[0], /\+ {4}"typescript": "5.4.5"/);
+    assert.match(
+      readFileSync(path.join(targetDir, "libs/pkg-a/package.json"), "utf8"),
+      /"typescript": "\^5"/,
+    );
+  });
+
+  test("rewrites conflicting dependencies to the highest version", async () => {
+    let targetDir = copyFixture("bun-monorepo");
+    let { statusCode, logs } = await run(targetDir, ["fix"]);
+
+    assert.equal(statusCode, 0);
+    assert.match(logs[0], /pkg-a \(devDependencies\): typescript \^5 -> 5.4.5/);
+    let pkgA = readFileSync(
+      path.join(targetDir, "libs/pkg-a/package.json"),
+      "utf8",
+    );
+    // only the value changes, formatting is preserved
+    assert.equal(
+      pkgA,
+      readFileSync(
+        path.join(getFixture("bun-monorepo"), "libs/pkg-a/package.json"),
+        "utf8",
+      ).replace('"typescript": "^5"', '"typescript": "5.4.5"'),
+    );
+
+    let result = await run(targetDir, ["check"]);
+    assert.equal(result.statusCode, 0);
+  });
+
+  test("supports an explicit target version", async () => {
+    let targetDir = copyFixture("bun-monorepo");
+    let { statusCode } = await run(targetDir, ["fix", "typescript@^5.4"]);
+
+    assert.equal(statusCode, 0);
+    for (let pkg of ["pkg-a", "pkg-b", "pkg-c"]) {
+      let { devDependencies } = readJSON(targetDir, `libs/${pkg}/package.json`);
+      assert.equal(devDependencies.typescript, "^5.4");
+    }
+  });
+
+  test("respects overrides", async () => {
+    let targetDir = copyFixture("bun-configured-monorepo");
+    let { statusCode, logs } = await run(targetDir, ["fix", "--dry-run"]);
+
+    assert.equal(statusCode, 0);
+    assert.match(logs[0], /found no version conflicts to fix/);
+  });
+
+  test("fails on targets without a version", async () => {
+    let targetDir = copyFixture("bun-monorepo");
+    let { statusCode, errors } = await run(targetDir, [
+      "fix",
+      "typescript",
+      "@types/react@",
+    ]);
+
+    assert.equal(statusCode, 1);
+    assert.deepEqual(errors, [
+      'Invalid target "typescript", expected <name>@<version>, e.g. react@18.3.1',
+      'Invalid target "@types/react@", expected <name>@<version>, e.g. react@18.3.1',
+    ]);
+    let { devDependencies } = readJSON(targetDir, "libs/pkg-a/package.json");
+    assert.equal(devDependencies.typescript, "^5");
+  });
+
+  test("fails on targets without conflicting versions", async () => {
+    let targetDir = copyFixture("bun-monorepo");
+    let { statusCode, errors } = await run(targetDir, [
+      "fix",
+      "typescript@5.4.5",
+      "left-pad@1.3.0",
+    ]);
+
+    assert.equal(statusCode, 1);
+    assert.deepEqual(errors, [
+      "Could not fix left-pad, it doesn't have conflicting versions",
+    ]);
+    let { devDependencies } = readJSON(targetDir, "libs/pkg-a/package.json");
+    assert.equal(devDependencies.typescript, "^5");
+  });
+
+  test("leaves dependencies without a version satisfying every range", async () => {
+    let tempDir = createWorkspacesRepo({
+      workspaces: {
+        "pkg-a": { dependencies: { react: "^16.8.0" } },
+        "pkg-b": { dependencies: { react: "17.0.0" } },
+      },
+    });
+    let { statusCode, logs, errors } = await run(tempDir, ["fix"]);
+
+    assert.equal(statusCode, 1);
+    assert.deepEqual(logs, []);
+    assert.match(
+      errors[0],
+      /react - none of \^16\.8\.0 and 17\.0\.0 satisfies the others/,
+    );
+    assert.equal(
+      readJSON(tempDir, "libs/pkg-a/package.json").dependencies.react,
+      "^16.8.0",
+    );
+  });
+
+  test("only narrows peer dependency ranges to an explicit version", async () => {
+    let tempDir = createWorkspacesRepo({
+      workspaces: {
+        "pkg-a": { dependencies: { react: "18.2.0" } },
+        "pkg-b": { peerDependencies: { react: "^18.0.0" } },
+      },
+    });
+    let { statusCode, errors } = await run(tempDir, ["fix"]);
+
+    assert.equal(statusCode, 1);
+    assert.match(
+      errors[0],
+      /react - peer dependency ranges are only changed to an explicit version/,
+    );
+    assert.equal(
+      readJSON(tempDir, "libs/pkg-b/package.json").peerDependencies.react,
+      "^18.0.0",
+    );
+
+    ({ statusCode } = await run(tempDir, ["fix", "react@18.2.0"]));
+    assert.equal(statusCode, 0);
+    assert.equal(
+      readJSON(tempDir, "libs/pkg-b/package.json").peerDependencies.react,
+      "18.2.0",
+    );
+  });
+});
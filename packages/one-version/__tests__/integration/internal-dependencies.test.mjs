@@ -0,0 +1,77 @@
+import assert from "node:assert";
+import { describe, test } from "node:test";
+import { checkJSON, getFixture, run } from "../helpers.mjs";
+
+describe("internalDependencies", () => {
+  test("enforces the workspace protocol", async () => {
+    let targetDir = getFixture("workspace-protocol-monorepo");
+
+    let { statusCode, report } = await checkJSON(targetDir);
+
+    assert.equal(statusCode, 1);
+    assert.deepEqual(report.internalDependencyViolations, [
+      {
+        workspace: "pkg-c",
+        name: "pkg-a",
+        specifier: "workspace:*",
+        type: "direct",
+        reason:
+          "must use workspace:^ (with internalDependencies: 'workspace:^')",
+      },
+      {
+        workspace: "pkg-d",
+        name: "pkg-a",
+        specifier: "^1.0.0",
+        type: "direct",
+        reason:
+          "must use workspace:^ (with internalDependencies: 'workspace:^')",
+      },
+      {
+        workspace: "pkg-e",
+        name: "pkg-a",
+        specifier: "^2.0.0",
+        type: "dev",
+        reason:
+          "resolves to the registry, since pkg-a@1.2.0 within the repo doesn't satisfy it",
+      },
+    ]);
+  });
+
+  test("enforces versions matching the workspace", async () => {
+    let targetDir = getFixture("workspace-version-monorepo");
+
+    let { statusCode, logs } = await run(targetDir, [
+      "check",
+      "--format",
+      "text",
+    ]);
+
+    assert.equal(statusCode, 1);
+    // logged after the duplicates of pkg-a
+    assert.equal(
+      logs[1],
+      [
+        "",
+        "",
+        "Found invalid references to workspaces within the repo:",
+        "",
+        "pkg-b:",
+        "  pkg-a@workspace:^ must use a version matching pkg-a@1.2.0 (with internalDependencies: 'version')",
+        "",
+        "pkg-c:",
+        "  pkg-a@workspace:* must use a version matching pkg-a@1.2.0 (with internalDependencies: 'version')",
+        "",
+        "pkg-e:",
+        "  pkg-a@^2.0.0 resolves to the registry, since pkg-a@1.2.0 within the repo doesn't satisfy it",
+      ].join("\n"),
+    );
+  });
+
+  test("references to workspaces skip the version strategy", async () => {
+    let targetDir = getFixture("workspace-protocol-pinned-monorepo");
+
+    let { statusCode } = await checkJSON(targetDir);
+
+    assert.equal(statusCode, 0);
+  });
+});
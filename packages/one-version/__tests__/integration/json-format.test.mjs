@@ -0,0 +1,74 @@
+import assert from "node:assert";
+import { describe, test } from "node:test";
+import { getFixture, run } from "../helpers.mjs";
+
+describe("--format json", () => {
+  test("emits a single structured report", async () => {
+    let targetDir = getFixture("bun-configured-pinned-monorepo");
+    let { statusCode, logs } = await run(targetDir, [
+      "check",
+      "--format",
+      "json",
+    ]);
+
+    assert.equal(statusCode, 1);
+    assert.equal(logs.length, 1);
+    let report = JSON.parse(logs[0]);
+    assert.equal(report.version, 1);
+    assert.equal(report.statusCode, 1);
+    assert.deepEqual(report.config, {
+      packageManager: "bun",
+      versionStrategy: "pin",
+      duplicateStrategy: "exact",
+      format: "json",
+    });
+    assert.deepEqual(report.workspaces, [
+      { name: "pkg-a", path: "libs/pkg-a" },
+      { name: "pkg-b", path: "libs/pkg-b" },
+      { name: "pkg-c", path: "libs/pkg-c" },
+    ]);
+    assert.deepEqual(report.duplicateDependencies, [
+      {
+        name: "typescript",
+        specifiers: [
+          { specifier: "^5", dependencyTypes: { dev: ["pkg-a"] } },
+          { specifier: "^5.4", dependencyTypes: { dev: ["pkg-b"] } },
+          { specifier: "5.4.5", dependencyTypes: { dev: ["pkg-c"] } },
+        ],
+        conflicts: [
+          {
+            specifiers: ["^5", "^5.4", "5.4.5"],
+            reason: "^5, ^5.4 and 5.4.5 are different specifiers",
+          },
+        ],
+      },
+    ]);
+    assert.deepEqual(report.unpinnedDependencies, [
+      { workspace: "pkg-a", name: "typescript", specifier: "^5" },
+      { workspace: "pkg-b", name: "typescript", specifier: "^5.4" },
+    ]);
+  });
+
+  test("supports the format config key", async () => {
+    let targetDir = getFixture("json-format-single-package");
+    let { statusCode, logs } = await run(targetDir, ["check"]);
+
+    assert.equal(statusCode, 1);
+    let report = JSON.parse(logs[0]);
+    assert.deepEqual(report.workspaces, []);
+    assert.deepEqual(report.unpinnedDependencies, [
+      { workspace: "pkg-a", name: "typescript", specifier: "^5" },
+    ]);
+  });
+
+  test("bails on unknown formats", async () => {
+    let targetDir = getFixture("bun-monorepo");
+    let { statusCode, errors } = await run(targetDir, [
+      "check",
+      "--format=xml",
+    ]);
+
+    assert.equal(statusCode, 1);
+    assert.match(errors[0], /Unknown format: xml/);
+  });
+});
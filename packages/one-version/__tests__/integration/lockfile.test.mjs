@@ -0,0 +1,57 @@
+import assert from "node:assert";
+import { describe, test } from "node:test";
+import { checkJSON, getFixture, run } from "../helpers.mjs";
+
+describe("--lockfile", () => {
+  test("passes when different specifiers resolve to the same version", async () => {
+    let targetDir = getFixture("npm-monorepo");
+    let { statusCode, logs } = await run(targetDir, ["check", "--lockfile"]);
+
+    // `^5`, `^5.4` and `5.4.5` all resolve to 5.4.5
+    assert.equal(statusCode, 0);
+    assert.match(logs[0], /One Version Rule Success/);
+  });
+
+  test("fails when specifiers resolve to different versions", async () => {
+    let targetDir = getFixture("bun-monorepo");
+    let { statusCode, logs } = await run(targetDir, ["check", "--lockfile"]);
+
+    assert.equal(statusCode, 1);
+    assert.match(logs[0], /Found multiple installed versions/);
+    assert.match(logs[0], /5\.8\.3\n {4}dev: {2}pkg-a, pkg-b/);
+    assert.match(logs[0], /5\.4\.5\n {4}dev: {2}pkg-c/);
+  });
+
+  test("reports transitive duplicates", async () => {
+    let targetDir = getFixture("npm-transitive-duplicates-single-package");
+    let { statusCode, report } = await checkJSON(targetDir, ["--lockfile"]);
+
+    assert.equal(statusCode, 1);
+    assert.deepEqual(report.duplicateDependencies, [
+      {
+        name: "react",
+        specifiers: [
+          { specifier: "18.3.1", dependencyTypes: { direct: ["app"] } },
+          {
+            specifier: "17.0.2",
+            dependencyTypes: { transitive: ["legacy-lib@1.0.0"] },
+          },
+        ],
+        conflicts: [
+          {
+            specifiers: ["18.3.1", "17.0.2"],
+            reason: "18.3.1 and 17.0.2 are different specifiers",
+          },
+        ],
+      },
+    ]);
+  });
+
+  test("bails when the lockfile is missing", async () => {
+    let targetDir = getFixture("json-format-single-package");
+    let { statusCode, errors } = await run(targetDir, ["check", "--lockfile"]);
+
+    assert.equal(statusCode, 1);
+    assert.match(errors[0], /Could not find a lockfile for bun/);
+  });
+});
@@ -0,0 +1,119 @@
+import assert from "node:assert";
+import { readFileSync } from "node:fs";
+import path from "node:path";
+import { describe, test } from "node:test";
+import { copyFixture, getFixture, run } from "../helpers.mjs";
+
+describe("overrides", () => {
+  /**
+   * Runs the CLI, joining everything it logs
+   */
+  async function getOutput(rootDirectory, args) {
+    let { statusCode, logs, errors } = await run(rootDirectory, args);
+    return { statusCode, output: [...logs, ...errors].join("\n") };
+  }
+
+  test("supports range keys and globs", async () => {
+    let targetDir = getFixture("override-ranges-monorepo");
+
+    let { statusCode } = await getOutput(targetDir, ["check"]);
+
+    assert.equal(statusCode, 0);
+  });
+
+  test("supports the object form with details", async () => {
+    let targetDir = getFixture("override-details-monorepo");
+
+    let { statusCode } = await getOutput(targetDir, ["check"]);
+    assert.equal(statusCode, 0);
+
+    let { output } = await getOutput(targetDir, ["overrides"]);
+    assert.equal(
+      output,
+      [
+        "react@17.x: web",
+        "  reason: Waiting on legacy-lib to support React 18",
+        "  owner: @acme/web",
+        "  expires: 2999-01-01",
+      ].join("\n"),
+    );
+  });
+
+  test("fails once an override expires", async () => {
+    let targetDir = getFixture("expired-override-monorepo");
+
+    let { statusCode, output } = await getOutput(targetDir, [
+      "check",
+      "--format",
+      "json",
+    ]);
+    assert.equal(statusCode, 1);
+    assert.deepEqual(JSON.parse(output).expiredOverrides, [
+      {
+        packageKey: "react",
+        versionKey: "17.x",
+        workspaces: ["web"],
+        owner: "@acme/web",
+        expires: "2020-01-01",
+      },
+    ]);
+
+    let sarif = JSON.parse(
+      (await getOutput(targetDir, ["check", "--format", "sarif"])).output,
+    );
+    let [result] = sarif.runs[0].results;
+    assert.equal(result.ruleId, "expired-overrides");
+    assert.equal(
+      result.locations[0].physicalLocation.artifactLocation.uri,
+      "one-version.config.jsonc",
+    );
+  });
+
+  test("only warns for expired overrides with expiredOverrides: 'warn'", async () => {
+    let targetDir = getFixture("expired-override-warn-monorepo");
+
+    let { statusCode, output } = await getOutput(targetDir, ["check"]);
+
+    assert.equal(statusCode, 0);
+    assert.match(output, /One Version Rule Success/);
+    assert.match(
+      output,
+      /Found expired overrides \(with expiredOverrides: 'warn'\):\n\nreact@17\.x: web\n {2}expires: 2020-01-01 \(expired\)/,
+    );
+  });
+
+  test("lists and prunes stale overrides", async () => {
+    let tempDir = copyFixture("stale-overrides-monorepo");
+
+    let stale = await getOutput(tempDir, ["overrides", "--stale"]);
+    assert.equal(stale.statusCode, 1);
+    assert.match(
+      stale.output,
+      /react@16\.x: \*\n\nlodash@4\.17\.0: \*\n {2}reason: legacy/,
+    );
+
+    let pruned = await getOutput(tempDir, ["overrides", "--stale", "--prune"]);
+    assert.equal(pruned.statusCode, 0);
+    assert.match(
+      pruned.output,
+      /Removed 2 stale overrides from one-version\.config\.jsonc/,
+    );
+    assert.equal(
+      readFileSync(path.join(tempDir, "one-version.config.jsonc"), "utf8"),
+      `{
+  "packageManager": "npm",
+  "overrides": {
+    // still needed for the web app
+    "react": {
+      "17.x": ["web"]
+    }
+  }
+}
+`,
+    );
+    assert.equal(
+      (await getOutput(tempDir, ["overrides", "--stale"])).statusCode,
+      0,
+    );
+  });
+});
@@ -0,0 +1,90 @@
+import assert from "node:assert";
+import { describe, test } from "node:test";
+import { checkJSON, createWorkspacesRepo, getFixture } from "../helpers.mjs";
+
+describe("checkPeerDependencies", () => {
+  function createPeersRepo(workspaces) {
+    return createWorkspacesRepo({
+      config: { checkPeerDependencies: true },
+      workspaces,
+    });
+  }
+
+  test("reports the chain of workspaces providing a peer dependency", async () => {
+    // lib-a passes react on to the workspaces depending on it
+    let targetDir = getFixture("peer-dependency-chain-monorepo");
+
+    let { statusCode, report } = await checkJSON(targetDir);
+
+    assert.equal(statusCode, 1);
+    assert.deepEqual(report.peerDependencyViolations, [
+      {
+        workspace: "app",
+        name: "react",
+        specifier: "18.2.0",
+        type: "direct",
+        range: "^17.0.0",
+        chain: ["app", "lib-a", "lib-b"],
+      },
+      {
+        workspace: "lib-c",
+        name: "react",
+        specifier: "^18.2.0",
+        type: "dev",
+        range: "^17.0.0",
+        chain: ["lib-c", "lib-b"],
+      },
+    ]);
+  });
+
+  test("only follows dev dependencies from the start of a chain", async () => {
+    // lib-a only installs lib-b while developing lib-a, not for app
+    let targetDir = getFixture("peer-dependency-dev-chain-monorepo");
+
+    let { report } = await checkJSON(targetDir);
+
+    assert.deepEqual(report.peerDependencyViolations, []);
+  });
+
+  test(
+    "walks wide and deep graphs without following every path",
+    {
+      timeout: 10_000,
+    },
+    async () => {
+      // 12 layers of 4 workspaces, each depending on every workspace of the
+      // next layer and passing react on, so there are 4^12 paths to lib-base
+      let layers = Array.from({ length: 12 }, (_, layer) =>
+        Array.from({ length: 4 }, (_, index) => `lib-${layer}-${index}`),
+      );
+      let dependOn = (names) =>
+        Object.fromEntries(names.map((name) => [name, "*"]));
+      let workspaces = {
+        app: { dependencies: { ...dependOn(layers[0]), react: "18.2.0" } },
+        "lib-base": { peerDependencies: { react: "^17.0.0" } },
+      };
+      for (let [layer, names] of layers.entries()) {
+        for (let name of names) {
+          workspaces[name] = {
+            dependencies: dependOn(layers[layer + 1] ?? ["lib-base"]),
+            peerDependencies: { react: "^17.0.0 || ^18.0.0" },
+          };
+        }
+      }
+
+      // generated, as there are too many workspaces to check in
+      let { report } = await checkJSON(createPeersRepo(workspaces));
+
+      assert.deepEqual(report.peerDependencyViolations, [
+        {
+          workspace: "app",
+          name: "react",
+          specifier: "18.2.0",
+          type: "direct",
+          range: "^17.0.0",
+          chain: ["app", ...layers.map((names) => names[0]), "lib-base"],
+        },
+      ]);
+    },
+  );
+});
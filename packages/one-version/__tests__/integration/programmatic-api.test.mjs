@@ -0,0 +1,149 @@
+import assert from "node:assert";
+import path from "node:path";
+import { describe, test } from "node:test";
+import {
+  check,
+  getDuplicateDependencies,
+  getWorkspaces,
+  loadConfig,
+  resolveConfig,
+} from "../../one-version.mjs";
+import { getFixture, readJSON } from "../helpers.mjs";
+
+describe("programmatic API", () => {
+  test("check returns the findings and JSON report", async () => {
+    let targetDir = getFixture("programmatic-api-monorepo");
+
+    let { statusCode, findings, report } = await check({
+      rootDirectory: targetDir,
+    });
+
+    assert.equal(statusCode, 1);
+    assert.deepEqual(
+      findings.map(({ rule, workspace, packageName, specifier }) => ({
+        rule,
+        workspace: workspace.name,
+        packageName,
+        specifier,
+      })),
+      [
+        {
+          rule: "duplicate-dependencies",
+          workspace: "pkg-a",
+          packageName: "react",
+          specifier: "18.2.0",
+        },
+        {
+          rule: "duplicate-dependencies",
+          workspace: "pkg-b",
+          packageName: "react",
+          specifier: "17.0.2",
+        },
+      ],
+    );
+    assert.equal(report.config.packageManager, "npm");
+    assert.deepEqual(
+      report.duplicateDependencies.map(({ name }) => name),
+      ["react"],
+    );
+  });
+
+  test("check uses the config passed to it over the config within the repo", async () => {
+    let targetDir = getFixture("programmatic-api-configured-monorepo");
+
+    let { statusCode, report } = await check({
+      rootDirectory: targetDir,
+      config: { overrides: { react: { "17.x": ["pkg-b"] } } },
+    });
+
+    assert.equal(statusCode, 0);
+    assert.equal(report.configPath, null);
+    assert.equal(report.config.versionStrategy, "loose");
+  });
+
+  test("check skips the findings within the baseline unless baseline is false", async () => {
+    let targetDir = getFixture("programmatic-api-baselined-monorepo");
+
+    let baselined = await check({ rootDirectory: targetDir });
+    assert.equal(baselined.statusCode, 0);
+    assert.deepEqual(baselined.findings, []);
+
+    let { statusCode, findings } = await check({
+      rootDirectory: targetDir,
+      baseline: false,
+    });
+    assert.equal(statusCode, 1);
+    assert.deepEqual(
+      findings.map(({ workspace }) => workspace.name),
+      ["pkg-a", "pkg-b"],
+    );
+  });
+
+  test("check throws when the config is invalid", async () => {
+    let targetDir = getFixture("programmatic-api-monorepo");
+
+    await assert.rejects(
+      check({ rootDirectory: targetDir, config: { versionStratgy: "pin" } }),
+      {
+        message:
+          'Invalid config - Unknown property "versionStratgy". Did you mean "versionStrategy"?',
+      },
+    );
+  });
+
+  test("loadConfig reads the config without filling in defaults", async () => {
+    let targetDir = getFixture("programmatic-api-configured-monorepo");
+
+    let { config, configSource } = await loadConfig({
+      rootDirectory: targetDir,
+    });
+
+    assert.deepEqual(config, { versionStrategy: "pin" });
+    assert.equal(
+      configSource.path,
+      path.join(targetDir, "one-version.config.json"),
+    );
+  });
+
+  test("resolveConfig fills in the defaults", () => {
+    let targetDir = getFixture("programmatic-api-monorepo");
+
+    assert.deepEqual(
+      resolveConfig({ versionStrategy: "pin" }, { rootDirectory: targetDir }),
+      {
+        packageManager: "npm",
+        versionStrategy: "pin",
+        duplicateStrategy: "exact",
+        format: "text",
+      },
+    );
+  });
+
+  test("getWorkspaces and getDuplicateDependencies can be used directly", () => {
+    let targetDir = getFixture("programmatic-api-monorepo");
+
+    let workspaces = getWorkspaces({
+      rootDirectory: targetDir,
+      packageManager: "npm",
+    });
+    let duplicateDependencies = getDuplicateDependencies({
+      workspaceDependencies: workspaces.map(
+        ({ name, path: workspacePath }) => ({
+          name,
+          path: workspacePath,
+          ...readJSON(workspacePath, "package.json"),
+        }),
+      ),
+      overrides: {},
+    });
+
+    assert.deepEqual(
+      workspaces.map(({ name }) => name),
+      ["pkg-a", "pkg-b"],
+    );
+    assert.deepEqual(
+      duplicateDependencies.map(([name]) => name),
+      ["react"],
+    );
+  });
+});
@@ -0,0 +1,97 @@
+import assert from "node:assert";
+import { readFileSync } from "node:fs";
+import path from "node:path";
+import { describe, test } from "node:test";
+import { createTempDir, getFixture, run } from "../helpers.mjs";
+
+describe("reporters", () => {
+  test("sarif points each finding at the package.json entry", async () => {
+    let targetDir = getFixture("bun-configured-pinned-monorepo");
+    let { statusCode, logs } = await run(targetDir, [
+      "check",
+      "--format",
+      "sarif",
+    ]);
+
+    assert.equal(statusCode, 1);
+    let sarif = JSON.parse(logs[0]);
+    assert.equal(sarif.version, "2.1.0");
+    let [sarifRun] = sarif.runs;
+    assert.deepEqual(
+      sarifRun.tool.driver.rules.map(({ id }) => id),
+      ["duplicate-dependencies", "unpinned-dependencies"],
+    );
+    assert.equal(sarifRun.results.length, 5);
+    assert.deepEqual(sarifRun.results[0].locations[0].physicalLocation, {
+      artifactLocation: {
+        uri: "libs/pkg-a/package.json",
+        uriBaseId: "%SRCROOT%",
+      },
+      region: { startLine: 12, startColumn: 5 },
+    });
+    assert.match(sarifRun.results[0].message.text, /typescript@\^5 conflicts/);
+  });
+
+  test("junit reports a test case per workspace per rule", async () => {
+    let targetDir = getFixture("bun-configured-pinned-monorepo");
+    let { statusCode, logs } = await run(targetDir, [
+      "check",
+      "--format",
+      "junit",
+    ]);
+
+    assert.equal(statusCode, 1);
+    assert.match(
+      logs[0],
+      /<testsuites name="one-version" tests="8" failures="5">/,
+    );
+    assert.match(
+      logs[0],
+      /<testsuite name="duplicate-dependencies" tests="4" failures="3">/,
+    );
+    assert.match(
+      logs[0],
+      /<testsuite name="unpinned-dependencies" tests="4" failures="2">/,
+    );
+    assert.match(
+      logs[0],
+      /<testcase classname="one-version.unpinned-dependencies" name="pkg-c" file="libs\/pkg-c\/package.json" \/>/,
+    );
+  });
+
+  test("writes the report to the output file", async () => {
+    let tempDir = createTempDir();
+    let outputPath = path.join(tempDir, "one-version.sarif");
+    let targetDir = getFixture("bun-monorepo");
+    let { statusCode, logs } = await run(targetDir, [
+      "check",
+      "--format=sarif",
+      `--output=${outputPath}`,
+    ]);
+
+    assert.equal(statusCode, 1);
+    assert.equal(logs.length, 1);
+    assert.match(logs[0], /Wrote sarif report to/);
+    let sarif = JSON.parse(readFileSync(outputPath, "utf8"));
+    assert.equal(sarif.runs[0].results.length, 3);
+  });
+
+  test("fails when the report can't be written", async () => {
+    let tempDir = createTempDir();
+    let outputPath = path.join(tempDir, "missing", "one-version.sarif");
+    let targetDir = getFixture("bun-configured-monorepo");
+    let { statusCode, logs, errors } = await run(targetDir, [
+      "check",
+      "--format=sarif",
+      `--output=${outputPath}`,
+    ]);
+
+    assert.equal(statusCode, 1);
+    assert.deepEqual(logs, []);
+    assert.equal(errors.length, 1);
+    assert.match(
+      errors[0],
+      /^Could not write report to .*missing\/one-version\.sarif: ENOENT/,
+    );
+  });
+});
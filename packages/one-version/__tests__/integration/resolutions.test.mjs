@@ -0,0 +1,81 @@
+import assert from "node:assert";
+import { describe, test } from "node:test";
+import { checkJSON, getFixture, run } from "../helpers.mjs";
+
+describe("resolutions and overrides", () => {
+  test("reports forced versions alongside the declared versions", async () => {
+    let targetDir = getFixture("forced-version-monorepo");
+
+    let { statusCode, report } = await checkJSON(targetDir);
+
+    assert.equal(statusCode, 1);
+    assert.deepEqual(report.duplicateDependencies, [
+      {
+        name: "react",
+        specifiers: [
+          {
+            specifier: "18.3.1",
+            dependencyTypes: { resolution: ["(root)"], optional: ["pkg-b"] },
+          },
+          { specifier: "^18.2.0", dependencyTypes: { direct: ["pkg-a"] } },
+        ],
+        conflicts: [
+          {
+            specifiers: ["18.3.1", "^18.2.0"],
+            reason: "18.3.1 and ^18.2.0 are different specifiers",
+          },
+        ],
+      },
+    ]);
+    assert.deepEqual(report.unsatisfiedResolutions, []);
+  });
+
+  test("a forced version on its own isn't a conflict", async () => {
+    let targetDir = getFixture("matching-forced-version-monorepo");
+
+    let { statusCode } = await checkJSON(targetDir);
+
+    assert.equal(statusCode, 0);
+  });
+
+  test("flags forced versions that don't satisfy the declared versions", async () => {
+    let targetDir = getFixture("unsatisfied-resolutions-monorepo");
+
+    let { statusCode, report } = await checkJSON(targetDir);
+
+    assert.equal(statusCode, 1);
+    assert.deepEqual(report.unsatisfiedResolutions, [
+      {
+        workspace: "(root)",
+        name: "react",
+        specifier: "17.0.2",
+        type: "override",
+        conflicts: [{ specifier: "^18.2.0", workspaces: ["pkg-a"] }],
+      },
+      {
+        workspace: "(root)",
+        name: "typescript",
+        specifier: "4.9.5",
+        type: "override",
+        conflicts: [{ specifier: "^5", workspaces: ["pkg-a"] }],
+      },
+    ]);
+
+    let text = await run(targetDir, ["check", "--format", "text"]);
+    assert.match(
+      text.logs.join("\n"),
+      /react@17\.0\.2 \(override in \(root\)\) does not satisfy:\n {2}\^18\.2\.0: pkg-a/,
+    );
+
+    let sarif = JSON.parse(
+      (await run(targetDir, ["check", "--format", "sarif"])).logs[0],
+    );
+    let [reactResult] = sarif.runs[0].results.filter(
+      (result) => result.ruleId === "unsatisfied-resolutions",
+    );
+    assert.equal(
+      reactResult.locations[0].physicalLocation.artifactLocation.uri,
+      "package.json",
+    );
+  });
+});
@@ -0,0 +1,55 @@
+import assert from "node:assert";
+import { describe, test } from "node:test";
+import { checkJSON, getFixture } from "../helpers.mjs";
+
+describe("root package", () => {
+  test("includes the root package.json in the duplicate check", async () => {
+    let targetDir = getFixture("root-package-monorepo");
+
+    let { statusCode, report } = await checkJSON(targetDir);
+
+    assert.equal(statusCode, 1);
+    assert.deepEqual(report.duplicateDependencies, [
+      {
+        name: "typescript",
+        specifiers: [
+          { specifier: "5.4.5", dependencyTypes: { dev: ["(root)"] } },
+          { specifier: "^5", dependencyTypes: { dev: ["pkg-a"] } },
+        ],
+        conflicts: [
+          {
+            specifiers: ["5.4.5", "^5"],
+            reason: "5.4.5 and ^5 are different specifiers",
+          },
+        ],
+      },
+    ]);
+  });
+
+  test("uses the root package name when it has one", async () => {
+    let targetDir = getFixture("named-root-package-monorepo");
+
+    let { report } = await checkJSON(targetDir);
+
+    assert.deepEqual(report.duplicateDependencies[0].specifiers[0], {
+      specifier: "5.4.5",
+      dependencyTypes: { dev: ["acme"] },
+    });
+  });
+
+  test("supports overrides for the root package", async () => {
+    let targetDir = getFixture("root-package-override-monorepo");
+
+    let { statusCode } = await checkJSON(targetDir);
+
+    assert.equal(statusCode, 0);
+  });
+
+  test("can be excluded with includeRoot: false", async () => {
+    let targetDir = getFixture("root-package-excluded-monorepo");
+
+    let { statusCode } = await checkJSON(targetDir);
+
+    assert.equal(statusCode, 0);
+  });
+});
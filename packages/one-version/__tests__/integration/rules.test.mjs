@@ -0,0 +1,56 @@
+import assert from "node:assert";
+import { describe, test } from "node:test";
+import { checkJSON, getFixture, run } from "../helpers.mjs";
+
+describe("rules", () => {
+  test("checks each dependency against its own strategy", async () => {
+    let targetDir = getFixture("rules-monorepo");
+
+    let { statusCode, report } = await checkJSON(targetDir);
+
+    assert.equal(statusCode, 1);
+    assert.deepEqual(report.unpinnedDependencies, [
+      { workspace: "app", name: "react", specifier: "^18.2.0" },
+    ]);
+    assert.deepEqual(report.versionStrategyViolations, [
+      {
+        workspace: "app",
+        name: "typescript",
+        specifier: "~5.4.0",
+        strategy: "caret-only",
+      },
+      {
+        workspace: "legacy",
+        name: "moment",
+        specifier: ">=2",
+        strategy: "major-only",
+      },
+    ]);
+  });
+
+  test("passes when every dependency follows its strategy", async () => {
+    let targetDir = getFixture("rules-passing-monorepo");
+
+    let { statusCode } = await checkJSON(targetDir);
+
+    assert.equal(statusCode, 0);
+  });
+
+  test("reports violations within the text output", async () => {
+    let targetDir = getFixture("rules-text-monorepo");
+
+    let { logs } = await run(targetDir, ["check", "--format", "text"]);
+
+    assert.equal(
+      logs.join("\n"),
+      [
+        "You shall not pass!",
+        "🚫 One Version Rule Failure",
+        "Found dependencies that must use a ~ range (with strategy: 'tilde-only'):",
+        "",
+        "app:",
+        "  react@^18.2.0",
+      ].join("\n"),
+    );
+  });
+});
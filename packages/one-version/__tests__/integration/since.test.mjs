@@ -0,0 +1,133 @@
+import assert from "node:assert";
+import { describe, test } from "node:test";
+import {
+  checkJSON,
+  commitAll,
+  createRepo,
+  run,
+  writeJSON,
+} from "../helpers.mjs";
+
+describe("--since", () => {
+  /**
+   * Creates a temporary git repo with existing drift: pkg-a and pkg-b
+   * depend on different versions of react, and pkg-a on a range of lodash
+   */
+  function createGitRepo() {
+    let tempDir = createRepo({
+      "package.json": { name: "root", workspaces: ["packages/*"] },
+      "one-version.config.json": {
+        packageManager: "yarn-berry",
+        versionStrategy: "pin",
+      },
+      "packages/pkg-a/package.json": {
+        name: "pkg-a",
+        dependencies: { react: "18.2.0", lodash: "^4.17.21" },
+      },
+      "packages/pkg-b/package.json": {
+        name: "pkg-b",
+        dependencies: { react: "17.0.2" },
+      },
+    });
+    commitAll(tempDir);
+    return tempDir;
+  }
+  test("passes when nothing changed despite existing drift", async () => {
+    let tempDir = createGitRepo();
+    let { statusCode, logs } = await run(tempDir, ["check", "--since", "HEAD"]);
+    assert.equal(statusCode, 0);
+    assert.ok(logs.join("\n").includes("✨ One Version Rule Success"));
+  });
+
+  test("only reports findings introduced by the changes", async () => {
+    let tempDir = createGitRepo();
+    writeJSON(tempDir, "packages/pkg-b/package.json", {
+      name: "pkg-b",
+      dependencies: { react: "17.0.2", "left-pad": "^1.3.0" },
+    });
+    writeJSON(tempDir, "packages/pkg-c/package.json", {
+      name: "pkg-c",
+      dependencies: { react: "16.14.0" },
+    });
+
+    let { statusCode, logs } = await run(tempDir, [
+      "check",
+      "--since",
+      "HEAD",
+      "--format",
+      "json",
+    ]);
+    assert.equal(statusCode, 1);
+    let report = JSON.parse(logs.join("\n"));
+    // the duplicate is still reported in full, for context
+    assert.deepEqual(
+      report.duplicateDependencies.map(({ name }) => name),
+      ["react"],
+    );
+    assert.deepEqual(report.unpinnedDependencies, [
+      { workspace: "pkg-b", name: "left-pad", specifier: "^1.3.0" },
+    ]);
+
+    // while only the new specifiers are annotated
+    ({ logs } = await run(tempDir, [
+      "check",
+      "--since",
+      "HEAD",
+      "--format",
+      "sarif",
+    ]));
+    let [{ results }] = JSON.parse(logs.join("\n")).runs;
+    assert.deepEqual(
+      results.map(({ ruleId, message }) => [ruleId, message.text]),
+      [
+        [
+          "duplicate-dependencies",
+          "react@16.14.0 conflicts with other versions used in the repo: 18.2.0, 17.0.2",
+        ],
+        [
+          "unpinned-dependencies",
+          "left-pad@^1.3.0 must be pinned to an exact version",
+        ],
+      ],
+    );
+  });
+
+  test("reports every finding when the config changed", async () => {
+    let tempDir = createGitRepo();
+    writeJSON(tempDir, "one-version.config.json", {
+      packageManager: "yarn-berry",
+    });
+
+    let { statusCode, logs, errors } = await run(tempDir, [
+      "check",
+      "--since",
+      "HEAD",
+    ]);
+    assert.equal(statusCode, 1);
+    assert.equal(
+      logs[0],
+      "The config changed since HEAD, so every finding is reported",
+    );
+    assert.deepEqual(errors, []);
+
+    // the notice is left out of reports meant to be parsed
+    let { report } = await checkJSON(tempDir, ["--since", "HEAD"]);
+    assert.equal(report.duplicateDependencies[0].name, "react");
+  });
+
+  test("fails outside of a git repo", async () => {
+    // fixtures are within this repo, so this one is created outside of it
+    let tempDir = createRepo({
+      "package.json": { name: "root" },
+      "one-version.config.json": { packageManager: "npm" },
+    });
+
+    let { statusCode, errors } = await run(tempDir, [
+      "check",
+      "--since",
+      "origin/main",
+    ]);
+    assert.equal(statusCode, 1);
+    assert.match(errors[0], /^Could not find the changes since origin\/main: /);
+  });
+});
@@ -0,0 +1,189 @@
+import assert from "node:assert";
+import { describe, test } from "node:test";
+import { start } from "../../one-version.mjs";
+import { createRepo, writeFiles, writeJSON } from "../helpers.mjs";
+
+describe("watch mode", () => {
+  /**
+   * A repo where pkg-a and pkg-b depend on different versions of react
+   */
+  let repoFiles = {
+    "package.json": { name: "root", workspaces: ["packages/*"] },
+    "one-version.config.json": { packageManager: "yarn-berry" },
+    "packages/pkg-a/package.json": {
+      name: "pkg-a",
+      dependencies: { react: "18.2.0" },
+    },
+    "packages/pkg-b/package.json": {
+      name: "pkg-b",
+      dependencies: { react: "17.0.2" },
+    },
+  };
+
+  /**
+   * Starts `check --watch`, returning the logs so far and a function to wait
+   * for the next check
+   */
+  function watch(rootDirectory) {
+    let controller = new AbortController();
+    let logs = [];
+    let checks = 0;
+    let failingReports = 0;
+    let result = start({
+      rootDirectory,
+      logger: {
+        log(...args) {
+          let message = args.join(" ");
+          if (failingReports > 0 && message.includes("One Version Rule")) {
+            failingReports--;
+            throw new Error("Broken pipe");
+          }
+          logs.push(message);
+        },
+        error(...args) {
+          logs.push(args.join(" "));
+        },
+        clear() {
+          logs.length = 0;
+          checks++;
+        },
+      },
+      args: ["check", "--watch"],
+      signal: controller.signal,
+    });
+    async function nextCheck(previousChecks = checks) {
+      let start = Date.now();
+      while (
+        checks === previousChecks ||
+        !logs.at(-1)?.includes("Watching for changes")
+      ) {
+        if (Date.now() - start > 5000) {
+          throw new Error(`Timed out waiting for a check:\n${logs.join("\n")}`);
+        }
+        await new Promise((resolve) => setTimeout(resolve, 10));
+      }
+      return logs.join("\n");
+    }
+    return {
+      logs,
+      nextCheck,
+      failNextReport() {
+        failingReports++;
+      },
+      async stop() {
+        controller.abort();
+        return result;
+      },
+    };
+  }
+
+  test("reports the findings introduced and resolved by each change", async () => {
+    let tempDir = createRepo(repoFiles);
+    let watcher = watch(tempDir);
+    let output = await watcher.nextCheck(0);
+    assert.ok(output.includes("🚫 One Version Rule Failure"));
+    assert.ok(!output.includes("Since the last check"));
+
+    writeJSON(tempDir, "packages/pkg-b/package.json", {
+      name: "pkg-b",
+      dependencies: { react: "18.2.0", lodash: "4.17.21" },
+    });
+    output = await watcher.nextCheck();
+    assert.ok(output.includes("✨ One Version Rule Success"), output);
+    assert.ok(
+      output.includes(
+        "  - pkg-b: react@17.0.2 conflicts with other versions used in the repo: 18.2.0",
+      ),
+      output,
+    );
+    assert.ok(
+      output.includes(
+        "  - pkg-a: react@18.2.0 conflicts with other versions used in the repo: 17.0.2",
+      ),
+      output,
+    );
+
+    writeJSON(tempDir, "packages/pkg-a/package.json", {
+      name: "pkg-a",
+      dependencies: { react: "18.2.0", lodash: "^4.17.21" },
+    });
+    output = await watcher.nextCheck();
+    assert.ok(
+      output.includes(
+        "  + pkg-a: lodash@^4.17.21 conflicts with other versions used in the repo: 4.17.21",
+      ),
+      output,
+    );
+
+    assert.deepEqual(await watcher.stop(), { statusCode: 1 });
+  });
+
+  test("picks up new workspaces and config changes", async () => {
+    let tempDir = createRepo(repoFiles);
+    let watcher = watch(tempDir);
+    await watcher.nextCheck(0);
+
+    writeJSON(tempDir, "packages/pkg-c/package.json", {
+      name: "pkg-c",
+      dependencies: { react: "16.14.0" },
+    });
+    let output = await watcher.nextCheck();
+    assert.ok(
+      output.includes(
+        "  + pkg-c: react@16.14.0 conflicts with other versions used in the repo: 18.2.0, 17.0.2",
+      ),
+      output,
+    );
+
+    writeJSON(tempDir, "one-version.config.json", {
+      packageManager: "yarn-berry",
+      overrides: { react: { "17.0.2": ["pkg-b"], "16.14.0": ["pkg-c"] } },
+    });
+    output = await watcher.nextCheck();
+    assert.ok(output.includes("✨ One Version Rule Success"), output);
+    assert.ok(output.includes("  - pkg-c: react@16.14.0"), output);
+
+    assert.deepEqual(await watcher.stop(), { statusCode: 0 });
+  });
+
+  test("keeps watching after the config becomes invalid", async () => {
+    let tempDir = createRepo(repoFiles);
+    let watcher = watch(tempDir);
+    await watcher.nextCheck(0);
+
+    writeFiles(tempDir, { "one-version.config.json": "{" });
+    let output = await watcher.nextCheck();
+    assert.ok(output.includes("one-version.config.json:1:2"), output);
+
+    writeJSON(tempDir, "one-version.config.json", {
+      packageManager: "yarn-berry",
+    });
+    output = await watcher.nextCheck();
+    assert.ok(output.includes("🚫 One Version Rule Failure"), output);
+    assert.ok(output.includes("No changes since the last check"), output);
+
+    assert.deepEqual(await watcher.stop(), { statusCode: 1 });
+  });
+
+  test("keeps watching after a check throws", async () => {
+    let tempDir = createRepo(repoFiles);
+    let watcher = watch(tempDir);
+    await watcher.nextCheck(0);
+
+    watcher.failNextReport();
+    writeJSON(tempDir, "packages/pkg-b/package.json", {
+      name: "pkg-b",
+      dependencies: { react: "18.2.0", lodash: "^4.17.21" },
+    });
+    let output = await watcher.nextCheck();
+    assert.ok(output.includes("Could not check the repo: Broken pipe"));
+
+    writeJSON(tempDir, "packages/pkg-b/package.json", {
+      name: "pkg-b",
+      dependencies: { react: "18.2.0" },
+    });
+    output = await watcher.nextCheck();
+    assert.ok(output.includes("✨ One Version Rule Success"));
+    assert.deepEqual(await watcher.stop(), { statusCode: 0 });
+  });
+});
@@ -0,0 +1,27 @@
+import assert from "node:assert";
+import { describe, test } from "node:test";
+import { checkJSON, getFixture } from "../helpers.mjs";
+
+describe("workspace discovery", () => {
+  async function getReportedWorkspaces(rootDirectory) {
+    let { report } = await checkJSON(rootDirectory);
+    return report.workspaces;
+  }
+
+  test("reads pnpm-workspace.yaml without pnpm installed", async () => {
+    let targetDir = getFixture("pnpm-workspace-yaml-monorepo");
+
+    assert.deepEqual(await getReportedWorkspaces(targetDir), [
+      { name: "@acme/web", path: "apps/web" },
+      { name: "@acme/ui", path: "libs/ui" },
+    ]);
+  });
+
+  test("reads yarn workspaces without yarn installed", async () => {
+    let targetDir = getFixture("yarn-classic-workspaces-monorepo");
+
+    assert.deepEqual(await getReportedWorkspaces(targetDir), [
+      { name: "@acme/ui", path: "libs/ui" },
+    ]);
+  });
+});
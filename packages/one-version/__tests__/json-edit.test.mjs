@@ -0,0 +1,68 @@
+import assert from "node:assert";
+import { describe, test } from "node:test";
+import {
+  findNodeLocation,
+  removeProperties,
+  replaceValues,
+} from "../utils/json-edit.mjs";
+
+let text = `{
+  // comment
+  "dependencies": {
+    "react": "^18.2.0", // trailing comment
+    "typescript": "5.4.5"
+  },
+  "overrides": { "react": { "16.x": ["*"] } }
+}
+`;
+
+describe("json-edit", () => {
+  test("finds the location of values", () => {
+    assert.deepEqual(findNodeLocation(text, ["dependencies", "react"]), {
+      offset: 48,
+      length: 9,
+      line: 3,
+      column: 13,
+      keyLine: 3,
+      keyColumn: 4,
+    });
+    assert.equal(
+      findNodeLocation(text, ["overrides", "react", "16.x"])?.line,
+      6,
+    );
+    assert.equal(findNodeLocation(text, ["dependencies", "lodash"]), undefined);
+  });
+
+  test("replaces values without touching the rest of the text", () => {
+    assert.equal(
+      replaceValues(text, [
+        { jsonPath: ["dependencies", "react"], value: "18.3.1" },
+      ]),
+      text.replace('"^18.2.0"', '"18.3.1"'),
+    );
+  });
+
+  test("removes properties along with their commas", () => {
+    assert.equal(
+      removeProperties(text, [["dependencies", "react"]]),
+      `{
+  // comment
+  "dependencies": {
+    "typescript": "5.4.5"
+  },
+  "overrides": { "react": { "16.x": ["*"] } }
+}
+`,
+    );
+    assert.equal(
+      removeProperties(text, [["dependencies", "typescript"], ["overrides"]]),
+      `{
+  // comment
+  "dependencies": {
+    "react": "^18.2.0" // trailing comment
+  }
+}
+`,
+    );
+  });
+});
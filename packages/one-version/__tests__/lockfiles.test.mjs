@@ -0,0 +1,140 @@
+import assert from "node:assert";
+import { mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { after, describe, test } from "node:test";
+import { fileURLToPath } from "node:url";
+import { readLockfile, resolveDependency } from "../utils/lockfiles.mjs";
+
+let __filename = fileURLToPath(import.meta.url);
+let __dirname = path.dirname(__filename);
+
+function getFixturePath(name) {
+  return path.join(__dirname, "..", "__fixtures__", name);
+}
+
+describe("lockfiles", () => {
+  let tempDirs = [];
+
+  function writeLockfile(fileName, contents) {
+    let tempDir = mkdtempSync(path.join(tmpdir(), "one-version-"));
+    tempDirs.push(tempDir);
+    writeFileSync(path.join(tempDir, fileName), contents);
+    return tempDir;
+  }
+
+  after(() => {
+    for (let tempDir of tempDirs) {
+      rmSync(tempDir, { recursive: true, force: true });
+    }
+  });
+
+  for (let [fixture, packageManager] of [
+    ["bun-monorepo", "bun"],
+    ["npm-monorepo", "npm"],
+    ["pnpm-monorepo", "pnpm"],
+    ["yarn-classic-monorepo", "yarn-classic"],
+    ["yarn-berry-monorepo", "yarn-berry"],
+  ]) {
+    test(`resolves workspace dependencies from ${packageManager} lockfiles`, () => {
+      let lockfile = readLockfile({
+        rootDirectory: getFixturePath(fixture),
+        packageManager,
+      });
+      assert.ok(lockfile);
+
+      let react = resolveDependency({
+        lockfile,
+        importerPath: "libs/pkg-a",
+        name: "react",
+        specifier: "18.3.1",
+      });
+      assert.equal(react?.name, "react");
+      assert.equal(react?.version, "18.3.1");
+
+      let typescript = resolveDependency({
+        lockfile,
+        importerPath: "libs/pkg-c",
+        name: "typescript",
+        specifier: "5.4.5",
+      });
+      assert.equal(typescript?.version, "5.4.5");
+    });
+  }
+
+  test("returns undefined when there is no lockfile", () => {
+    assert.equal(
+      readLockfile({
+        rootDirectory: getFixturePath("template-monorepo"),
+        packageManager: "npm",
+      }),
+      undefined,
+    );
+  });
+
+  test("resolves nested copies within package-lock.json", () => {
+    let rootDirectory = writeLockfile(
+      "package-lock.json",
+      JSON.stringify({
+        lockfileVersion: 3,
+        packages: {
+          "": { dependencies: { react: "18.3.1", "legacy-lib": "1.0.0" } },
+          "node_modules/react": { version: "18.3.1" },
+          "node_modules/legacy-lib": {
+            version: "1.0.0",
+            dependencies: { react: "^17.0.0" },
+          },
+          "node_modules/legacy-lib/node_modules/react": { version: "17.0.2" },
+        },
+      }),
+    );
+    let lockfile = readLockfile({ rootDirectory, packageManager: "npm" });
+
+    assert.deepEqual(lockfile?.importers["."], {
+      react: "node_modules/react",
+      "legacy-lib": "node_modules/legacy-lib",
+    });
+    assert.deepEqual(lockfile?.packages["node_modules/legacy-lib"], {
+      name: "legacy-lib",
+      version: "1.0.0",
+      dependencies: { react: "node_modules/legacy-lib/node_modules/react" },
+    });
+  });
+
+  test("parses yarn classic lockfiles", () => {
+    let rootDirectory = writeLockfile(
+      "yarn.lock",
+      `# yarn lockfile v1
+
+
+"@scope/pkg@^1.0.0", "@scope/pkg@^1.1.0":
+  version "1.2.0"
+  dependencies:
+    react "^17"
+
+react@^17:
+  version "17.0.2"
+
+react@18.3.1:
+  version "18.3.1"
+`,
+    );
+    let lockfile = readLockfile({
+      rootDirectory,
+      packageManager: "yarn-classic",
+    });
+
+    assert.equal(
+      resolveDependency({
+        lockfile,
+        importerPath: ".",
+        name: "@scope/pkg",
+        specifier: "^1.1.0",
+      })?.version,
+      "1.2.0",
+    );
+    assert.deepEqual(lockfile?.packages["@scope/pkg@1.2.0"].dependencies, {
+      react: "react@17.0.2",
+    });
+  });
+});
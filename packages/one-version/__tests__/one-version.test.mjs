@@ -2,7 +2,11 @@ import assert from "node:assert";
 import path from "node:path";
 import { describe, test } from "node:test";
 import { fileURLToPath } from "node:url";
-import { getUnpinnedDependencies, start } from "../one-version.mjs";
+import {
+  getUnpinnedDependencies,
+  getVersionStrategy,
+  start,
+} from "../one-version.mjs";
 
 describe("one-version unit tests", () => {
   test("supports help command", async () => {
@@ -148,6 +152,71 @@ describe("one-version unit tests", () => {
       });
     });
   });
+
+  describe("getVersionStrategy", () => {
+    let workspace = { name: "web", path: "apps/web" };
+
+    test("falls back to versionStrategy, skipping peer dependencies", () => {
+      let config = { versionStrategy: "pin" };
+
+      assert.equal(
+        getVersionStrategy({
+          config,
+          packageName: "react",
+          dependencyType: "direct",
+          workspace,
+        }),
+        "pin",
+      );
+      assert.equal(
+        getVersionStrategy({
+          config,
+          packageName: "react",
+          dependencyType: "peer",
+          workspace,
+        }),
+        undefined,
+      );
+    });
+
+    test("uses the most specific matching rule", () => {
+      let config = {
+        versionStrategy: "pin",
+        rules: [
+          { dependencies: ["react"], strategy: "caret-only" },
+          { dependencies: ["@types/*"], strategy: "loose" },
+          { dependencies: ["@types/node"], strategy: "major-only" },
+          {
+            dependencies: ["*"],
+            workspaces: ["apps/*"],
+            strategy: "tilde-only",
+          },
+          { dependencyTypes: ["peer"], strategy: "major-only" },
+        ],
+      };
+      let getStrategy = (packageName, options = {}) =>
+        getVersionStrategy({
+          config,
+          packageName,
+          dependencyType: "direct",
+          workspace: { name: "pkg-a", path: "libs/pkg-a" },
+          ...options,
+        });
+
+      // exact names win over globs
+      assert.equal(getStrategy("@types/react"), "loose");
+      assert.equal(getStrategy("@types/node"), "major-only");
+      // rules matching on more fields win
+      assert.equal(getStrategy("react"), "caret-only");
+      assert.equal(getStrategy("react", { workspace }), "tilde-only");
+      // peer dependencies are only checked by rules that list them
+      assert.equal(
+        getStrategy("react", { dependencyType: "peer" }),
+        "major-only",
+      );
+      assert.equal(getStrategy("lodash"), "pin");
+    });
+  });
 });
 
 let __filename = fileURLToPath(import.meta.url);
@@ -574,4 +643,35 @@ describe("one-version integration tests", () => {
     assert.equal(logs.length, 1);
     assert.match(logs[0], /One Version Rule Failure/);
   });
+
+  test("npm - workspaces named within their package.json", async () => {
+    let targetDir = path.join(
+      __dirname,
+      "..",
+      "__fixtures__",
+      "npm-named-workspaces-monorepo",
+    );
+    let logs = [];
+    let logger = {
+      log(...args) {
+        logs.push(args.join(" "));
+      },
+      error() {},
+    };
+    let { statusCode } = await start({
+      rootDirectory: targetDir,
+      logger,
+      args: ["check", "--format", "json"],
+    });
+
+    // should pass - the override targets the workspace by its package name,
+    // and `libs/legacy` is excluded by a negated glob
+    assert.equal(statusCode, 0);
+    let report = JSON.parse(logs[0]);
+    // `libs/docs` is skipped since it has no package.json
+    assert.deepEqual(report.workspaces, [
+      { name: "@acme/app", path: "libs/app" },
+      { name: "@acme/design-system", path: "libs/ui" },
+    ]);
+  });
 });
@@ -0,0 +1,144 @@
+import assert from "node:assert";
+import { describe, test } from "node:test";
+import {
+  getOverrideEntries,
+  isOverridden,
+  isOverrideExpired,
+  matchesGlob,
+  matchesVersionKey,
+  resolveOverrideWorkspaces,
+} from "../utils/overrides.mjs";
+
+describe("overrides", () => {
+  test("matches globs", () => {
+    assert.equal(matchesGlob("@types/react", "@types/*"), true);
+    assert.equal(matchesGlob("@acme/legacy-ui", "@acme/legacy-*"), true);
+    assert.equal(matchesGlob("@acme/ui", "@acme/legacy-*"), false);
+    assert.equal(matchesGlob("apps/web/nested", "apps/*"), false);
+    assert.equal(matchesGlob("apps/web/nested", "apps/**"), true);
+    // a plain wildcard matches scoped names too
+    assert.equal(matchesGlob("@acme/ui", "*"), true);
+    assert.equal(matchesGlob("react.dom", "react?dom"), true);
+    assert.equal(matchesGlob("reactdom", "react.dom"), false);
+  });
+
+  test("matches versions within a range key", () => {
+    assert.equal(matchesVersionKey("17.0.2", "17.0.2"), true);
+    assert.equal(matchesVersionKey("17.0.2", "17.x"), true);
+    assert.equal(matchesVersionKey("^17.0.2", ">=17 <18"), true);
+    assert.equal(matchesVersionKey(">=17", "17.x"), false);
+    assert.equal(matchesVersionKey("18.0.0", "17.x"), false);
+    assert.equal(matchesVersionKey("latest", "latest"), true);
+    assert.equal(matchesVersionKey("workspace:*", "17.x"), false);
+  });
+
+  test("only treats keys written as ranges as ranges", () => {
+    assert.equal(matchesVersionKey("18.3.1", "^18.2.0"), false);
+    assert.equal(matchesVersionKey("~18.2.5", "~18.2.0"), false);
+    assert.equal(matchesVersionKey("17.0.2", "17"), false);
+    assert.equal(matchesVersionKey("18.3.1", "*"), true);
+    assert.equal(matchesVersionKey("17.0.2", "17.0.0 - 17.1.0"), true);
+    assert.equal(matchesVersionKey("18.3.1", "17.x || 18.x"), true);
+  });
+
+  test("checks whether a workspace is overridden", () => {
+    let overrides = {
+      react: { "17.x": ["pkg-a"] },
+      "@types/*": { "17.x": ["@acme/legacy-*"] },
+    };
+
+    assert.equal(
+      isOverridden({
+        overrides,
+        packageName: "react",
+        specifier: "17.0.2",
+        workspaceName: "pkg-a",
+      }),
+      true,
+    );
+    assert.equal(
+      isOverridden({
+        overrides,
+        packageName: "react",
+        specifier: "17.0.2",
+        workspaceName: "pkg-b",
+      }),
+      false,
+    );
+    assert.equal(
+      isOverridden({
+        overrides,
+        packageName: "@types/react",
+        specifier: "^17.0.1",
+        workspaceName: "@acme/legacy-ui",
+      }),
+      true,
+    );
+    assert.equal(
+      isOverridden({
+        overrides: undefined,
+        packageName: "react",
+        specifier: "17.0.2",
+        workspaceName: "pkg-a",
+      }),
+      false,
+    );
+  });
+
+  test("resolves workspace path globs to workspace names", () => {
+    assert.deepEqual(
+      resolveOverrideWorkspaces({
+        overrides: { react: { "17.x": ["apps/*", "pkg-c"] } },
+        workspaces: [
+          { name: "web", path: "apps/web" },
+          { name: "docs", path: "apps/docs" },
+          { name: "pkg-c", path: "libs/pkg-c" },
+        ],
+      }),
+      { react: { "17.x": ["apps/*", "pkg-c", "web", "docs"] } },
+    );
+  });
+
+  test("flattens both forms of overrides", () => {
+    assert.deepEqual(
+      getOverrideEntries({
+        react: {
+          "17.x": ["pkg-a"],
+          "16.x": { workspaces: ["pkg-b"], reason: "legacy", owner: "@acme" },
+        },
+      }),
+      [
+        { packageKey: "react", versionKey: "17.x", workspaces: ["pkg-a"] },
+        {
+          packageKey: "react",
+          versionKey: "16.x",
+          workspaces: ["pkg-b"],
+          reason: "legacy",
+          owner: "@acme",
+        },
+      ],
+    );
+    assert.equal(
+      isOverridden({
+        overrides: { react: { "16.x": { workspaces: ["pkg-b"] } } },
+        packageName: "react",
+        specifier: "16.14.0",
+        workspaceName: "pkg-b",
+      }),
+      true,
+    );
+  });
+
+  test("expires overrides at the end of the day", () => {
+    let now = Date.parse("2025-06-30T12:00:00Z");
+
+    assert.equal(isOverrideExpired({ expires: "2025-06-30" }, now), false);
+    assert.equal(isOverrideExpired({ expires: "2025-06-29" }, now), true);
+    assert.equal(
+      isOverrideExpired({ expires: "2025-06-30T09:00:00Z" }, now),
+      true,
+    );
+    assert.equal(isOverrideExpired({}, now), false);
+    assert.equal(isOverrideExpired({ expires: "someday" }, now), false);
+  });
+});
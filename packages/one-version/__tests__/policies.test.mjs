@@ -0,0 +1,74 @@
+import assert from "node:assert";
+import { describe, test } from "node:test";
+import { isAllowedBy, isBannedBy } from "../utils/policies.mjs";
+
+describe("policies", () => {
+  test("bans dependencies by name", () => {
+    let policy = { name: "lodash", replacement: "lodash-es" };
+
+    assert.equal(
+      isBannedBy(policy, { packageName: "lodash", specifier: "^4.17.21" }),
+      true,
+    );
+    assert.equal(
+      isBannedBy(policy, { packageName: "lodash-es", specifier: "^4.17.21" }),
+      false,
+    );
+    assert.equal(
+      isBannedBy(
+        { name: "@types/*" },
+        { packageName: "@types/react", specifier: "^18" },
+      ),
+      true,
+    );
+  });
+
+  test("bans ranges that may resolve within the version", () => {
+    let policy = { name: "lodash", version: "<4.17.21" };
+
+    assert.equal(
+      isBannedBy(policy, { packageName: "lodash", specifier: "^4.17.0" }),
+      true,
+    );
+    assert.equal(
+      isBannedBy(policy, { packageName: "lodash", specifier: "4.17.21" }),
+      false,
+    );
+  });
+
+  test("bans specifiers matching a glob", () => {
+    let policy = { name: "*", version: "git*" };
+
+    assert.equal(
+      isBannedBy(policy, {
+        packageName: "left-pad",
+        specifier: "git+https://github.com/acme/left-pad.git#1.2.0",
+      }),
+      true,
+    );
+    assert.equal(
+      isBannedBy(policy, { packageName: "left-pad", specifier: "1.2.0" }),
+      false,
+    );
+  });
+
+  test("only allows ranges within the version", () => {
+    let policy = { name: "react", version: "^18" };
+
+    assert.equal(
+      isAllowedBy(policy, { packageName: "react", specifier: "18.3.1" }),
+      true,
+    );
+    assert.equal(
+      isAllowedBy(policy, { packageName: "react", specifier: ">=17" }),
+      false,
+    );
+    assert.equal(
+      isAllowedBy(
+        { name: "react" },
+        { packageName: "react", specifier: "latest" },
+      ),
+      true,
+    );
+  });
+});
@@ -0,0 +1,123 @@
+import assert from "node:assert";
+import { describe, test } from "node:test";
+import {
+  compareVersions,
+  formatVersion,
+  getLowestVersion,
+  getMinimumVersion,
+  intersectRanges,
+  intersects,
+  isWithinMajor,
+  parseExactVersion,
+  parseRange,
+  parseVersion,
+  satisfies,
+} from "../utils/semver.mjs";
+
+describe("semver", () => {
+  test("parses full and partial versions", () => {
+    assert.deepEqual(parseVersion("18.3.1"), {
+      major: 18,
+      minor: 3,
+      patch: 1,
+      prerelease: [],
+    });
+    assert.deepEqual(parseVersion("15.0.1-canary.0"), {
+      major: 15,
+      minor: 0,
+      patch: 1,
+      prerelease: ["canary", "0"],
+    });
+    assert.equal(formatVersion(parseVersion("5")), "5.0.0");
+    assert.equal(parseVersion("latest"), null);
+  });
+
+  test("compares versions including prereleases", () => {
+    let sorted = ["1.0.0", "1.0.0-rc.1", "1.0.0-alpha", "0.9.9", "1.0.0-rc.10"]
+      .map(parseVersion)
+      .sort(compareVersions)
+      .map(formatVersion);
+
+    assert.deepEqual(sorted, [
+      "0.9.9",
+      "1.0.0-alpha",
+      "1.0.0-rc.1",
+      "1.0.0-rc.10",
+      "1.0.0",
+    ]);
+  });
+
+  test("gets the minimum version of simple specifiers", () => {
+    assert.equal(formatVersion(getMinimumVersion("^5.4")), "5.4.0");
+    assert.equal(formatVersion(getMinimumVersion("~1.2.3")), "1.2.3");
+    assert.equal(formatVersion(getMinimumVersion(">=2")), "2.0.0");
+    assert.equal(getMinimumVersion("workspace:*"), null);
+    assert.equal(getMinimumVersion(">=1 <2"), null);
+  });
+
+  test("checks whether versions satisfy ranges", () => {
+    let check = (version, range) =>
+      satisfies(parseVersion(version), parseRange(range));
+
+    assert.equal(check("18.3.1", "^18.2.0"), true);
+    assert.equal(check("17.0.2", "^18.2.0"), false);
+    assert.equal(check("0.2.5", "^0.2.3"), true);
+    assert.equal(check("0.3.0", "^0.2.3"), false);
+    assert.equal(check("1.2.9", "~1.2.3"), true);
+    assert.equal(check("1.3.0", "~1.2.3"), false);
+    assert.equal(check("2.4.0", "1.x || >=2.3.0 <3"), true);
+    assert.equal(check("1.5.0", "1.2.3 - 1.4"), false);
+    assert.equal(check("5.0.0", "*"), true);
+    // prereleases only satisfy ranges with a prerelease on the same version
+    assert.equal(check("1.0.0-rc.1", "^1.0.0-beta"), true);
+    assert.equal(check("1.1.0-rc.1", "^1.0.0"), false);
+  });
+
+  test("only parses semver ranges", () => {
+    assert.equal(parseRange("latest"), null);
+    assert.equal(parseRange("workspace:*"), null);
+    assert.equal(parseRange("npm:react@18"), null);
+    assert.equal(formatVersion(parseExactVersion("=18.3.1")), "18.3.1");
+    assert.equal(parseExactVersion("^18.3.1"), null);
+    assert.equal(parseExactVersion("18.3"), null);
+  });
+
+  test("intersects ranges", () => {
+    let check = (a, b) => intersects(parseRange(a), parseRange(b));
+
+    assert.equal(check("^18.2.0", "18.3.1"), true);
+    assert.equal(check("^17", "^18"), false);
+    assert.equal(check(">=1 <3", "2.x"), true);
+    assert.equal(check("<=1.0.0", ">=1.0.0"), true);
+    assert.equal(check("<1.0.0", ">=1.0.0"), false);
+    assert.equal(check("1.x || ^3", "3.1.0"), true);
+    assert.deepEqual(
+      intersectRanges(parseRange("<2 || >3"), parseRange(">=1 <2.5")).length,
+      1,
+    );
+  });
+
+  test("gets the lowest version of a range", () => {
+    assert.equal(formatVersion(getLowestVersion(parseRange("^5.4"))), "5.4.0");
+    assert.equal(formatVersion(getLowestVersion(parseRange("<2"))), "0.0.0");
+    assert.equal(
+      formatVersion(getLowestVersion(parseRange("^3 || ^2.1"))),
+      "2.1.0",
+    );
+  });
+
+  test("checks whether ranges stay within a major version", () => {
+    for (let range of [
+      "^18.2.0",
+      "~18.2.0",
+      "18.x",
+      "18.2.0",
+      ">=18.1 <18.4",
+    ]) {
+      assert.equal(isWithinMajor(parseRange(range)), true, range);
+    }
+    for (let range of [">=18", "17 || 18", "*", "^17.0.2 || ^18"]) {
+      assert.equal(isWithinMajor(parseRange(range)), false, range);
+    }
+  });
+});
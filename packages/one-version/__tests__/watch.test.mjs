@@ -0,0 +1,62 @@
+import assert from "node:assert";
+import { mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { after, describe, test } from "node:test";
+import { createWatcher, diffByKey, getGlobRoot } from "../utils/watch.mjs";
+
+describe("getGlobRoot", () => {
+  test("returns the directory before the first wildcard", () => {
+    assert.equal(getGlobRoot("packages/*"), "packages");
+    assert.equal(getGlobRoot("./apps/**"), "apps");
+    assert.equal(getGlobRoot("packages/@scope/*"), "packages/@scope");
+    assert.equal(getGlobRoot("{apps,packages}/*"), ".");
+    assert.equal(getGlobRoot("*"), ".");
+  });
+
+  test("returns the parent directory of globs without wildcards", () => {
+    assert.equal(getGlobRoot("tools/cli"), "tools");
+    assert.equal(getGlobRoot("docs/"), ".");
+  });
+});
+
+describe("diffByKey", () => {
+  test("splits items into introduced and resolved", () => {
+    assert.deepEqual(
+      diffByKey(
+        [{ id: "a" }, { id: "b" }],
+        [{ id: "b", changed: true }, { id: "c" }],
+        (item) => item.id,
+      ),
+      { introduced: [{ id: "c" }], resolved: [{ id: "a" }] },
+    );
+  });
+});
+
+describe("createWatcher", () => {
+  let tempDir = mkdtempSync(path.join(tmpdir(), "one-version-"));
+
+  after(() => {
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test("batches the changes within watched directories", async () => {
+    let changes = new Promise((resolve) => {
+      let watcher = createWatcher({
+        onChange(changedPaths) {
+          watcher.close();
+          resolve(changedPaths);
+        },
+        delay: 50,
+      });
+      watcher.update([tempDir, path.join(tempDir, "missing")]);
+    });
+    writeFileSync(path.join(tempDir, "package.json"), "{}");
+    writeFileSync(path.join(tempDir, "deno.json"), "{}");
+
+    assert.deepEqual([...(await changes)].sort(), [
+      path.join(tempDir, "deno.json"),
+      path.join(tempDir, "package.json"),
+    ]);
+  });
+});
@@ -0,0 +1,70 @@
+import assert from "node:assert";
+import { describe, test } from "node:test";
+import { parse } from "../utils/yaml-parser.mjs";
+
+describe("yaml-parser", () => {
+  test("parses block mappings and sequences", () => {
+    let result = parse(`
+# a comment
+packages:
+  - 'packages/*'
+  - "apps/*" # trailing comment
+  - '!packages/legacy'
+catalog:
+  react: ^18.3.1
+  typescript: 5.4
+nested:
+- name: first
+  private: true
+- second
+`);
+
+    assert.deepEqual(result, {
+      packages: ["packages/*", "apps/*", "!packages/legacy"],
+      catalog: {
+        react: "^18.3.1",
+        // versions are kept as strings
+        typescript: "5.4",
+      },
+      nested: [{ name: "first", private: true }, "second"],
+    });
+  });
+
+  test("parses flow collections and quoted keys", () => {
+    let result = parse(`
+'@img/sharp-darwin-x64@0.33.5':
+  resolution: {integrity: sha512-abc==}
+  engines: {node: ^18.17.0 || ^20.3.0 || >=21.0.0}
+  cpu: [x64]
+"js-tokens@npm:^3.0.0 || ^4.0.0":
+  version: 4.0.0
+  empty: {}
+  escaped: 'it''s'
+`);
+
+    assert.deepEqual(result, {
+      "@img/sharp-darwin-x64@0.33.5": {
+        resolution: { integrity: "sha512-abc==" },
+        engines: { node: "^18.17.0 || ^20.3.0 || >=21.0.0" },
+        cpu: ["x64"],
+      },
+      "js-tokens@npm:^3.0.0 || ^4.0.0": {
+        version: "4.0.0",
+        empty: {},
+        escaped: "it's",
+      },
+    });
+  });
+
+  test("throws on invalid indentation", () => {
+    assert.throws(
+      () =>
+        parse(`
+foo:
+  bar: 1
+    baz: 2
+`),
+      SyntaxError,
+    );
+  });
+});
@@ -1,10 +1,26 @@
 #!/usr/bin/env node
+import { getEventListeners } from "node:events";
+import { constants } from "node:os";
 import { start } from "../one-version.mjs";
 
+// Lets `--watch` close its watchers and exit with the status of the last check,
+// while other commands (which don't listen to the signal) exit right away
+let controller = new AbortController();
+for (let signal of /** @type {const} */ (["SIGINT", "SIGTERM"])) {
+  process.once(signal, () => {
+    if (getEventListeners(controller.signal, "abort").length === 0) {
+      process.exit(128 + constants.signals[signal]);
+    }
+    controller.abort();
+  });
+}
+
 start({
   rootDirectory: process.cwd(),
   logger: console,
   args: process.argv.slice(2),
+  color: Boolean(process.stdout.isTTY) && !process.env.NO_COLOR,
+  signal: controller.signal,
 })
   .then((result) => {
     if (typeof result.statusCode === "number") {
@@ -1,10 +1,58 @@
-import { execSync as exec } from "node:child_process";
-import { existsSync, readFileSync } from "node:fs";
+import {
+  existsSync,
+  readdirSync,
+  readFileSync,
+  statSync,
+  writeFileSync,
+} from "node:fs";
 import path, { join as pathJoin } from "node:path";
+import { pathToFileURL } from "node:url";
 import { globSync } from "tinyglobby";
 
+import { formatFlags, parseArgs } from "./utils/args.mjs";
+import {
+  createBaseline,
+  isBaselined,
+  pruneBaseline,
+  validateBaseline,
+} from "./utils/baseline.mjs";
+import { createColors } from "./utils/colors.mjs";
+import { mergeConfigs, resolveExtends } from "./utils/config-extends.mjs";
+import {
+  getSuggestion,
+  parseConfig,
+  validateConfig,
+} from "./utils/config-validation.mjs";
 import { createDebug } from "./utils/create-debug.mjs";
+import { getChangedFiles, readFileAtRef } from "./utils/git.mjs";
+import { removeProperties, replaceValues } from "./utils/json-edit.mjs";
 import { parse } from "./utils/jsonc-parser.mjs";
+import { readLockfile, resolveDependency } from "./utils/lockfiles.mjs";
+import {
+  getOverrideEntries,
+  isOverridden,
+  isOverrideExpired,
+  matchesGlob,
+  matchesOverrideEntry,
+  resolveOverrideWorkspaces,
+} from "./utils/overrides.mjs";
+import { isAllowedBy, isBannedBy } from "./utils/policies.mjs";
+import { junitReporter, sarifReporter } from "./utils/reporters.mjs";
+import {
+  compareVersions,
+  formatVersion,
+  getLowestVersion,
+  getMinimumVersion,
+  intersectRanges,
+  intersects,
+  isSubset,
+  isWithinMajor,
+  parseExactVersion,
+  parseRange,
+  satisfies,
+} from "./utils/semver.mjs";
+import { createWatcher, diffByKey, getGlobRoot } from "./utils/watch.mjs";
+import { parse as parseYAML } from "./utils/yaml-parser.mjs";
 
 let debug = createDebug("one-version");
 
@@ -13,39 +61,349 @@ let debug = createDebug("one-version");
  * @typedef {string} PackageName      - Name of dependency, e.g. "react"
  * @typedef {string} VersionSpecifier - Version specifier, e.g. "^16.8.0"
  * @typedef {string} WorkspaceName    - Name of workspace, e.g. "one-version"
- * @typedef {'yarn-classic' | 'yarn-berry' | 'npm' | 'pnpm' | 'bun'} PackageManager
- * @typedef {Record<PackageName, Record<VersionSpecifier, Array<WorkspaceName>>} Overrides
- * @typedef {'pin' | 'loose'} VersionStrategy
+ * @typedef {'yarn-classic' | 'yarn-berry' | 'npm' | 'pnpm' | 'bun' | 'deno'} PackageManager
+ * @typedef {Record<PackageName, Record<VersionSpecifier, Array<WorkspaceName> | OverrideDetails>>} Overrides
+ * @typedef {object} OverrideDetails - The object form of an override, e.g. `{"workspaces": ["pkg-a"], "reason": "..."}`
+ * @property {Array<WorkspaceName>} workspaces
+ * @property {string} [reason] - Why the override exists
+ * @property {string} [owner] - Who to ask about the override, e.g. a team or GitHub handle
+ * @property {string} [expires] - A date (e.g. `2025-06-30`) after which the override is reported, see `expiredOverrides`
+ * @typedef {'pin' | 'loose' | 'tilde-only' | 'caret-only' | 'major-only'} VersionStrategy
+ * @typedef {object} VersionRule - A version strategy for some of the dependencies, see `getVersionStrategy`
+ * @property {Array<string>} [dependencies] - Globs of package names, e.g. `@types/*`
+ * @property {Array<string>} [workspaces] - Globs of workspace names or paths, e.g. `apps/*`
+ * @property {Array<'direct' | 'dev' | 'optional' | 'peer' | 'import'>} [dependencyTypes] - Defaults to every type other than `peer`
+ * @property {VersionStrategy} strategy
+ * @typedef {'exact' | 'intersecting' | 'same-major'} DuplicateStrategy
+ * @typedef {'workspace:*' | 'workspace:^' | 'workspace:~' | 'version'} InternalDependencyProtocol
+ * @typedef {object} DependencyPolicy - An entry within `bannedDependencies` or `allowedDependencies`
+ * @property {string} name - Glob of dependency names, e.g. `moment` or `@types/*`
+ * @property {string} [version] - A semver range (e.g. `<4.17.21`) or glob of specifiers (e.g. `git*`), defaults to any version
+ * @property {string} [message] - Why the dependency is banned
+ * @property {string} [replacement] - What to use instead, e.g. `lodash-es`
+ * @typedef {'text' | 'json' | 'sarif' | 'junit'} Format
  *
  * @typedef {object} Config
+ * @property {string | Array<string>} [extends] - Configs to extend, as relative paths or package names, see `mergeConfigs`
  * @property {PackageManager} packageManager
  * @property {Overrides} overrides
  * @property {VersionStrategy} versionStrategy
+ * @property {Array<VersionRule>} [rules] - Strategies for some of the dependencies, the most specific matching rule is used over `versionStrategy`
+ * @property {DuplicateStrategy} duplicateStrategy - How different specifiers of the same dependency are compared, defaults to `exact`
+ * @property {Format} format
+ * @property {string} [output] - File to write the report to, relative to the root directory
+ * @property {boolean} [lockfile] - Compare the versions resolved within the lockfile, rather than the declared specifiers
+ * @property {boolean} [requireCatalog] - Require dependencies defined within a catalog to be referenced with `catalog:`
+ * @property {boolean} [includeRoot] - Include the root package.json within the duplicate check, defaults to `true`
+ * @property {'error' | 'warn'} [expiredOverrides] - Whether expired overrides fail the check, defaults to `error`
+ * @property {boolean} [checkPeerDependencies] - Check that peer dependencies of workspaces are satisfied by the workspaces depending on them, defaults to `false`
+ * @property {InternalDependencyProtocol} [internalDependencies] - How workspaces must reference other workspaces within the repo
+ * @property {Array<DependencyPolicy>} [bannedDependencies] - Dependencies that may not be used
+ * @property {Array<DependencyPolicy>} [allowedDependencies] - When set, the only dependencies that may be used (besides workspaces within the repo)
+ *
+ * @typedef {import("./utils/lockfiles.mjs").Lockfile} Lockfile
+ */
+
+/**
+ * Config files within the root directory, in order of precedence
+ */
+let CONFIG_FILE_NAMES = [
+  "one-version.config.ts",
+  "one-version.config.mjs",
+  "one-version.config.cjs",
+  "one-version.config.jsonc",
+  "one-version.config.json",
+];
+
+/**
+ * @typedef {object} ConfigSource
+ * @property {string} path - Absolute path to the file the config is read from
+ * @property {'module' | 'json'} type - JS and TS config files are imported, JSON(C) files are parsed
+ * @property {Array<string>} jsonPath - Where the config is within a JSON file, e.g. `["one-version"]` within package.json
  */
 
 /**
+ * @param {string} filePath
+ * @returns {ConfigSource}
+ */
+function getFileConfigSource(filePath) {
+  if (/\.[cm]?[jt]s$/.test(filePath)) {
+    return { path: filePath, type: "module", jsonPath: [] };
+  }
+  return {
+    path: filePath,
+    type: "json",
+    jsonPath: path.basename(filePath) === "package.json" ? ["one-version"] : [],
+  };
+}
+
+/**
+ * Finds where to read the config from, in order of precedence:
+ *
+ * 1. The `--config <path>` flag
+ * 2. `one-version.config.ts`, `.mjs`, `.cjs`, `.jsonc` and then `.json` within the root directory
+ * 3. The `"one-version"` key within the root package.json
+ *
  * @param {object} options
  * @param {string} options.rootDirectory
- * @returns {Config} config
+ * @param {string} [options.configPath] - From the `--config` flag, relative to the root directory
+ * @returns {ConfigSource | undefined} - `undefined` if there's no config, the file may not exist when passed with `--config`
  */
-function loadConfig({ rootDirectory }) {
-  try {
-    // prefer jsonc first, then fallback to .json
-    if (existsSync(pathJoin(rootDirectory, "one-version.config.jsonc"))) {
-      return parse(
-        readFileSync(
-          pathJoin(rootDirectory, "one-version.config.jsonc"),
-          "utf8",
-        ),
+function getConfigSource({ rootDirectory, configPath }) {
+  let filePath = configPath
+    ? path.resolve(rootDirectory, configPath)
+    : CONFIG_FILE_NAMES.map((fileName) =>
+        pathJoin(rootDirectory, fileName),
+      ).find((candidate) => existsSync(candidate));
+  if (filePath) {
+    return getFileConfigSource(filePath);
+  }
+  let packageJSONPath = pathJoin(rootDirectory, "package.json");
+  if (
+    existsSync(packageJSONPath) &&
+    parse(readFileSync(packageJSONPath, "utf8"))?.["one-version"] !== undefined
+  ) {
+    return { path: packageJSONPath, type: "json", jsonPath: ["one-version"] };
+  }
+}
+
+/**
+ * The schema config files are validated against, also published at
+ * https://one-version.vercel.app/schema.json
+ */
+let CONFIG_SCHEMA = JSON.parse(
+  readFileSync(new URL("./schema.json", import.meta.url), "utf8"),
+);
+
+/**
+ * Imports a JS or TS config file, which default exports either the config or
+ * a (possibly async) function returning it
+ *
+ * @param {object} options
+ * @param {string} options.rootDirectory
+ * @param {string} options.configPath
+ * @returns {Promise<unknown>}
+ */
+async function importConfig({ rootDirectory, configPath }) {
+  let module = await import(pathToFileURL(configPath).href);
+  let exported = module.default ?? module;
+  return typeof exported === "function"
+    ? await exported({ rootDirectory })
+    : exported;
+}
+
+/**
+ * Reads a single config file (without resolving `extends`), logging any
+ * syntax errors or invalid values with their location within the file
+ *
+ * @param {object} options
+ * @param {string} options.rootDirectory
+ * @param {ConfigSource} options.configSource
+ * @param {Logger} options.logger
+ * @returns {Promise<Partial<Config> | undefined>} - `undefined` if the config is invalid
+ */
+async function readConfig({ rootDirectory, configSource, logger }) {
+  let relativePath = path.relative(rootDirectory, configSource.path);
+  if (configSource.type === "module") {
+    let config;
+    try {
+      config = await importConfig({
+        rootDirectory,
+        configPath: configSource.path,
+      });
+    } catch (error) {
+      logger.error(
+        `Could not load ${relativePath}: ${error.message}${
+          error.code === "ERR_UNKNOWN_FILE_EXTENSION"
+            ? "\nTypeScript config files require a version of Node.js that supports type stripping, or a loader such as tsx"
+            : ""
+        }`,
+      );
+      return;
+    }
+    let errors = validateConfig(config, CONFIG_SCHEMA);
+    if (errors.length > 0) {
+      for (let { message } of errors) {
+        logger.error(`${relativePath} - ${message}`);
+      }
+      return;
+    }
+    // copied, since defaults are filled in on the config
+    return { .../** @type {Partial<Config>} */ (config) };
+  }
+
+  let { config, errors } = parseConfig(
+    readFileSync(configSource.path, "utf8"),
+    CONFIG_SCHEMA,
+    configSource.jsonPath,
+  );
+  if (errors.length > 0) {
+    for (let { line, column, message } of errors) {
+      logger.error(`${relativePath}:${line}:${column} - ${message}`);
+    }
+    return;
+  }
+  return /** @type {Partial<Config>} */ (config);
+}
+
+/**
+ * Merges the configs listed within `extends` (in order, each resolving its
+ * own `extends` first) and then the config itself, see `mergeConfigs`
+ *
+ * @param {object} options
+ * @param {string} options.rootDirectory
+ * @param {Partial<Config>} options.config
+ * @param {ConfigSource} [options.configSource] - `undefined` for configs passed to `check`, which resolve relative paths from the root directory
+ * @param {Array<string>} options.chain - Paths of the configs extending this one, to detect cycles
+ * @param {Logger} options.logger
+ * @returns {Promise<Partial<Config> | undefined>} - `undefined` if an extended config is missing, invalid or circular
+ */
+async function resolveExtendedConfig({
+  rootDirectory,
+  config,
+  configSource,
+  chain,
+  logger,
+}) {
+  let { extends: extended = [], ...ownConfig } = config;
+  let relativePath = configSource
+    ? path.relative(rootDirectory, configSource.path)
+    : "the config option";
+  /** @type {Partial<Config>} */
+  let resolvedConfig = {};
+  for (let specifier of [extended].flat()) {
+    let extendedPath = resolveExtends(specifier, {
+      configPath: configSource?.path ?? pathJoin(rootDirectory, "package.json"),
+      rootDirectory,
+    });
+    if (!extendedPath) {
+      logger.error(
+        `Could not resolve "${specifier}" (extended by ${relativePath})`,
+      );
+      return;
+    }
+    let extendedChain = configSource ? [...chain, configSource.path] : chain;
+    if (extendedChain.includes(extendedPath)) {
+      logger.error(
+        `Circular extends: ${[...extendedChain, extendedPath]
+          .map((configPath) => path.relative(rootDirectory, configPath))
+          .join(" → ")}`,
       );
+      return;
+    }
+    debug("Extending", relativePath, "with", extendedPath);
+    let extendedSource = getFileConfigSource(extendedPath);
+    let extendedConfig = await readConfig({
+      rootDirectory,
+      configSource: extendedSource,
+      logger,
+    });
+    if (!extendedConfig) {
+      return;
+    }
+    let resolvedExtendedConfig = await resolveExtendedConfig({
+      rootDirectory,
+      config: extendedConfig,
+      configSource: extendedSource,
+      chain: extendedChain,
+      logger,
+    });
+    if (!resolvedExtendedConfig) {
+      return;
+    }
+    resolvedConfig = mergeConfigs(resolvedConfig, resolvedExtendedConfig);
+  }
+  return mergeConfigs(resolvedConfig, ownConfig);
+}
+
+/**
+ * Reads the config (if there is one) and the configs it extends, without
+ * filling in defaults (see `resolveConfig`)
+ *
+ * @param {object} options
+ * @param {string} options.rootDirectory
+ * @param {string} [options.configPath] - Read the config from this file (relative to the root directory), instead of looking for one
+ * @param {Partial<Config>} [options.config] - Use this config instead of reading one, it's still validated and may use `extends`
+ * @param {Logger} [options.logger] - Where errors within the config are logged, defaults to `console`
+ * @returns {Promise<{config: Partial<Config>, configSource: ConfigSource | undefined} | undefined>} - `undefined` if the config is invalid
+ */
+export async function loadConfig({
+  rootDirectory,
+  configPath,
+  config: inlineConfig,
+  logger = console,
+}) {
+  if (inlineConfig) {
+    let errors = validateConfig(inlineConfig, CONFIG_SCHEMA);
+    if (errors.length > 0) {
+      for (let { message } of errors) {
+        logger.error(`Invalid config - ${message}`);
+      }
+      return;
     }
-    return parse(
-      readFileSync(pathJoin(rootDirectory, "one-version.config.json"), "utf8"),
+    let resolvedConfig = await resolveExtendedConfig({
+      rootDirectory,
+      config: inlineConfig,
+      chain: [],
+      logger,
+    });
+    return (
+      resolvedConfig && { config: resolvedConfig, configSource: undefined }
     );
-  } catch (error) {
-    debug("Error loading config", error);
-    return {};
   }
+
+  let configSource = getConfigSource({ rootDirectory, configPath });
+  if (!configSource) {
+    debug("No config found within", rootDirectory);
+    return { config: {}, configSource };
+  }
+  let relativePath = path.relative(rootDirectory, configSource.path);
+  if (!existsSync(configSource.path)) {
+    logger.error(`Could not find config file: ${relativePath}`);
+    return;
+  }
+  debug(
+    "Config path",
+    configSource.jsonPath.length > 0
+      ? `${relativePath} (${configSource.jsonPath.join(".")})`
+      : relativePath,
+  );
+
+  let config = await readConfig({ rootDirectory, configSource, logger });
+  if (!config) {
+    return;
+  }
+  let resolvedConfig = await resolveExtendedConfig({
+    rootDirectory,
+    config,
+    configSource,
+    chain: [],
+    logger,
+  });
+  if (!resolvedConfig) {
+    return;
+  }
+  return { config: resolvedConfig, configSource };
+}
+
+/**
+ * Fills in the defaults of a config, inferring the package manager from the
+ * lockfile (or config) within the root directory when it isn't set
+ *
+ * @param {Partial<Config>} config
+ * @param {object} options
+ * @param {string} options.rootDirectory
+ * @returns {Config} - `packageManager` is left unset if it can't be inferred
+ */
+export function resolveConfig(config, { rootDirectory }) {
+  return /** @type {Config} */ ({
+    ...config,
+    packageManager:
+      config.packageManager || inferPackageManager({ rootDirectory }),
+    versionStrategy: config.versionStrategy || "loose",
+    duplicateStrategy: config.duplicateStrategy || "exact",
+    format: config.format || "text",
+  });
 }
 
 // MARK: Infer Package Manager
@@ -74,10 +432,19 @@ function inferPackageManager({ rootDirectory }) {
   ) {
     return "bun";
   }
+  if (
+    existsSync(pathJoin(rootDirectory, "deno.lock")) ||
+    findDenoConfig({ directory: rootDirectory })
+  ) {
+    return "deno";
+  }
 }
 
 // MARK: Get Workspaces
 /**
+ * The root package isn't included, it's loaded separately as
+ * `rootDependencies` within `loadRepository`
+ *
  * @typedef {object} Workspace
  * @property {string} name
  * @property {string} path
@@ -87,323 +454,981 @@ function inferPackageManager({ rootDirectory }) {
  * @param {PackageManager} options.packageManager
  * @returns {Array<Workspace>}
  */
-function getWorkspaces({ rootDirectory, packageManager }) {
+export function getWorkspaces({ rootDirectory, packageManager }) {
+  return expandWorkspaceGlobs({
+    rootDirectory,
+    ...getWorkspacePatterns({ rootDirectory, packageManager }),
+  });
+}
+
+/**
+ * Reads the workspace globs, and the files marking a directory as a workspace,
+ * for the package manager
+ *
+ * @param {object} options
+ * @param {string} options.rootDirectory
+ * @param {PackageManager} options.packageManager
+ * @returns {{workspaceGlobs: Array<string>, manifestFiles?: Array<string>}}
+ */
+function getWorkspacePatterns({ rootDirectory, packageManager }) {
   switch (packageManager) {
     case "pnpm": {
-      let workspaces = [];
-      try {
-        // this can fail if not running in a monorepo
-        let stdout = exec("pnpm list -r --json --depth -1", {
-          cwd: rootDirectory,
-          encoding: "utf8",
-          stdio: ["ignore", "pipe", "ignore"],
-        }).trim();
-        /**
-         * @type {Array<{
-         *   name: string;
-         *   path: string; // absolute path
-         *   private: boolean;
-         *   version?: string;
-         * }>}
-         */
-        let parsedWorkspaces = JSON.parse(stdout);
-        workspaces = parsedWorkspaces.map(({ name, path }) => ({ name, path }));
-        return workspaces;
-      } catch (error) {
-        // @TODO: consider if we should surface this error to the user
-        // it could be a config issue if they expect to find workspaces :thinking:
-        debug("Error getting workspaces", error);
-        return workspaces;
-      }
-    }
-    case "yarn-classic": {
-      let workspaces = [];
-      // Yarn Classic does not include the root package.
+      let { packages } = readPnpmWorkspaceConfig({ rootDirectory });
+      return { workspaceGlobs: packages };
+    }
+    case "deno": {
+      // Deno workspaces can be defined within deno.json, package.json, or both
+      let { workspace } = readDenoConfig({ directory: rootDirectory }) ?? {};
       let rootPackageJSONPath = path.join(rootDirectory, "package.json");
-      let rootPackageJSON = JSON.parse(
-        readFileSync(rootPackageJSONPath, { encoding: "utf8" }),
-      );
-      workspaces.push({
-        name: rootPackageJSON.name,
-        path: rootDirectory,
-      });
-      try {
-        // Silent still prints out some character escape sequences at the beginning that `trim` / `trimStart` doesn't remove
-        // Passing `--json` changes the output to be a stringified object of: `log` and `data`
-        // where `data` is a stringified object of workspace names and their dependencies
-        let stdout = exec("yarn --silent --json workspaces info", {
-          cwd: rootDirectory,
-          encoding: "utf8",
-          stdio: ["ignore", "pipe", "ignore"],
-        }).trim();
-        let output = JSON.parse(stdout);
-        /**
-         * @type {{
-         *   [name: string]: {
-         *     location: string; // relative path
-         *     workspaceDependencies: string[];
-         *     mismatchedWorkspaceDependencies: string[]
-         *   }
-         * }}
-         */
-        let parsedWorkspaces = JSON.parse(output.data);
-
-        return [
-          ...workspaces,
-          ...Object.entries(parsedWorkspaces).map(([name, { location }]) => ({
-            name,
-            path: path.join(rootDirectory, location),
-          })),
-        ];
-      } catch (error) {
-        debug("Error getting workspaces", error);
-        return workspaces;
-      }
+      let rootPackageJSON = existsSync(rootPackageJSONPath)
+        ? JSON.parse(readFileSync(rootPackageJSONPath, { encoding: "utf8" }))
+        : {};
+      return {
+        workspaceGlobs: [
+          ...((Array.isArray(workspace) ? workspace : workspace?.members) ??
+            []),
+          ...getWorkspaceGlobs(rootPackageJSON),
+        ],
+        manifestFiles: [...DENO_CONFIG_FILES, "package.json"],
+      };
     }
+    case "npm":
+    case "bun":
+    case "yarn-classic":
     case "yarn-berry": {
-      let workspaces = [];
-      try {
-        // http://ndjson.org/
-        let ndJSONWorkspaces = exec("yarn workspaces list --json", {
-          cwd: rootDirectory,
+      let rootPackageJSON = JSON.parse(
+        readFileSync(path.join(rootDirectory, "package.json"), {
           encoding: "utf8",
-          stdio: ["ignore", "pipe", "ignore"],
-        });
-
-        if (ndJSONWorkspaces !== "") {
-          /**
-           * @type {Array<{
-           *   name: string;
-           *   location: string; // relative path
-           * }>}
-           */
-          let parsedWorkspaces = ndJSONWorkspaces
-            .replace(/\n*$/, "") // strip out trailing new line
-            .split("\n") // split on new line
-            .map((str) => JSON.parse(str)); // parse each workspace
-
-          return parsedWorkspaces.map(({ location, name }) => ({
-            name,
-            path: path.join(rootDirectory, location),
-          }));
-        }
-      } catch (error) {
-        debug("Error getting workspaces", error);
-        return workspaces;
-      }
-      return [];
-    }
-    case "npm": {
-      let rootPackageJSON = readFileSync(
-        path.join(rootDirectory, "package.json"),
-        { encoding: "utf8" },
+        }),
       );
-      rootPackageJSON = JSON.parse(rootPackageJSON);
-      let workspaceGlobs = rootPackageJSON.workspaces || [];
-
-      let workspaces = [];
-      for (let workspaceGlob of workspaceGlobs) {
-        let workspacePaths = globSync(workspaceGlob, {
-          cwd: rootDirectory,
-          absolute: true,
-          onlyDirectories: true,
-        });
-        for (let workspacePath of workspacePaths) {
-          workspaces.push({
-            name: path.basename(workspacePath),
-            path: workspacePath,
-          });
-        }
-      }
-      return workspaces;
+      return { workspaceGlobs: getWorkspaceGlobs(rootPackageJSON) };
     }
-    case "bun": {
-      let rootPackageJSON = readFileSync(
-        path.join(rootDirectory, "package.json"),
-        { encoding: "utf8" },
-      );
-      rootPackageJSON = JSON.parse(rootPackageJSON);
-      let workspaceGlobs = rootPackageJSON.workspaces || [];
-
-      let workspaces = [];
-      for (let workspaceGlob of workspaceGlobs) {
-        let workspacePaths = globSync(workspaceGlob, {
-          cwd: rootDirectory,
-          absolute: true,
-          onlyDirectories: true,
-        });
-        for (let workspacePath of workspacePaths) {
-          workspaces.push({
-            name: path.basename(workspacePath),
-            path: workspacePath,
-          });
-        }
-      }
-      return workspaces;
+  }
+}
+
+/**
+ * @typedef {object} PnpmWorkspaceConfig
+ * @property {Array<string>} packages - Workspace globs
+ * @property {Catalogs} catalogs
+ *
+ * @see https://pnpm.io/pnpm-workspace_yaml
+ *
+ * @param {object} options
+ * @param {string} options.rootDirectory
+ * @returns {PnpmWorkspaceConfig}
+ */
+function readPnpmWorkspaceConfig({ rootDirectory }) {
+  let configPath = path.join(rootDirectory, "pnpm-workspace.yaml");
+  if (!existsSync(configPath)) {
+    return { packages: [], catalogs: {} };
+  }
+  let config = parseYAML(readFileSync(configPath, { encoding: "utf8" })) ?? {};
+  return {
+    packages: config.packages ?? [],
+    catalogs: normalizeCatalogs(config),
+  };
+}
+
+/**
+ * Reads the workspace globs from a root package.json, supporting both the
+ * array form (`"workspaces": ["packages/*"]`) and the object form
+ * (`"workspaces": { "packages": ["packages/*"] }`)
+ *
+ * @param {{workspaces?: Array<string> | {packages?: Array<string>}}} rootPackageJSON
+ * @returns {Array<string>}
+ */
+function getWorkspaceGlobs({ workspaces }) {
+  if (Array.isArray(workspaces)) {
+    return workspaces;
+  }
+  return workspaces?.packages ?? [];
+}
+
+/**
+ * Expands workspace globs into the matching workspaces, using the name from
+ * each workspace's package.json. Globs prefixed with `!` exclude matches, and
+ * directories without a package.json are skipped.
+ *
+ * @param {object} options
+ * @param {string} options.rootDirectory
+ * @param {Array<string>} options.workspaceGlobs
+ * @param {Array<string>} [options.manifestFiles] - Files that mark a directory as a workspace, in order of precedence for reading its name
+ * @returns {Array<Workspace>}
+ */
+function expandWorkspaceGlobs({
+  rootDirectory,
+  workspaceGlobs,
+  manifestFiles = ["package.json"],
+}) {
+  let patterns = workspaceGlobs.filter((glob) => !glob.startsWith("!"));
+  if (patterns.length === 0) {
+    return [];
+  }
+  let workspacePaths = globSync(patterns, {
+    cwd: rootDirectory,
+    absolute: true,
+    onlyDirectories: true,
+    expandDirectories: false,
+    ignore: [
+      "**/node_modules/**",
+      ...workspaceGlobs
+        .filter((glob) => glob.startsWith("!"))
+        .map((glob) => glob.slice(1)),
+    ],
+  });
+
+  let workspaces = [];
+  for (let workspacePath of workspacePaths.sort()) {
+    // tinyglobby returns directories with a trailing slash
+    let normalizedPath = path.resolve(workspacePath);
+    // the root package is handled separately
+    if (normalizedPath === path.resolve(rootDirectory)) {
+      continue;
+    }
+    let manifestPaths = manifestFiles
+      .map((manifestFile) => path.join(normalizedPath, manifestFile))
+      .filter((manifestPath) => existsSync(manifestPath));
+    if (manifestPaths.length === 0) {
+      debug("Skipping workspace without a package.json", normalizedPath);
+      continue;
     }
+    let name = manifestPaths
+      .map(
+        (manifestPath) =>
+          parse(readFileSync(manifestPath, { encoding: "utf8" }))?.name,
+      )
+      .find(Boolean);
+    workspaces.push({
+      name: name ?? path.basename(normalizedPath),
+      path: normalizedPath,
+    });
   }
+  return workspaces;
 }
 
 // MARK: Get Dependencies
+/**
+ * Display name for the root package within reports and `overrides`, when its
+ * package.json doesn't have a `name`
+ */
+let ROOT_WORKSPACE_NAME = "(root)";
+
 /**
  * @typedef {object} WorkspaceDependencies
  * @property {string} name
+ * @property {string} [version] - The `version` field of the workspace's package.json
+ * @property {string} path - Absolute path to the workspace directory
  * @property {Record<string, string>} [peerDependencies]
  * @property {Record<string, string>} [devDependencies]
  * @property {Record<string, string>} [dependencies]
- * @property {Record<string, string>} [resolutions]
+ * @property {Record<string, string>} [optionalDependencies]
+ * @property {Record<PackageName, string>} [resolutions] - Yarn (and bun) `resolutions`, see `getForcedVersions`
+ * @property {Record<PackageName, string>} [overrides] - npm `overrides` and `pnpm.overrides`, see `getForcedVersions`
+ * @property {Partial<Record<string, Record<PackageName, Array<string>>>>} [declarationPaths] - JSON paths of entries that aren't declared as `[field, packageName]`, e.g. `["pnpm", "overrides", "react@<18"]`
+ * @property {Record<string, string>} [imports] - `npm:` and `jsr:` dependencies from a Deno import map, see `getDenoImports`
+ * @property {Record<PackageName, {key: string, value: string}>} [importEntries] - The original Deno import map entry for each of the `imports`
+ * @property {string} [denoConfigPath] - Absolute path to the workspace's deno.json(c)
+ * @property {Partial<Record<string, Record<PackageName, string>>>} [catalogReferences] - Original `catalog:` references by field, see `resolveCatalogReferences`
  *
  * @param {object} options
  * @param {string} options.path
- * @returns {Record<string, string>}
+ * @param {PackageManager} [options.packageManager]
+ * @returns {WorkspaceDependencies}
  */
-function getDependencies({ path: workspacePath }) {
-  let packageContents = readFileSync(path.join(workspacePath, "package.json"), {
-    encoding: "utf8",
-  });
-  let { name, peerDependencies, devDependencies, dependencies, resolutions } =
-    JSON.parse(packageContents);
-  return { name, peerDependencies, devDependencies, dependencies, resolutions };
+function getDependencies({ path: workspacePath, packageManager }) {
+  let packageJSONPath = path.join(workspacePath, "package.json");
+  // Deno workspaces don't require a package.json
+  let packageContents =
+    packageManager === "deno" && !existsSync(packageJSONPath)
+      ? "{}"
+      : readFileSync(packageJSONPath, { encoding: "utf8" });
+  let packageJSON = JSON.parse(packageContents);
+  let {
+    name,
+    peerDependencies,
+    devDependencies,
+    dependencies,
+    optionalDependencies,
+  } = packageJSON;
+  let workspaceDependencies = {
+    name,
+    version: packageJSON.version,
+    path: workspacePath,
+    peerDependencies,
+    devDependencies,
+    dependencies,
+    optionalDependencies,
+    ...getForcedVersions(packageJSON),
+  };
+  if (packageManager === "deno") {
+    let denoConfigPath = findDenoConfig({ directory: workspacePath });
+    if (denoConfigPath) {
+      let denoConfig = readDenoConfig({ directory: workspacePath });
+      return {
+        ...workspaceDependencies,
+        name: name ?? denoConfig.name,
+        denoConfigPath,
+        ...getDenoImports(denoConfig.imports),
+      };
+    }
+  }
+  return workspaceDependencies;
 }
 
-// MARK: Get Duplicate Dependencies
+// MARK: Resolutions
 /**
- * @param {object} options
- * @param {Array<WorkspaceDependencies>} options.workspaceDependencies
- * @param {Overrides} options.overrides
- * @returns {Array<string>}
+ * Returns the name of the package targeted by a resolution or override key,
+ * e.g. `react`, `react@<18`, `pkg-a/react` (yarn) or `pkg-a@1>react` (pnpm)
+ *
+ * @param {string} key
+ * @returns {PackageName}
  */
-function getDuplicateDependencies({ workspaceDependencies, overrides }) {
-  /**
-   * Transform dependencies from an array of package json formats, i.e. multiple
-   * {
-   *   name: "packageName",
-   *   dependencies: {
-   *     'react': '^18'
-   *   }
-   * }
-   * into an inverted structure organized by each dependency name, version, and type:
-   * {
-   *   react: {
-   *     '^18': {direct: [ 'packageName' ], peer: ['demo-package']},
-   *     '^17': {direct: [ 'demo', 'platform-capabilities' ]}
-   *   },
-   * }
-   * that is,
-   * {
-   *    dependencyName: {
-   *      versionSpecifier: {dependencyType: [ consumers using this specifier and type ]}
-   *    }
-   * }
-   * @type {Record<string, Record<string, Record<'direct' | 'peer' | 'dev', Array<string>>>>}
-   */
-  let dependenciesByNameAndVersion = workspaceDependencies.reduce(
-    (
-      acc,
-      { name: consumerName, dependencies, peerDependencies, devDependencies },
-    ) => {
-      if (dependencies) {
-        for (let [packageName, version] of Object.entries(dependencies)) {
-          let seenConsumers = acc[packageName]?.[version]?.direct || [];
-          let versionConsumers = seenConsumers.concat(consumerName);
-          acc[packageName] = {
-            ...acc[packageName],
-            [version]: {
-              ...acc[packageName]?.[version],
-              direct: versionConsumers,
-            },
-          };
-        }
-      }
-      if (peerDependencies) {
-        for (let [packageName, version] of Object.entries(peerDependencies)) {
-          let seenConsumers = acc[packageName]?.[version]?.peer || [];
-          let versionConsumers = seenConsumers.concat(consumerName);
-          acc[packageName] = {
-            ...acc[packageName],
-            [version]: {
-              ...acc[packageName]?.[version],
-              peer: versionConsumers,
-            },
-          };
-        }
-      }
-      if (devDependencies) {
-        for (let [packageName, version] of Object.entries(devDependencies)) {
-          let seenConsumers = acc[packageName]?.[version]?.dev || [];
-          let versionConsumers = seenConsumers.concat(consumerName);
-          acc[packageName] = {
-            ...acc[packageName],
-            [version]: {
-              ...acc[packageName]?.[version],
-              dev: versionConsumers,
-            },
-          };
-        }
-      }
-      return acc;
-    },
-    {},
-  );
+function getForcedPackageName(key) {
+  // pnpm uses `>` to select dependencies of a package, e.g. `pkg-a>react`
+  let target = key.split(">").at(-1).trim();
+  // yarn uses `/` to select dependencies of a package, e.g. `pkg-a/react`,
+  // keeping the scope of scoped packages, e.g. `@scope/pkg-a/@types/react`
+  let segments = target.split("/");
+  let name = segments.at(-1);
+  if (segments.length > 1 && segments.at(-2).startsWith("@")) {
+    name = `${segments.at(-2)}/${name}`;
+  }
+  // drop any version selector, e.g. `react@<18` or `react@npm:18.2.0`
+  let separatorIndex = name.indexOf("@", 1);
+  return separatorIndex === -1 ? name : name.slice(0, separatorIndex);
+}
 
-  /**
-   * Finds dependencies with multiple versions (excluding overrides)
-   */
-  return Object.entries(dependenciesByNameAndVersion)
-    .map(([packageName, versions]) => {
-      let packageOverrides = overrides?.[packageName];
-      if (packageOverrides) {
-        /**
-         * Removes overridden dependencies from the versions arrays
-         */
-        let filteredVersions = Object.entries(versions)
-          .map(([version, { direct, peer, dev }]) => {
-            let filteredPackages = {};
-            let notOverridden = (packageName) =>
-              // If it's not a direct match on the packageName (workspaceName) and if it's not a wildcard match
-              !packageOverrides[version]?.includes(packageName) &&
-              !packageOverrides[version]?.includes("*");
-            if (direct) {
-              let directDependencies = direct.filter(notOverridden);
-              if (directDependencies.length > 0) {
-                filteredPackages.direct = directDependencies;
-              }
-            }
-            if (peer) {
-              let peerDependencies = peer.filter(notOverridden);
-              if (peerDependencies.length > 0) {
-                filteredPackages.peer = peerDependencies;
-              }
-            }
-            if (dev) {
-              let devDependencies = dev.filter(notOverridden);
-              if (devDependencies.length > 0) {
-                filteredPackages.dev = devDependencies;
-              }
-            }
-            return [version, filteredPackages];
-          })
-          .filter(([, dependents]) => Object.keys(dependents).length > 0);
-        return [packageName, Object.fromEntries(filteredVersions)];
+/**
+ * Collects the versions forced by yarn/bun `resolutions`, npm `overrides` and
+ * `pnpm.overrides` in a package.json, keyed by the name of the overridden
+ * package.
+ *
+ * npm's nested overrides (e.g. `{"pkg-a": {".": "1.0.0", "react": "18.3.1"}}`)
+ * are flattened, and references to the root's own dependencies (`$react`) are
+ * resolved. Removals (pnpm's `-`) are ignored.
+ *
+ * @param {Record<string, any>} packageJSON
+ * @returns {Pick<WorkspaceDependencies, 'resolutions' | 'overrides' | 'declarationPaths'>}
+ */
+function getForcedVersions(packageJSON) {
+  let declaredDependencies = {
+    ...packageJSON.peerDependencies,
+    ...packageJSON.optionalDependencies,
+    ...packageJSON.devDependencies,
+    ...packageJSON.dependencies,
+  };
+  let forcedVersions = {};
+  let declarationPaths = {};
+  function addForcedVersion(field, key, specifier, jsonPath) {
+    if (typeof specifier !== "string" || specifier === "-") {
+      return;
+    }
+    let packageName = getForcedPackageName(key);
+    let resolvedSpecifier = specifier.startsWith("$")
+      ? declaredDependencies[specifier.slice(1)]
+      : specifier;
+    // the first entry wins, e.g. a top level override before nested ones
+    if (!resolvedSpecifier || forcedVersions[field]?.[packageName]) {
+      return;
+    }
+    forcedVersions[field] = {
+      ...forcedVersions[field],
+      [packageName]: resolvedSpecifier,
+    };
+    declarationPaths[field] = {
+      ...declarationPaths[field],
+      [packageName]: jsonPath,
+    };
+  }
+  function addNpmOverrides(overrides, jsonPath) {
+    for (let [key, value] of Object.entries(overrides)) {
+      if (value && typeof value === "object") {
+        addForcedVersion("overrides", key, value["."], [...jsonPath, key, "."]);
+        addNpmOverrides(value, [...jsonPath, key]);
+      } else if (key !== ".") {
+        addForcedVersion("overrides", key, value, [...jsonPath, key]);
       }
-      return [packageName, versions];
-    })
-    .filter(([, versions]) => Object.keys(versions).length > 1);
-}
+    }
+  }
 
-// MARK: Prettify
+  for (let [key, value] of Object.entries(packageJSON.resolutions ?? {})) {
+    addForcedVersion("resolutions", key, value, ["resolutions", key]);
+  }
+  addNpmOverrides(packageJSON.overrides ?? {}, ["overrides"]);
+  for (let [key, value] of Object.entries(packageJSON.pnpm?.overrides ?? {})) {
+    addForcedVersion("overrides", key, value, ["pnpm", "overrides", key]);
+  }
+  return { ...forcedVersions, declarationPaths };
+}
 
-let SINGLE_INDENT = 2;
-let DOUBLE_INDENT = SINGLE_INDENT * 2;
+// MARK: Deno
+let DENO_CONFIG_FILES = ["deno.json", "deno.jsonc"];
 
 /**
- * Get a string in the format:
- *  [version]:
- *     [...dependencyTypeStrings]
- *
- * e.g.:
- * 16
- *   direct: mock-app-b
+ * @param {object} options
+ * @param {string} options.directory
+ * @returns {string | undefined} - Absolute path to the deno.json(c) file, if one exists
+ */
+function findDenoConfig({ directory }) {
+  return DENO_CONFIG_FILES.map((file) => path.join(directory, file)).find(
+    (configPath) => existsSync(configPath),
+  );
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.directory
+ * @returns {{
+ *   name?: string,
+ *   workspace?: Array<string> | {members?: Array<string>},
+ *   imports?: Record<string, string>
+ * } | undefined}
+ */
+function readDenoConfig({ directory }) {
+  let configPath = findDenoConfig({ directory });
+  if (!configPath) {
+    return;
+  }
+  return parse(readFileSync(configPath, { encoding: "utf8" })) ?? {};
+}
+
+/**
+ * Parses an `npm:` or `jsr:` import map entry, e.g. `npm:react@^18`,
+ * `npm:@types/node@20/globals.d.ts` or `jsr:@std/path@1`.
+ *
+ * JSR packages are prefixed with `jsr:` to keep them distinct from npm
+ * packages, e.g. `jsr:@std/path`.
+ *
+ * @param {string} specifier
+ * @returns {{name: PackageName, version: VersionSpecifier} | undefined}
+ */
+function parseDenoImport(specifier) {
+  let match = /^(npm|jsr):\/?((?:@[^/@]+\/)?[^/@]+)(?:@([^/]+))?/.exec(
+    specifier,
+  );
+  if (!match) {
+    return;
+  }
+  let [, registry, name, version = "*"] = match;
+  return {
+    name: registry === "jsr" ? `jsr:${name}` : name,
+    version,
+  };
+}
+
+/**
+ * Collects the `npm:` and `jsr:` dependencies from a Deno import map, other
+ * imports (e.g. URLs or relative paths) are ignored
+ *
+ * @param {Record<string, string>} [importMap]
+ * @returns {Pick<WorkspaceDependencies, 'imports' | 'importEntries'>}
+ */
+function getDenoImports(importMap = {}) {
+  let imports = {};
+  let importEntries = {};
+  for (let [key, value] of Object.entries(importMap)) {
+    let parsed = parseDenoImport(value);
+    // the same package can be mapped multiple times, e.g. for subpaths
+    if (!parsed || imports[parsed.name]) {
+      continue;
+    }
+    imports[parsed.name] = parsed.version;
+    importEntries[parsed.name] = { key, value };
+  }
+  return { imports, importEntries };
+}
+
+// MARK: Catalogs
+/**
+ * Named catalogs of shared version specifiers, the default catalog (`catalog:`)
+ * is named `default`
+ *
+ * @see https://pnpm.io/catalogs
+ * @see https://bun.sh/docs/install/catalogs
+ *
+ * @typedef {Record<string, Record<PackageName, VersionSpecifier>>} Catalogs
+ */
+
+/**
+ * @param {object} options
+ * @param {Record<PackageName, VersionSpecifier>} [options.catalog]
+ * @param {Catalogs} [options.catalogs]
+ * @returns {Catalogs}
+ */
+function normalizeCatalogs({ catalog, catalogs }) {
+  let normalizedCatalogs = { ...catalogs };
+  if (catalog) {
+    normalizedCatalogs.default = catalog;
+  }
+  return normalizedCatalogs;
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.rootDirectory
+ * @param {PackageManager} options.packageManager
+ * @returns {Catalogs}
+ */
+function getCatalogs({ rootDirectory, packageManager }) {
+  switch (packageManager) {
+    case "pnpm": {
+      return readPnpmWorkspaceConfig({ rootDirectory }).catalogs;
+    }
+    case "bun": {
+      return getBunCatalogs(
+        JSON.parse(
+          readFileSync(path.join(rootDirectory, "package.json"), {
+            encoding: "utf8",
+          }),
+        ),
+      );
+    }
+    default: {
+      return {};
+    }
+  }
+}
+
+/**
+ * Bun reads catalogs from within the object form of `workspaces`, or from the
+ * top level of the root package.json
+ *
+ * @param {{workspaces?: unknown, catalog?: Record<PackageName, VersionSpecifier>, catalogs?: Catalogs}} rootPackageJSON
+ * @returns {Catalogs}
+ */
+function getBunCatalogs({ workspaces, catalog, catalogs }) {
+  let workspacesConfig = Array.isArray(workspaces) ? {} : workspaces;
+  return normalizeCatalogs({
+    catalog: workspacesConfig?.catalog ?? catalog,
+    catalogs: workspacesConfig?.catalogs ?? catalogs,
+  });
+}
+
+/**
+ * Returns the name of the catalog referenced by the specifier, e.g.
+ * `catalog:` -> `default` and `catalog:react17` -> `react17`
+ *
+ * @param {VersionSpecifier} specifier
+ * @returns {string | undefined} - `undefined` if the specifier isn't a catalog reference
+ */
+function getCatalogName(specifier) {
+  if (!specifier.startsWith("catalog:")) {
+    return;
+  }
+  return specifier.slice("catalog:".length).trim() || "default";
+}
+
+/**
+ * Replaces `catalog:` references with the specifier from the referenced
+ * catalog, so they can be compared against literal versions. The original
+ * references are kept within `catalogReferences`.
+ *
+ * References to missing catalog entries are left as-is.
+ *
+ * @param {object} options
+ * @param {WorkspaceDependencies} options.manifest
+ * @param {Catalogs} options.catalogs
+ * @returns {WorkspaceDependencies}
+ */
+function resolveCatalogReferences({ manifest, catalogs }) {
+  let resolvedManifest = { ...manifest, catalogReferences: {} };
+  for (let field of Object.values(DEPENDENCY_TYPE_FIELDS)) {
+    if (!manifest[field]) {
+      continue;
+    }
+    resolvedManifest[field] = Object.fromEntries(
+      Object.entries(manifest[field]).map(([packageName, specifier]) => {
+        let catalogName = getCatalogName(specifier);
+        let resolvedSpecifier = catalogs[catalogName]?.[packageName];
+        if (!resolvedSpecifier) {
+          return [packageName, specifier];
+        }
+        resolvedManifest.catalogReferences[field] = {
+          ...resolvedManifest.catalogReferences[field],
+          [packageName]: specifier,
+        };
+        return [packageName, resolvedSpecifier];
+      }),
+    );
+  }
+  return resolvedManifest;
+}
+
+/**
+ * Finds dependencies that are defined within a catalog, but are declared with
+ * a literal version rather than a `catalog:` reference
+ *
+ * @param {object} options
+ * @param {Array<WorkspaceDependencies>} options.workspaceDependencies
+ * @param {Catalogs} options.catalogs
+ * @param {Overrides} options.overrides
+ * @returns {Record<WorkspaceName, Array<string>>}
+ */
+function getUncatalogedDependencies({
+  workspaceDependencies,
+  catalogs,
+  overrides,
+}) {
+  let catalogedNames = new Set(
+    Object.values(catalogs).flatMap((catalog) => Object.keys(catalog)),
+  );
+  let uncatalogedDependencies = {};
+  // Like the pin check, peerDependencies are omitted since they're often a
+  // wider range than the catalog's version
+  for (let {
+    name: workspaceName,
+    dependencies,
+    devDependencies,
+    catalogReferences,
+  } of workspaceDependencies) {
+    for (let [field, declared] of [
+      ["dependencies", dependencies],
+      ["devDependencies", devDependencies],
+    ]) {
+      for (let [packageName, version] of Object.entries(declared || {})) {
+        if (
+          !catalogedNames.has(packageName) ||
+          catalogReferences?.[field]?.[packageName] ||
+          version.startsWith("workspace:") ||
+          isOverridden({
+            overrides,
+            packageName,
+            specifier: version,
+            workspaceName,
+          })
+        ) {
+          continue;
+        }
+        uncatalogedDependencies[workspaceName] =
+          uncatalogedDependencies[workspaceName] || [];
+        uncatalogedDependencies[workspaceName].push(
+          `${packageName}@${version}`,
+        );
+      }
+    }
+  }
+  return uncatalogedDependencies;
+}
+
+// MARK: Get Duplicate Dependencies
+/**
+ * Maps the dependency types used within `getDuplicateDependencies` back to
+ * their package.json fields
+ */
+let DEPENDENCY_TYPE_FIELDS = {
+  direct: "dependencies",
+  peer: "peerDependencies",
+  dev: "devDependencies",
+  optional: "optionalDependencies",
+  // Deno import maps, within deno.json(c) rather than package.json
+  import: "imports",
+  // Versions forced by the package manager, see `getForcedVersions`
+  resolution: "resolutions",
+  override: "overrides",
+};
+
+/**
+ * Forced versions are listed alongside conflicting versions, but don't count
+ * as a conflict on their own (see the `unsatisfied-resolutions` rule instead)
+ */
+let FORCED_DEPENDENCY_TYPES = ["resolution", "override"];
+
+/**
+ * The root package is checked alongside the workspaces, unless disabled with
+ * `includeRoot: false`
+ *
+ * @param {object} options
+ * @param {Config} options.config
+ * @param {WorkspaceDependencies} options.rootDependencies
+ * @param {Array<WorkspaceDependencies>} options.workspaceDependencies
+ * @returns {Array<WorkspaceDependencies>}
+ */
+function getDuplicateCheckDependencies({
+  config,
+  rootDependencies,
+  workspaceDependencies,
+}) {
+  if (config.includeRoot === false) {
+    return workspaceDependencies;
+  }
+  return [rootDependencies, ...workspaceDependencies];
+}
+
+/**
+ * @typedef {object} DuplicateConflict
+ * @property {Array<VersionSpecifier>} specifiers - The specifiers that conflict with each other
+ * @property {string} reason - e.g. `no version satisfies both ^17 and ^18`
+ *
+ * @typedef {Array<[PackageName, Record<string, Record<string, Array<string>>>, Array<DuplicateConflict>]>} DuplicateDependencies
+ *
+ * @param {object} options
+ * @param {Array<WorkspaceDependencies>} options.workspaceDependencies
+ * @param {Overrides} options.overrides
+ * @param {DuplicateStrategy} [options.duplicateStrategy]
+ * @returns {DuplicateDependencies}
+ */
+export function getDuplicateDependencies({
+  workspaceDependencies,
+  overrides,
+  duplicateStrategy = "exact",
+}) {
+  /**
+   * Transform dependencies from an array of package json formats, i.e. multiple
+   * {
+   *   name: "packageName",
+   *   dependencies: {
+   *     'react': '^18'
+   *   }
+   * }
+   * into an inverted structure organized by each dependency name, version, and type:
+   * {
+   *   react: {
+   *     '^18': {direct: [ 'packageName' ], peer: ['demo-package']},
+   *     '^17': {direct: [ 'demo', 'platform-capabilities' ]}
+   *   },
+   * }
+   * that is,
+   * {
+   *    dependencyName: {
+   *      versionSpecifier: {dependencyType: [ consumers using this specifier and type ]}
+   *    }
+   * }
+   * @type {Record<string, Record<string, Partial<Record<keyof typeof DEPENDENCY_TYPE_FIELDS, Array<string>>>>>}
+   */
+  let dependenciesByNameAndVersion = {};
+  for (let workspace of workspaceDependencies) {
+    for (let [type, field] of Object.entries(DEPENDENCY_TYPE_FIELDS)) {
+      for (let [packageName, version] of Object.entries(
+        workspace[field] || {},
+      )) {
+        let seenConsumers =
+          dependenciesByNameAndVersion[packageName]?.[version]?.[type] || [];
+        dependenciesByNameAndVersion[packageName] = {
+          ...dependenciesByNameAndVersion[packageName],
+          [version]: {
+            ...dependenciesByNameAndVersion[packageName]?.[version],
+            [type]: seenConsumers.concat(workspace.name),
+          },
+        };
+      }
+    }
+  }
+
+  return filterDuplicateDependencies({
+    dependenciesByNameAndVersion,
+    overrides,
+    duplicateStrategy,
+  });
+}
+
+/**
+ * Formats a list of specifiers for a sentence, e.g. `^5, ^5.4 and 5.4.5`
+ *
+ * @param {Array<string>} items
+ * @returns {string}
+ */
+function formatList(items) {
+  return items.length > 1
+    ? `${items.slice(0, -1).join(", ")} and ${items.at(-1)}`
+    : items.join("");
+}
+
+/**
+ * Returns the major version a range targets, treating each `0.x` minor as
+ * its own major (like `^` does), e.g. `^18.2.0` -> `18` and `~0.2.1` -> `0.2`
+ *
+ * @param {import("./utils/semver.mjs").Range} range
+ * @returns {string | undefined} - `undefined` if no version satisfies the range, e.g. `>2 <1`
+ */
+function getMajorVersion(range) {
+  let lowest = getLowestVersion(range);
+  if (!lowest) {
+    return;
+  }
+  return lowest.major > 0 ? String(lowest.major) : `0.${lowest.minor}`;
+}
+
+/**
+ * Explains why the specifiers of a dependency conflict with each other
+ * according to the `duplicateStrategy`:
+ *
+ * - `exact` - any different specifiers conflict, e.g. `^18.2.0` and `18.3.1`
+ * - `intersecting` - ranges conflict if no version satisfies all of them
+ * - `same-major` - ranges conflict if they target different major versions
+ *
+ * Specifiers that aren't a semver range (tags, protocols, etc.) can only be
+ * compared exactly.
+ *
+ * @param {object} options
+ * @param {Array<VersionSpecifier>} options.specifiers
+ * @param {DuplicateStrategy} options.duplicateStrategy
+ * @returns {Array<DuplicateConflict>} - Empty if the specifiers are compatible
+ */
+function getDuplicateConflicts({ specifiers, duplicateStrategy }) {
+  if (specifiers.length < 2) {
+    return [];
+  }
+  if (duplicateStrategy === "exact") {
+    return [
+      {
+        specifiers,
+        reason: `${formatList(specifiers)} are different specifiers`,
+      },
+    ];
+  }
+
+  let conflicts = [];
+  let ranges = [];
+  for (let specifier of specifiers) {
+    let range = parseRange(specifier);
+    if (range) {
+      ranges.push({ specifier, range });
+    } else {
+      conflicts.push({
+        specifiers: [specifier],
+        reason: `${specifier} is not a semver range, so it can't be compared with ${formatList(specifiers.filter((other) => other !== specifier))}`,
+      });
+    }
+  }
+
+  if (duplicateStrategy === "same-major") {
+    /** @type {Map<string, Array<VersionSpecifier>>} */
+    let specifiersByMajor = new Map();
+    let satisfiable = [];
+    for (let { specifier, range } of ranges) {
+      let major = getMajorVersion(range);
+      if (!major) {
+        conflicts.push({
+          specifiers: [specifier],
+          reason: `no version satisfies ${specifier}, so it can't be compared with ${formatList(specifiers.filter((other) => other !== specifier))}`,
+        });
+        continue;
+      }
+      satisfiable.push({ specifier, range });
+      specifiersByMajor.set(
+        major,
+        (specifiersByMajor.get(major) || []).concat(specifier),
+      );
+    }
+    let majors = [...specifiersByMajor];
+    if (majors.length > 1) {
+      conflicts.push({
+        specifiers: satisfiable.map(({ specifier }) => specifier),
+        reason: `different major versions are used: ${majors
+          .map(([major, grouped]) => `${major} (${grouped.join(", ")})`)
+          .join(", ")}`,
+      });
+    }
+    return conflicts;
+  }
+
+  let hasPairwiseConflict = false;
+  for (let i = 0; i < ranges.length; i++) {
+    for (let j = i + 1; j < ranges.length; j++) {
+      if (!intersects(ranges[i].range, ranges[j].range)) {
+        hasPairwiseConflict = true;
+        conflicts.push({
+          specifiers: [ranges[i].specifier, ranges[j].specifier],
+          reason: `no version satisfies both ${ranges[i].specifier} and ${ranges[j].specifier}`,
+        });
+      }
+    }
+  }
+  // ranges can intersect in pairs without a version satisfying all of them,
+  // e.g. `<2 || >3`, `>=1 <2.5` and `>=1.5 <4`
+  if (
+    !hasPairwiseConflict &&
+    ranges.length > 2 &&
+    ranges.reduce(
+      (intersection, { range }) => intersectRanges(intersection, range),
+      ranges[0].range,
+    ).length === 0
+  ) {
+    conflicts.push({
+      specifiers: ranges.map(({ specifier }) => specifier),
+      reason: `no version satisfies all of ${formatList(ranges.map(({ specifier }) => specifier))}`,
+    });
+  }
+  return conflicts;
+}
+
+/**
+ * Finds dependencies with conflicting versions (excluding overrides)
+ *
+ * @param {object} options
+ * @param {Record<PackageName, Record<string, Record<string, Array<string>>>>} options.dependenciesByNameAndVersion
+ * @param {Overrides} options.overrides
+ * @param {DuplicateStrategy} options.duplicateStrategy
+ * @returns {DuplicateDependencies}
+ */
+function filterDuplicateDependencies({
+  dependenciesByNameAndVersion,
+  overrides,
+  duplicateStrategy,
+}) {
+  return Object.entries(dependenciesByNameAndVersion)
+    .map(([packageName, versions]) => {
+      if (overrides) {
+        /**
+         * Removes overridden dependencies from the versions arrays
+         */
+        let filteredVersions = Object.entries(versions)
+          .map(([version, dependencyTypes]) => {
+            let filteredPackages = {};
+            let notOverridden = (workspaceName) =>
+              !isOverridden({
+                overrides,
+                packageName,
+                specifier: version,
+                workspaceName,
+              });
+            for (let [type, consumers] of Object.entries(dependencyTypes)) {
+              let filteredConsumers = consumers.filter(notOverridden);
+              if (filteredConsumers.length > 0) {
+                filteredPackages[type] = filteredConsumers;
+              }
+            }
+            return [version, filteredPackages];
+          })
+          .filter(([, dependents]) => Object.keys(dependents).length > 0);
+        return [packageName, Object.fromEntries(filteredVersions)];
+      }
+      return [packageName, versions];
+    })
+    .map(([packageName, versions]) => {
+      let specifiers = Object.entries(versions)
+        .filter(([, dependencyTypes]) =>
+          Object.keys(dependencyTypes).some(
+            (type) => !FORCED_DEPENDENCY_TYPES.includes(type),
+          ),
+        )
+        .map(([specifier]) => specifier);
+      return [
+        packageName,
+        versions,
+        getDuplicateConflicts({ specifiers, duplicateStrategy }),
+      ];
+    })
+    .filter(([, , conflicts]) => conflicts.length > 0);
+}
+
+// MARK: Get Resolved Duplicate Dependencies
+/**
+ * Like `getDuplicateDependencies`, but compares the versions installed
+ * according to the lockfile rather than the declared specifiers. This also
+ * includes transitive copies of any dependency declared within the repo, e.g.
+ * a second copy of `react` installed for a third-party package.
+ *
+ * Transitive consumers are listed as `name@version` of the dependent package.
+ *
+ * @param {object} options
+ * @param {string} options.rootDirectory
+ * @param {Lockfile} options.lockfile
+ * @param {Array<WorkspaceDependencies>} options.workspaceDependencies
+ * @param {Overrides} options.overrides
+ * @param {DuplicateStrategy} [options.duplicateStrategy]
+ * @returns {DuplicateDependencies}
+ */
+function getResolvedDuplicateDependencies({
+  rootDirectory,
+  lockfile,
+  workspaceDependencies,
+  overrides,
+  duplicateStrategy = "exact",
+}) {
+  /**
+   * @type {Record<PackageName, Record<string, Record<'direct' | 'dev' | 'transitive', Array<string>>>>}
+   */
+  let dependenciesByNameAndVersion = {};
+  function addConsumer(packageName, version, type, consumerName) {
+    let seenConsumers =
+      dependenciesByNameAndVersion[packageName]?.[version]?.[type] || [];
+    if (seenConsumers.includes(consumerName)) {
+      return;
+    }
+    dependenciesByNameAndVersion[packageName] = {
+      ...dependenciesByNameAndVersion[packageName],
+      [version]: {
+        ...dependenciesByNameAndVersion[packageName]?.[version],
+        [type]: seenConsumers.concat(consumerName),
+      },
+    };
+  }
+
+  let declaredNames = new Set();
+  for (let manifest of workspaceDependencies) {
+    for (let field of [
+      "dependencies",
+      "devDependencies",
+      "peerDependencies",
+      "optionalDependencies",
+    ]) {
+      for (let packageName of Object.keys(manifest[field] || {})) {
+        declaredNames.add(packageName);
+      }
+    }
+  }
+
+  for (let {
+    name: consumerName,
+    path: workspacePath,
+    dependencies,
+    devDependencies,
+    optionalDependencies,
+  } of workspaceDependencies) {
+    for (let [type, declared] of [
+      ["direct", dependencies],
+      ["dev", devDependencies],
+      ["optional", optionalDependencies],
+    ]) {
+      for (let [packageName, specifier] of Object.entries(declared || {})) {
+        let resolved = resolveDependency({
+          lockfile,
+          importerPath: path.relative(rootDirectory, workspacePath),
+          name: packageName,
+          specifier,
+        });
+        if (resolved) {
+          addConsumer(packageName, resolved.version, type, consumerName);
+        }
+      }
+    }
+  }
+
+  for (let dependent of Object.values(lockfile.packages)) {
+    for (let id of Object.values(dependent.dependencies)) {
+      let dependency = lockfile.packages[id];
+      if (dependency && declaredNames.has(dependency.name)) {
+        addConsumer(
+          dependency.name,
+          dependency.version,
+          "transitive",
+          `${dependent.name}@${dependent.version}`,
+        );
+      }
+    }
+  }
+
+  return filterDuplicateDependencies({
+    dependenciesByNameAndVersion,
+    overrides,
+    duplicateStrategy,
+  });
+}
+
+// MARK: Prettify
+
+let SINGLE_INDENT = 2;
+let DOUBLE_INDENT = SINGLE_INDENT * 2;
+
+/**
+ * Get a string in the format:
+ *  [version]:
+ *     [...dependencyTypeStrings]
+ *
+ * e.g.:
+ * 16
+ *   direct: mock-app-b
  */
 function getVersionString(version, dependencyTypeStrings) {
   return `${version.padStart(SINGLE_INDENT + version.length)}
@@ -411,268 +1436,4103 @@ ${dependencyTypeStrings.join("\n")}`;
 }
 
 /**
- * Get a string in the format:
- *  [type]: [...names], e.g.:
- *  direct: name1, name2
+ * Get a string in the format:
+ *  [type]: [...names], e.g.:
+ *  direct: name1, name2
+ */
+function getTypeString({ type, names }) {
+  const padded = type.padStart(DOUBLE_INDENT + type.length);
+  return `${padded}:  ${names.join(", ")}`;
+}
+
+/**
+ * @param {DuplicateDependencies} packages
+ * @param {object} [options]
+ * @param {boolean} [options.showConflicts] - Explain why the versions conflict, e.g. `✗ no version satisfies both ^17 and ^18`
+ * @returns {string}
+ */
+function prettify(packages, { showConflicts = false } = {}) {
+  return packages
+    .map(([name, versions, conflicts]) => {
+      const str = name;
+
+      const versionsStr = Object.entries(versions)
+        .map(([version, depTypes]) => {
+          const depTypeStrings = Object.entries(depTypes).map(([type, names]) =>
+            getTypeString({ type, names }),
+          );
+
+          return getVersionString(version, depTypeStrings);
+        })
+        .join("\n");
+
+      if (showConflicts) {
+        const conflictsStr = conflicts
+          .map(({ reason }) =>
+            `✗ ${reason}`.padStart(SINGLE_INDENT + reason.length + 2),
+          )
+          .join("\n");
+        return `${str}\n${versionsStr}\n${conflictsStr}`;
+      }
+      return `${str}\n${versionsStr}`;
+    })
+    .join("\n");
+}
+
+/**
+ * @param {Record<WorkspaceName, Array<string>>} dependenciesByWorkspace
+ * @returns {string}
+ */
+function prettifyByWorkspace(dependenciesByWorkspace) {
+  return Object.entries(dependenciesByWorkspace)
+    .map(([workspaceName, deps]) => {
+      return `${workspaceName}:\n${deps
+        .map((dep) => dep.padStart(dep.length + SINGLE_INDENT))
+        .join("\n")}`;
+    })
+    .join("\n\n");
+}
+
+// MARK: Get Unpinned Dependencies
+/**
+ * Splits a `name@specifier` string, e.g. `@types/react@^18` or
+ * `jsr:@std/path@1`, into its name and specifier
+ *
+ * @param {string} dependency
+ * @returns {[PackageName, VersionSpecifier]}
+ */
+function splitDependency(dependency) {
+  // skip the `jsr:` prefix and leading `@` to support scoped packages
+  let nameStart = dependency.startsWith("jsr:") ? "jsr:".length : 0;
+  let separatorIndex = dependency.indexOf("@", nameStart + 1);
+  return [
+    dependency.slice(0, separatorIndex),
+    dependency.slice(separatorIndex + 1),
+  ];
+}
+
+/**
+ * Let `file:`, `url:`, `git:`, `link:`, and `workspace:*` dependencies pass
+ * every version strategy currently
+ *
+ * @param {VersionSpecifier} version
+ * @returns {boolean}
+ */
+function isLocalSpecifier(version) {
+  return (
+    version.startsWith("file:") ||
+    version.startsWith("url:") ||
+    version.startsWith("git:") ||
+    version.startsWith("link:") ||
+    version === "workspace:*"
+  );
+}
+
+/**
+ * @param {VersionSpecifier} version
+ * @returns {boolean}
+ */
+function isUnpinned(version) {
+  return (
+    version.startsWith("^") ||
+    version.startsWith("~") ||
+    // any version
+    version.includes("*") ||
+    // range versions
+    version.includes(".x") ||
+    version.includes(".X") ||
+    version.includes(" - ") ||
+    version.includes(" || ") ||
+    // Greater Than, Less Than
+    version.includes(">") ||
+    version.includes("<") ||
+    // Keywords:
+    version === "latest" ||
+    version === "canary" ||
+    version === "next" ||
+    version === "beta" ||
+    version === "alpha" ||
+    version === "rc" ||
+    version === "dev" ||
+    // workspace custom semver range deps
+    version.startsWith("workspace:^") ||
+    version.startsWith("workspace:~")
+  );
+}
+
+/**
+ * Finds the dependencies that aren't pinned to an exact version, skipping
+ * peer dependencies and the ones covered by `overrides`. These are the `pin`
+ * violations of `getVersionStrategyViolations`, as if every dependency used
+ * `versionStrategy: "pin"`.
+ *
+ * @param {object} options
+ * @param {Array<WorkspaceDependencies>} options.workspaceDependencies
+ * @param {Overrides} options.overrides
+ * @returns {Record<WorkspaceName, Array<string>>} - `name@specifier` entries by workspace, e.g. `{ "pkg-a": ["react@^18.2.0"] }`
+ */
+export function getUnpinnedDependencies({ workspaceDependencies, overrides }) {
+  let { pin = {} } = getVersionStrategyViolations({
+    rootDirectory: "",
+    config: /** @type {Config} */ ({ versionStrategy: "pin" }),
+    // paths are only matched by `rules`, so they aren't needed here
+    workspaceDependencies: workspaceDependencies.map((workspace) => ({
+      path: "",
+      ...workspace,
+    })),
+    overrides,
+  });
+  return pin;
+}
+
+// MARK: Version Strategies
+/**
+ * The dependency types checked by `versionStrategy`, and by rules without
+ * `dependencyTypes` - peer dependencies are expected to be ranges
+ */
+let VERSION_STRATEGY_DEPENDENCY_TYPES = ["direct", "dev", "optional", "import"];
+
+/**
+ * What each strategy requires of a specifier, e.g. `react@^18 must use a ~ range`
+ *
+ * @type {Record<Exclude<VersionStrategy, 'loose'>, string>}
+ */
+let VERSION_STRATEGY_REQUIREMENTS = {
+  pin: "be pinned to an exact version",
+  "tilde-only": "use a ~ range",
+  "caret-only": "use a ^ range",
+  "major-only": "stay within a single major version",
+};
+
+/**
+ * @param {VersionSpecifier} version
+ * @param {VersionStrategy} strategy
+ * @returns {boolean}
+ */
+function followsVersionStrategy(version, strategy) {
+  if (strategy === "loose" || isLocalSpecifier(version)) {
+    return true;
+  }
+  // e.g. `workspace:^` and `workspace:^1.2.0`
+  let range = version.replace(/^workspace:/, "");
+  switch (strategy) {
+    case "pin":
+      return !isUnpinned(version);
+    case "tilde-only":
+      return range.startsWith("~");
+    case "caret-only":
+      return range.startsWith("^");
+    case "major-only": {
+      if (range === "^" || range === "~") {
+        return true;
+      }
+      let parsedRange = parseRange(range);
+      return Boolean(parsedRange && isWithinMajor(parsedRange));
+    }
+  }
+  return true;
+}
+
+/**
+ * Whether the rule matches the dependency, and if so how specific it is, as
+ * `[matchedFields, exactMatches]`
+ *
+ * @param {VersionRule} rule
+ * @param {object} options
+ * @param {PackageName} options.packageName
+ * @param {keyof typeof DEPENDENCY_TYPE_FIELDS} options.dependencyType
+ * @param {{name: WorkspaceName, path: string}} options.workspace
+ * @returns {[number, number] | null}
+ */
+function getRuleSpecificity(rule, { packageName, dependencyType, workspace }) {
+  let dependencyTypes =
+    rule.dependencyTypes ?? VERSION_STRATEGY_DEPENDENCY_TYPES;
+  if (!dependencyTypes.includes(dependencyType)) {
+    return null;
+  }
+  let matchedFields = rule.dependencyTypes ? 1 : 0;
+  let exactMatches = 0;
+  for (let [patterns, values] of [
+    [rule.dependencies, [packageName]],
+    [rule.workspaces, [workspace.name, workspace.path].filter(Boolean)],
+  ]) {
+    if (!patterns) {
+      continue;
+    }
+    let matchingPatterns = patterns.filter((pattern) =>
+      values.some((value) => matchesGlob(value, pattern)),
+    );
+    if (matchingPatterns.length === 0) {
+      return null;
+    }
+    matchedFields++;
+    if (matchingPatterns.some((pattern) => values.includes(pattern))) {
+      exactMatches++;
+    }
+  }
+  return [matchedFields, exactMatches];
+}
+
+/**
+ * Finds the strategy of the most specific rule matching the dependency,
+ * falling back to `versionStrategy`.
+ *
+ * Rules matching on more fields (of `dependencies`, `workspaces` and
+ * `dependencyTypes`) are more specific, then rules naming the dependency or
+ * workspace exactly rather than with a glob. Otherwise the last rule wins.
+ *
+ * @param {object} options
+ * @param {Config} options.config
+ * @param {PackageName} options.packageName
+ * @param {keyof typeof DEPENDENCY_TYPE_FIELDS} options.dependencyType
+ * @param {{name: WorkspaceName, path: string}} options.workspace - The path is relative to the root directory, e.g. `apps/web`
+ * @returns {VersionStrategy | undefined} - `undefined` if the dependency isn't checked
+ */
+export function getVersionStrategy({
+  config,
+  packageName,
+  dependencyType,
+  workspace,
+}) {
+  let strategy = VERSION_STRATEGY_DEPENDENCY_TYPES.includes(dependencyType)
+    ? config.versionStrategy
+    : undefined;
+  let mostSpecific = [-1, -1];
+  for (let rule of config.rules ?? []) {
+    let specificity = getRuleSpecificity(rule, {
+      packageName,
+      dependencyType,
+      workspace,
+    });
+    if (
+      specificity &&
+      (specificity[0] - mostSpecific[0] || specificity[1] - mostSpecific[1]) >=
+        0
+    ) {
+      mostSpecific = specificity;
+      strategy = rule.strategy;
+    }
+  }
+  return strategy;
+}
+
+/**
+ * Whether any dependency may be checked with the strategy
+ *
+ * @param {Config} config
+ * @param {VersionStrategy} strategy
+ * @returns {boolean}
+ */
+function usesVersionStrategy(config, strategy) {
+  return (
+    config.versionStrategy === strategy ||
+    (config.rules ?? []).some((rule) => rule.strategy === strategy)
+  );
+}
+
+/**
+ * @typedef {Partial<Record<VersionStrategy, Record<WorkspaceName, Array<string>>>>} VersionStrategyViolations
+ *
+ * @param {object} options
+ * @param {string} options.rootDirectory
+ * @param {Config} options.config
+ * @param {Array<WorkspaceDependencies>} options.workspaceDependencies
+ * @param {Overrides} options.overrides
+ * @returns {VersionStrategyViolations} - Dependencies that don't follow their strategy, by strategy
+ */
+function getVersionStrategyViolations({
+  rootDirectory,
+  config,
+  workspaceDependencies,
+  overrides,
+}) {
+  // references to workspaces are checked by `internalDependencies` instead
+  let internalNames = new Set(
+    config.internalDependencies
+      ? workspaceDependencies.map(({ name }) => name)
+      : [],
+  );
+  let violations = {};
+  for (let workspaceDependency of workspaceDependencies) {
+    let workspaceName = workspaceDependency.name;
+    let workspace = {
+      name: workspaceName,
+      path:
+        path
+          .relative(rootDirectory, workspaceDependency.path)
+          .split(path.sep)
+          .join("/") || ".",
+    };
+    for (let [dependencyType, field] of Object.entries(
+      DEPENDENCY_TYPE_FIELDS,
+    )) {
+      if (FORCED_DEPENDENCY_TYPES.includes(dependencyType)) {
+        continue;
+      }
+      for (let [packageName, version] of Object.entries(
+        workspaceDependency[field] || {},
+      )) {
+        let strategy = getVersionStrategy({
+          config,
+          packageName,
+          dependencyType,
+          workspace,
+        });
+        if (
+          !strategy ||
+          internalNames.has(packageName) ||
+          followsVersionStrategy(version, strategy) ||
+          isOverridden({
+            overrides,
+            packageName,
+            specifier: version,
+            workspaceName,
+          })
+        ) {
+          continue;
+        }
+        violations[strategy] = violations[strategy] || {};
+        violations[strategy][workspaceName] =
+          violations[strategy][workspaceName] || [];
+        let dependency = `${packageName}@${version}`;
+        if (!violations[strategy][workspaceName].includes(dependency)) {
+          violations[strategy][workspaceName].push(dependency);
+        }
+      }
+    }
+  }
+  return violations;
+}
+
+// MARK: Get Unsatisfied Resolutions
+/**
+ * @typedef {object} UnsatisfiedResolution
+ * @property {WorkspaceName} workspace - The workspace declaring the resolution or override
+ * @property {PackageName} name
+ * @property {VersionSpecifier} specifier - The forced version
+ * @property {'resolution' | 'override'} type
+ * @property {Array<{specifier: VersionSpecifier, workspaces: Array<WorkspaceName>}>} conflicts - Declared specifiers that don't include the forced version
+ */
+
+/**
+ * Finds resolutions and overrides that force a version outside of the ranges
+ * declared within the workspaces, e.g. `"resolutions": {"react": "18.3.1"}`
+ * while a workspace depends on `react@^17`.
+ *
+ * Only exact forced versions are checked, and only declared specifiers that
+ * are valid semver ranges (e.g. `workspace:*` or `latest` are skipped).
+ *
+ * @param {object} options
+ * @param {Array<WorkspaceDependencies>} options.workspaceDependencies
+ * @param {Overrides} options.overrides
+ * @returns {Array<UnsatisfiedResolution>}
+ */
+function getUnsatisfiedResolutions({ workspaceDependencies, overrides }) {
+  /** @type {Record<PackageName, Record<VersionSpecifier, Array<WorkspaceName>>>} */
+  let declaredSpecifiers = {};
+  for (let workspace of workspaceDependencies) {
+    for (let [type, field] of Object.entries(DEPENDENCY_TYPE_FIELDS)) {
+      if (FORCED_DEPENDENCY_TYPES.includes(type)) {
+        continue;
+      }
+      for (let [packageName, specifier] of Object.entries(
+        workspace[field] || {},
+      )) {
+        if (
+          isOverridden({
+            overrides,
+            packageName,
+            specifier,
+            workspaceName: workspace.name,
+          })
+        ) {
+          continue;
+        }
+        let consumers = declaredSpecifiers[packageName]?.[specifier] || [];
+        if (!consumers.includes(workspace.name)) {
+          declaredSpecifiers[packageName] = {
+            ...declaredSpecifiers[packageName],
+            [specifier]: consumers.concat(workspace.name),
+          };
+        }
+      }
+    }
+  }
+
+  let unsatisfiedResolutions = [];
+  for (let workspace of workspaceDependencies) {
+    for (let type of FORCED_DEPENDENCY_TYPES) {
+      for (let [packageName, specifier] of Object.entries(
+        workspace[DEPENDENCY_TYPE_FIELDS[type]] || {},
+      )) {
+        let version = parseExactVersion(specifier);
+        if (
+          !version ||
+          isOverridden({
+            overrides,
+            packageName,
+            specifier,
+            workspaceName: workspace.name,
+          })
+        ) {
+          continue;
+        }
+        let conflicts = Object.entries(declaredSpecifiers[packageName] || {})
+          .filter(([declared]) => {
+            let range = parseRange(declared);
+            return range && !satisfies(version, range);
+          })
+          .map(([declared, workspaces]) => ({
+            specifier: declared,
+            workspaces,
+          }));
+        if (conflicts.length > 0) {
+          unsatisfiedResolutions.push({
+            workspace: workspace.name,
+            name: packageName,
+            specifier,
+            type,
+            conflicts,
+          });
+        }
+      }
+    }
+  }
+  return unsatisfiedResolutions;
+}
+
+/**
+ * @param {Array<UnsatisfiedResolution>} unsatisfiedResolutions
+ * @returns {string}
+ */
+function prettifyUnsatisfiedResolutions(unsatisfiedResolutions) {
+  return unsatisfiedResolutions
+    .map(({ workspace, name, specifier, type, conflicts }) =>
+      [
+        `${name}@${specifier} (${type} in ${workspace}) does not satisfy:`,
+        ...conflicts.map(
+          (conflict) =>
+            `  ${conflict.specifier}: ${conflict.workspaces.join(", ")}`,
+        ),
+      ].join("\n"),
+    )
+    .join("\n\n");
+}
+
+// MARK: Overrides
+/**
+ * @typedef {import("./utils/overrides.mjs").OverrideEntry} OverrideEntry
+ */
+
+/**
+ * Finds override entries that don't match any dependency declared within the
+ * repo, e.g. after the exception was fixed or the dependency was bumped.
+ *
+ * @param {object} options
+ * @param {Overrides} options.overrides - With workspace path globs resolved, see `resolveOverrideWorkspaces`
+ * @param {Array<WorkspaceDependencies>} options.workspaceDependencies
+ * @returns {Array<OverrideEntry>}
+ */
+function getStaleOverrides({ overrides, workspaceDependencies }) {
+  let declaredDependencies = workspaceDependencies.flatMap((workspace) =>
+    Object.values(DEPENDENCY_TYPE_FIELDS).flatMap((field) =>
+      Object.entries(workspace[field] || {}).map(
+        ([packageName, specifier]) => ({
+          packageName,
+          specifier,
+          workspaceName: workspace.name,
+        }),
+      ),
+    ),
+  );
+  return getOverrideEntries(overrides).filter(
+    (entry) =>
+      !declaredDependencies.some((dependency) =>
+        matchesOverrideEntry(entry, dependency),
+      ),
+  );
+}
+
+/**
+ * @param {OverrideEntry} entry
+ * @returns {string}
+ */
+function prettifyOverride({
+  packageKey,
+  versionKey,
+  workspaces,
+  reason,
+  owner,
+  expires,
+}) {
+  return [
+    `${packageKey}@${versionKey}: ${workspaces.join(", ")}`,
+    ...(reason ? [`reason: ${reason}`] : []),
+    ...(owner ? [`owner: ${owner}`] : []),
+    ...(expires
+      ? [
+          `expires: ${expires}${isOverrideExpired({ expires }) ? " (expired)" : ""}`,
+        ]
+      : []),
+  ]
+    .map((line, index) =>
+      index === 0 ? line : line.padStart(SINGLE_INDENT + line.length),
+    )
+    .join("\n");
+}
+
+// MARK: Peer Dependencies
+/**
+ * @typedef {object} PeerDependencyViolation
+ * @property {WorkspaceName} workspace - The workspace providing the peer dependency
+ * @property {PackageName} name
+ * @property {VersionSpecifier} specifier - The provided version
+ * @property {keyof typeof DEPENDENCY_TYPE_FIELDS} type - How the provided version is declared
+ * @property {VersionSpecifier} range - The peer dependency range it doesn't satisfy
+ * @property {Array<WorkspaceName>} chain - From the providing workspace to the workspace declaring the peer dependency, e.g. `["app", "lib-a", "lib-b"]`
+ */
+
+/**
+ * Walks the graph of workspaces depending on other workspaces, checking that
+ * the version provided for each peer dependency satisfies the peer range.
+ *
+ * Like package managers, peer dependencies are provided by the workspace
+ * depending on the one declaring them, or further up the chain if that
+ * workspace also declares them as peer dependencies. Dev dependencies are only
+ * followed (and provide versions) from the start of a chain, since they aren't
+ * installed for consumers.
+ *
+ * The graph is walked up from each peer dependency, through the workspaces
+ * passing it on, so each workspace is only visited once per peer dependency.
+ * A violation is reported once per providing workspace, with the shortest
+ * chain.
+ *
+ * @param {object} options
+ * @param {Array<WorkspaceDependencies>} options.workspaceDependencies - Workspaces that may provide peer dependencies
+ * @param {Array<WorkspaceDependencies>} options.internalWorkspaces - Workspaces that may be depended on
+ * @param {Overrides} options.overrides
+ * @returns {Array<PeerDependencyViolation>}
+ */
+function getPeerDependencyViolations({
+  workspaceDependencies,
+  internalWorkspaces,
+  overrides,
+}) {
+  let internalWorkspacesByName = new Map(
+    internalWorkspaces.map((workspace) => [workspace.name, workspace]),
+  );
+  /**
+   * The workspaces depending on each internal workspace, `regular` is false
+   * when only depending on it as a dev dependency (which can only start a
+   * chain)
+   *
+   * @type {Map<WorkspaceDependencies, Array<{dependent: WorkspaceDependencies, regular: boolean}>>}
+   */
+  let dependentsByWorkspace = new Map();
+  for (let dependent of workspaceDependencies) {
+    let dependencyNames = new Set(
+      ["dependencies", "devDependencies", "optionalDependencies"].flatMap(
+        (field) => Object.keys(dependent[field] || {}),
+      ),
+    );
+    for (let dependencyName of dependencyNames) {
+      let workspace = internalWorkspacesByName.get(dependencyName);
+      if (!workspace || workspace === dependent) {
+        continue;
+      }
+      let regular = Boolean(
+        dependent.dependencies?.[dependencyName] ||
+          dependent.optionalDependencies?.[dependencyName],
+      );
+      dependentsByWorkspace.set(
+        workspace,
+        (dependentsByWorkspace.get(workspace) || []).concat({
+          dependent,
+          regular,
+        }),
+      );
+    }
+  }
+
+  /** @type {Array<PeerDependencyViolation>} */
+  let violations = [];
+  let reported = new Set();
+  for (let workspace of internalWorkspaces) {
+    for (let [packageName, peerRange] of Object.entries(
+      workspace.peerDependencies || {},
+    )) {
+      let range = parseRange(peerRange);
+      if (!range) {
+        continue;
+      }
+      let visited = new Set([workspace]);
+      /** @type {Array<Array<WorkspaceDependencies>>} */
+      let chains = [[workspace]];
+      for (let chain of chains) {
+        for (let { dependent, regular } of dependentsByWorkspace.get(
+          chain[0],
+        ) || []) {
+          if (chain.includes(dependent)) {
+            continue;
+          }
+          let type = /** @type {const} */ (["direct", "dev", "optional"]).find(
+            (providedType) =>
+              dependent[DEPENDENCY_TYPE_FIELDS[providedType]]?.[packageName],
+          );
+          if (type) {
+            let specifier =
+              dependent[DEPENDENCY_TYPE_FIELDS[type]][packageName];
+            let providedRange = parseRange(specifier);
+            let key = JSON.stringify([
+              packageName,
+              dependent.name,
+              workspace.name,
+            ]);
+            if (
+              providedRange &&
+              !isSubset(providedRange, range) &&
+              !reported.has(key) &&
+              !isOverridden({
+                overrides,
+                packageName,
+                specifier,
+                workspaceName: dependent.name,
+              })
+            ) {
+              reported.add(key);
+              violations.push({
+                workspace: dependent.name,
+                name: packageName,
+                specifier,
+                type,
+                range: peerRange,
+                chain: [dependent, ...chain].map(({ name }) => name),
+              });
+            }
+          }
+          // keep looking up the chain if the peer dependency is passed on,
+          // dev dependencies only provide versions from the start of a chain
+          let passesOn =
+            regular &&
+            internalWorkspacesByName.get(dependent.name) === dependent &&
+            dependent.peerDependencies?.[packageName] &&
+            !dependent.dependencies?.[packageName] &&
+            !dependent.optionalDependencies?.[packageName];
+          if (passesOn && !visited.has(dependent)) {
+            visited.add(dependent);
+            chains.push([dependent, ...chain]);
+          }
+        }
+      }
+    }
+  }
+  let order = new Map(
+    workspaceDependencies.map((workspace, index) => [workspace.name, index]),
+  );
+  return violations.sort(
+    (a, b) => (order.get(a.workspace) ?? 0) - (order.get(b.workspace) ?? 0),
+  );
+}
+
+// MARK: Internal Dependencies
+/**
+ * @typedef {object} InternalDependencyViolation
+ * @property {WorkspaceName} workspace
+ * @property {PackageName} name - The workspace being depended on
+ * @property {VersionSpecifier} specifier
+ * @property {keyof typeof DEPENDENCY_TYPE_FIELDS} type
+ * @property {string} reason - e.g. `must use workspace:^`
+ */
+
+/**
+ * Checks how workspaces reference other workspaces within the repo, according
+ * to `internalDependencies`. Regardless of the protocol, ranges that aren't
+ * satisfied by the workspace's own version are reported, since they'd resolve
+ * to the registry instead. Peer dependencies are only checked for this, since
+ * they're usually declared as ranges.
+ *
+ * @param {object} options
+ * @param {Array<WorkspaceDependencies>} options.workspaceDependencies - Workspaces that may depend on other workspaces
+ * @param {Array<WorkspaceDependencies>} options.internalWorkspaces - Workspaces that may be depended on
+ * @param {InternalDependencyProtocol} options.protocol
+ * @param {Overrides} options.overrides
+ * @returns {Array<InternalDependencyViolation>}
+ */
+function getInternalDependencyViolations({
+  workspaceDependencies,
+  internalWorkspaces,
+  protocol,
+  overrides,
+}) {
+  let internalVersions = new Map(
+    internalWorkspaces.map(({ name, version }) => [name, version]),
+  );
+  /** @type {Array<InternalDependencyViolation>} */
+  let violations = [];
+  for (let workspace of workspaceDependencies) {
+    for (let [type, field] of Object.entries(DEPENDENCY_TYPE_FIELDS)) {
+      if (FORCED_DEPENDENCY_TYPES.includes(type)) {
+        continue;
+      }
+      for (let [packageName, specifier] of Object.entries(
+        workspace[field] || {},
+      )) {
+        if (
+          !internalVersions.has(packageName) ||
+          packageName === workspace.name ||
+          isOverridden({
+            overrides,
+            packageName,
+            specifier,
+            workspaceName: workspace.name,
+          })
+        ) {
+          continue;
+        }
+        let reason = getInternalDependencyReason({
+          packageName,
+          specifier,
+          version: internalVersions.get(packageName),
+          protocol: type === "peer" ? undefined : protocol,
+        });
+        if (reason) {
+          violations.push({
+            workspace: workspace.name,
+            name: packageName,
+            specifier,
+            type,
+            reason,
+          });
+        }
+      }
+    }
+  }
+  return violations;
+}
+
+/**
+ * @param {object} options
+ * @param {PackageName} options.packageName
+ * @param {VersionSpecifier} options.specifier
+ * @param {string | undefined} options.version - The version of the workspace within the repo
+ * @param {InternalDependencyProtocol | undefined} options.protocol - `undefined` to only check ranges
+ * @returns {string | undefined} - Why the specifier is invalid, if it is
+ */
+function getInternalDependencyReason({
+  packageName,
+  specifier,
+  version,
+  protocol,
+}) {
+  let parsedVersion = version ? parseExactVersion(version) : null;
+  let range = parseRange(specifier);
+  if (range && !(parsedVersion && satisfies(parsedVersion, range))) {
+    return version
+      ? `resolves to the registry, since ${packageName}@${version} within the repo doesn't satisfy it`
+      : `resolves to the registry, since ${packageName} has no version within the repo`;
+  }
+  if (!protocol) {
+    return;
+  }
+  if (protocol === "version") {
+    if (range || !parsedVersion) {
+      return;
+    }
+    return `must use a version matching ${packageName}@${version} (with internalDependencies: 'version')`;
+  }
+  // e.g. `workspace:^1.2.0` is also allowed with `workspace:^`
+  let workspaceRange =
+    protocol !== "workspace:*" && specifier.startsWith(protocol)
+      ? parseRange(specifier.slice("workspace:".length))
+      : null;
+  if (
+    specifier === protocol ||
+    (workspaceRange &&
+      parsedVersion &&
+      satisfies(parsedVersion, workspaceRange))
+  ) {
+    return;
+  }
+  return `must use ${protocol} (with internalDependencies: '${protocol}')`;
+}
+
+// MARK: Dependency Policies
+/**
+ * @typedef {object} PolicyViolation
+ * @property {'banned-dependencies' | 'unlisted-dependencies'} rule
+ * @property {WorkspaceName} workspace
+ * @property {PackageName} name
+ * @property {VersionSpecifier} specifier
+ * @property {keyof typeof DEPENDENCY_TYPE_FIELDS} type
+ * @property {string} [message] - From the matching `bannedDependencies` entry
+ * @property {string} [replacement] - From the matching `bannedDependencies` entry
+ */
+
+/**
+ * Finds dependencies matching an entry within `bannedDependencies`, and
+ * dependencies not matching any entry within `allowedDependencies` (when
+ * it's set). Workspaces within the repo are always allowed.
+ *
+ * @param {object} options
+ * @param {Array<WorkspaceDependencies>} options.workspaceDependencies
+ * @param {Config} options.config
+ * @param {Overrides} options.overrides
+ * @returns {Array<PolicyViolation>}
+ */
+function getPolicyViolations({ workspaceDependencies, config, overrides }) {
+  let { bannedDependencies = [], allowedDependencies } = config;
+  let workspaceNames = new Set(workspaceDependencies.map(({ name }) => name));
+  /** @type {Array<PolicyViolation>} */
+  let violations = [];
+  for (let workspace of workspaceDependencies) {
+    for (let [type, field] of Object.entries(DEPENDENCY_TYPE_FIELDS)) {
+      if (FORCED_DEPENDENCY_TYPES.includes(type)) {
+        continue;
+      }
+      for (let [packageName, specifier] of Object.entries(
+        workspace[field] || {},
+      )) {
+        if (
+          isOverridden({
+            overrides,
+            packageName,
+            specifier,
+            workspaceName: workspace.name,
+          })
+        ) {
+          continue;
+        }
+        let dependency = { packageName, specifier };
+        let violation = {
+          workspace: workspace.name,
+          name: packageName,
+          specifier,
+          type,
+        };
+        let bannedBy = bannedDependencies.find((policy) =>
+          isBannedBy(policy, dependency),
+        );
+        if (bannedBy) {
+          violations.push({
+            rule: "banned-dependencies",
+            ...violation,
+            ...(bannedBy.message ? { message: bannedBy.message } : {}),
+            ...(bannedBy.replacement
+              ? { replacement: bannedBy.replacement }
+              : {}),
+          });
+        } else if (
+          allowedDependencies &&
+          !workspaceNames.has(packageName) &&
+          !allowedDependencies.some((policy) => isAllowedBy(policy, dependency))
+        ) {
+          violations.push({ rule: "unlisted-dependencies", ...violation });
+        }
+      }
+    }
+  }
+  return violations;
+}
+
+/**
+ * @param {PolicyViolation} violation
+ * @returns {string} e.g. `moment@2.30.1 - Use date-fns (suggested replacement: date-fns)`
+ */
+function formatPolicyViolation({ name, specifier, message, replacement }) {
+  return [
+    `${name}@${specifier}`,
+    ...(message ? [` - ${message}`] : []),
+    ...(replacement ? [` (suggested replacement: ${replacement})`] : []),
+  ].join("");
+}
+
+/**
+ * @param {Array<PolicyViolation>} violations
+ * @returns {string}
+ */
+function prettifyPolicyViolations(violations) {
+  let violationsByWorkspace = {};
+  for (let violation of violations) {
+    violationsByWorkspace[violation.workspace] =
+      violationsByWorkspace[violation.workspace] || [];
+    violationsByWorkspace[violation.workspace].push(
+      formatPolicyViolation(violation),
+    );
+  }
+  return prettifyByWorkspace(violationsByWorkspace);
+}
+
+// MARK: Findings
+let RULES = {
+  "duplicate-dependencies": {
+    name: "Duplicate dependencies",
+    description:
+      "Every dependency must use a single version across all workspaces.",
+  },
+  "unpinned-dependencies": {
+    name: "Unpinned dependencies",
+    description:
+      "Dependencies must use an exact version (with versionStrategy: 'pin').",
+  },
+  "version-strategy": {
+    name: "Version strategy",
+    description:
+      "Dependencies must follow the strategy of the most specific matching rule, e.g. 'tilde-only' or 'major-only'.",
+  },
+  "uncataloged-dependencies": {
+    name: "Uncataloged dependencies",
+    description:
+      "Dependencies defined within a catalog must be referenced with the `catalog:` protocol (with requireCatalog: true).",
+  },
+  "peer-dependencies": {
+    name: "Peer dependencies",
+    description:
+      "Versions provided for the peer dependencies of workspaces must satisfy their ranges (with checkPeerDependencies: true).",
+  },
+  "internal-dependencies": {
+    name: "Internal dependencies",
+    description:
+      "Workspaces must reference other workspaces within the repo with the configured protocol (with internalDependencies).",
+  },
+  "banned-dependencies": {
+    name: "Banned dependencies",
+    description:
+      "Dependencies must not match an entry within bannedDependencies.",
+  },
+  "unlisted-dependencies": {
+    name: "Unlisted dependencies",
+    description:
+      "Dependencies must match an entry within allowedDependencies (when it's set).",
+  },
+  "unsatisfied-resolutions": {
+    name: "Unsatisfied resolutions",
+    description:
+      "Resolutions and overrides must satisfy the versions declared within the workspaces.",
+  },
+  "expired-overrides": {
+    name: "Expired overrides",
+    description:
+      "Overrides must be removed or renewed once their `expires` date has passed.",
+  },
+};
+
+/**
+ * @typedef {object} Finding
+ * @property {keyof typeof RULES} rule
+ * @property {WorkspaceDependencies} workspace
+ * @property {PackageName} packageName
+ * @property {VersionSpecifier} specifier
+ * @property {Array<DependencyLocation>} locations - Where the dependency may be declared, in order of precedence
+ * @property {string} message
+ * @property {'error' | 'warning'} [level] - Defaults to `error`
+ *
+ * @typedef {object} DependencyLocation
+ * @property {string} manifestPath - Absolute path to the package.json (or deno.json) file
+ * @property {Array<string>} jsonPath - e.g. `["devDependencies", "typescript"]`
+ */
+
+/**
+ * @param {WorkspaceDependencies} workspace
+ * @param {Array<string>} fields
+ * @param {PackageName} packageName
+ * @returns {Array<DependencyLocation>}
+ */
+function getDependencyLocations(workspace, fields, packageName) {
+  return fields.map((field) => {
+    if (field === "imports") {
+      return {
+        manifestPath: workspace.denoConfigPath,
+        jsonPath: [field, workspace.importEntries?.[packageName]?.key],
+      };
+    }
+    return {
+      manifestPath: path.join(workspace.path, "package.json"),
+      jsonPath: workspace.declarationPaths?.[field]?.[packageName] ?? [
+        field,
+        packageName,
+      ],
+    };
+  });
+}
+
+/**
+ * Flattens the results of the check into one finding per workspace per
+ * offending dependency
+ *
+ * @param {object} options
+ * @param {WorkspaceDependencies} options.rootDependencies
+ * @param {Array<WorkspaceDependencies>} options.workspaceDependencies
+ * @param {ReturnType<typeof getDuplicateDependencies>} options.duplicateDependencies
+ * @param {DuplicateStrategy} options.duplicateStrategy
+ * @param {ReturnType<typeof getUnpinnedDependencies>} options.unpinnedDependencies
+ * @param {VersionStrategyViolations} options.versionStrategyViolations
+ * @param {ReturnType<typeof getUncatalogedDependencies>} options.uncatalogedDependencies
+ * @param {Array<PeerDependencyViolation>} options.peerDependencyViolations
+ * @param {Array<InternalDependencyViolation>} options.internalDependencyViolations
+ * @param {Array<PolicyViolation>} options.policyViolations
+ * @param {Array<UnsatisfiedResolution>} options.unsatisfiedResolutions
+ * @param {Array<OverrideEntry>} options.expiredOverrides
+ * @param {Config} options.config
+ * @param {ConfigSource | undefined} options.configSource
+ * @returns {Array<Finding>}
+ */
+function getFindings({
+  rootDependencies,
+  workspaceDependencies,
+  duplicateDependencies,
+  duplicateStrategy,
+  unpinnedDependencies,
+  versionStrategyViolations,
+  uncatalogedDependencies,
+  peerDependencyViolations,
+  internalDependencyViolations,
+  policyViolations,
+  unsatisfiedResolutions,
+  expiredOverrides,
+  config,
+  configSource,
+}) {
+  let workspacesByName = new Map(
+    [rootDependencies, ...workspaceDependencies].map((workspace) => [
+      String(workspace.name),
+      workspace,
+    ]),
+  );
+  /** @type {Array<Finding>} */
+  let findings = [];
+
+  for (let [packageName, versions, conflicts] of duplicateDependencies) {
+    let specifiers = Object.keys(versions);
+    for (let [specifier, dependencyTypes] of Object.entries(versions)) {
+      let otherSpecifiers = specifiers.filter((other) => other !== specifier);
+      let reasons = conflicts
+        .filter((conflict) => conflict.specifiers.includes(specifier))
+        .map((conflict) => conflict.reason);
+      // e.g. resolutions, or ranges compatible with every other version
+      if (reasons.length === 0) {
+        continue;
+      }
+      for (let [type, consumers] of Object.entries(dependencyTypes)) {
+        for (let consumer of consumers) {
+          let workspace = workspacesByName.get(consumer);
+          if (!workspace) {
+            continue;
+          }
+          findings.push({
+            rule: "duplicate-dependencies",
+            workspace,
+            packageName,
+            specifier,
+            locations: getDependencyLocations(
+              workspace,
+              [DEPENDENCY_TYPE_FIELDS[type]],
+              packageName,
+            ),
+            message: `${packageName}@${specifier} conflicts with other versions used in the repo: ${
+              duplicateStrategy === "exact"
+                ? otherSpecifiers.join(", ")
+                : reasons.join("; ")
+            }`,
+          });
+        }
+      }
+    }
+  }
+
+  for (let [workspaceName, dependencies] of Object.entries(
+    unpinnedDependencies,
+  )) {
+    let workspace = workspacesByName.get(workspaceName);
+    if (!workspace) {
+      continue;
+    }
+    for (let dependency of dependencies) {
+      let [packageName, specifier] = splitDependency(dependency);
+      findings.push({
+        rule: "unpinned-dependencies",
+        workspace,
+        packageName,
+        specifier,
+        locations: getDependencyLocations(
+          workspace,
+          workspace.denoConfigPath
+            ? [
+                "dependencies",
+                "devDependencies",
+                "optionalDependencies",
+                "imports",
+              ]
+            : ["dependencies", "devDependencies", "optionalDependencies"],
+          packageName,
+        ),
+        message: `${dependency} must be pinned to an exact version`,
+      });
+    }
+  }
+
+  for (let [strategy, dependenciesByWorkspace] of Object.entries(
+    versionStrategyViolations,
+  )) {
+    for (let [workspaceName, dependencies] of Object.entries(
+      dependenciesByWorkspace,
+    )) {
+      let workspace = workspacesByName.get(workspaceName);
+      if (!workspace) {
+        continue;
+      }
+      for (let dependency of dependencies) {
+        let [packageName, specifier] = splitDependency(dependency);
+        findings.push({
+          rule: "version-strategy",
+          workspace,
+          packageName,
+          specifier,
+          locations: getDependencyLocations(
+            workspace,
+            [
+              "dependencies",
+              "devDependencies",
+              "optionalDependencies",
+              "peerDependencies",
+              ...(workspace.denoConfigPath ? ["imports"] : []),
+            ],
+            packageName,
+          ),
+          message: `${dependency} must ${VERSION_STRATEGY_REQUIREMENTS[strategy]} (with strategy: '${strategy}')`,
+        });
+      }
+    }
+  }
+
+  for (let [workspaceName, dependencies] of Object.entries(
+    uncatalogedDependencies,
+  )) {
+    let workspace = workspacesByName.get(workspaceName);
+    if (!workspace) {
+      continue;
+    }
+    for (let dependency of dependencies) {
+      let [packageName, specifier] = splitDependency(dependency);
+      findings.push({
+        rule: "uncataloged-dependencies",
+        workspace,
+        packageName,
+        specifier,
+        locations: getDependencyLocations(
+          workspace,
+          ["dependencies", "devDependencies"],
+          packageName,
+        ),
+        message: `${dependency} must be referenced with the catalog: protocol`,
+      });
+    }
+  }
+
+  for (let violation of peerDependencyViolations) {
+    let workspace = workspacesByName.get(violation.workspace);
+    if (!workspace) {
+      continue;
+    }
+    findings.push({
+      rule: "peer-dependencies",
+      workspace,
+      packageName: violation.name,
+      specifier: violation.specifier,
+      locations: getDependencyLocations(
+        workspace,
+        [DEPENDENCY_TYPE_FIELDS[violation.type]],
+        violation.name,
+      ),
+      message: `${violation.name}@${violation.specifier} doesn't satisfy the peer dependency range ${violation.range} (${violation.chain.join(" → ")})`,
+    });
+  }
+
+  for (let violation of internalDependencyViolations) {
+    let workspace = workspacesByName.get(violation.workspace);
+    if (!workspace) {
+      continue;
+    }
+    findings.push({
+      rule: "internal-dependencies",
+      workspace,
+      packageName: violation.name,
+      specifier: violation.specifier,
+      locations: getDependencyLocations(
+        workspace,
+        [DEPENDENCY_TYPE_FIELDS[violation.type]],
+        violation.name,
+      ),
+      message: `${violation.name}@${violation.specifier} ${violation.reason}`,
+    });
+  }
+
+  for (let violation of policyViolations) {
+    let workspace = workspacesByName.get(violation.workspace);
+    if (!workspace) {
+      continue;
+    }
+    findings.push({
+      rule: violation.rule,
+      workspace,
+      packageName: violation.name,
+      specifier: violation.specifier,
+      locations: getDependencyLocations(
+        workspace,
+        [DEPENDENCY_TYPE_FIELDS[violation.type]],
+        violation.name,
+      ),
+      message: `${violation.name}@${violation.specifier} ${
+        violation.rule === "banned-dependencies"
+          ? "is banned"
+          : "isn't listed within allowedDependencies"
+      }${violation.message ? `: ${violation.message}` : ""}${
+        violation.replacement
+          ? ` (suggested replacement: ${violation.replacement})`
+          : ""
+      }`,
+    });
+  }
+
+  for (let {
+    workspace: workspaceName,
+    name: packageName,
+    specifier,
+    type,
+    conflicts,
+  } of unsatisfiedResolutions) {
+    let workspace = workspacesByName.get(workspaceName);
+    if (!workspace) {
+      continue;
+    }
+    findings.push({
+      rule: "unsatisfied-resolutions",
+      workspace,
+      packageName,
+      specifier,
+      locations: getDependencyLocations(
+        workspace,
+        [DEPENDENCY_TYPE_FIELDS[type]],
+        packageName,
+      ),
+      message: `${packageName}@${specifier} does not satisfy the versions declared within the repo: ${conflicts.map((conflict) => conflict.specifier).join(", ")}`,
+    });
+  }
+
+  // overrides are declared within the config file, so they're reported against
+  // the root package
+  for (let { packageKey, versionKey, expires, owner } of expiredOverrides) {
+    findings.push({
+      rule: "expired-overrides",
+      workspace: rootDependencies,
+      packageName: packageKey,
+      specifier: versionKey,
+      locations: [
+        {
+          manifestPath: configSource?.path,
+          jsonPath: [
+            ...(configSource?.jsonPath ?? []),
+            "overrides",
+            packageKey,
+            versionKey,
+          ],
+        },
+      ],
+      message: `The override for ${packageKey}@${versionKey} expired on ${expires}${owner ? ` (owner: ${owner})` : ""}`,
+      level: config.expiredOverrides === "warn" ? "warning" : "error",
+    });
+  }
+
+  return findings;
+}
+
+// MARK: JSON Report
+/**
+ * Bump this whenever the shape of the JSON report changes in a way that isn't
+ * backwards compatible (e.g. renaming or removing a field)
+ */
+let JSON_REPORT_VERSION = 1;
+
+/**
+ * @typedef {object} JSONReport
+ * @property {number} version - Version of the report shape
+ * @property {Config} config - The resolved config (including defaults)
+ * @property {string | null} configPath - Relative to the root directory, `null` without a config
+ * @property {Array<{name: WorkspaceName, path: string}>} workspaces - Paths are relative to the root directory
+ * @property {Array<{
+ *   name: PackageName,
+ *   specifiers: Array<{
+ *     specifier: VersionSpecifier,
+ *     dependencyTypes: Partial<Record<keyof typeof DEPENDENCY_TYPE_FIELDS | 'transitive', Array<string>>>
+ *   }>,
+ *   conflicts: Array<DuplicateConflict>
+ * }>} duplicateDependencies
+ * @property {Array<{
+ *   workspace: WorkspaceName,
+ *   name: PackageName,
+ *   specifier: VersionSpecifier
+ * }>} unpinnedDependencies
+ * @property {Array<{
+ *   workspace: WorkspaceName,
+ *   name: PackageName,
+ *   specifier: VersionSpecifier,
+ *   strategy: VersionStrategy
+ * }>} versionStrategyViolations - Dependencies that don't follow a strategy other than `pin`, see `rules`
+ * @property {Array<{
+ *   workspace: WorkspaceName,
+ *   name: PackageName,
+ *   specifier: VersionSpecifier
+ * }>} uncatalogedDependencies - Only populated with `requireCatalog: true`
+ * @property {Array<PeerDependencyViolation>} peerDependencyViolations - Only populated with `checkPeerDependencies: true`
+ * @property {Array<InternalDependencyViolation>} internalDependencyViolations - Only populated with `internalDependencies`
+ * @property {Array<PolicyViolation>} policyViolations - Only populated with `bannedDependencies` or `allowedDependencies`
+ * @property {Array<UnsatisfiedResolution>} unsatisfiedResolutions
+ * @property {Array<OverrideEntry>} expiredOverrides - Reported as warnings with `expiredOverrides: 'warn'`
+ * @property {Record<BaselineKey, Array<BaselineEntry>>} fixedBaselineEntries - Entries of the baseline file that are no longer found
+ * @property {number} statusCode
+ *
+ * @param {ReportContext} context
+ * @returns {JSONReport}
+ */
+function getJSONReport({
+  rootDirectory,
+  config,
+  configSource,
+  workspaces,
+  duplicateDependencies,
+  unpinnedDependencies,
+  versionStrategyViolations,
+  uncatalogedDependencies,
+  peerDependencyViolations,
+  internalDependencyViolations,
+  policyViolations,
+  unsatisfiedResolutions,
+  expiredOverrides,
+  prunedBaseline,
+  statusCode,
+}) {
+  // the `$schema` key is only useful for editors
+  let { $schema, ...resolvedConfig } = config;
+  return {
+    version: JSON_REPORT_VERSION,
+    config: resolvedConfig,
+    configPath: configSource
+      ? path.relative(rootDirectory, configSource.path)
+      : null,
+    workspaces: workspaces.map(({ name, path: workspacePath }) => ({
+      name,
+      path: path.relative(rootDirectory, workspacePath) || ".",
+    })),
+    duplicateDependencies: duplicateDependencies.map(
+      ([name, versions, conflicts]) => ({
+        name,
+        specifiers: Object.entries(versions).map(
+          ([specifier, dependencyTypes]) => ({ specifier, dependencyTypes }),
+        ),
+        conflicts,
+      }),
+    ),
+    unpinnedDependencies: toDependencyList(unpinnedDependencies),
+    versionStrategyViolations: Object.entries(
+      versionStrategyViolations,
+    ).flatMap(([strategy, dependenciesByWorkspace]) =>
+      toDependencyList(dependenciesByWorkspace).map((dependency) => ({
+        ...dependency,
+        strategy,
+      })),
+    ),
+    uncatalogedDependencies: toDependencyList(uncatalogedDependencies),
+    peerDependencyViolations,
+    internalDependencyViolations,
+    policyViolations,
+    unsatisfiedResolutions,
+    expiredOverrides,
+    fixedBaselineEntries: prunedBaseline?.fixed ?? {
+      duplicateDependencies: [],
+      unpinnedDependencies: [],
+    },
+    statusCode,
+  };
+}
+
+/**
+ * @param {Record<WorkspaceName, Array<string>>} dependenciesByWorkspace - e.g. `{ "pkg-a": ["react@^18"] }`
+ * @returns {Array<{workspace: WorkspaceName, name: PackageName, specifier: VersionSpecifier}>}
+ */
+function toDependencyList(dependenciesByWorkspace) {
+  return Object.entries(dependenciesByWorkspace).flatMap(
+    ([workspace, dependencies]) =>
+      dependencies.map((dependency) => {
+        let [name, specifier] = splitDependency(dependency);
+        return { workspace, name, specifier };
+      }),
+  );
+}
+
+// MARK: Reporters
+/**
+ * @typedef {object} ReportContext
+ * @property {string} rootDirectory
+ * @property {Config} config
+ * @property {ConfigSource | undefined} configSource
+ * @property {boolean} [color] - Whether the text output may use ANSI colors
+ * @property {Array<Workspace>} workspaces
+ * @property {WorkspaceDependencies} rootDependencies
+ * @property {Array<WorkspaceDependencies>} workspaceDependencies
+ * @property {ReturnType<typeof getDuplicateDependencies>} duplicateDependencies
+ * @property {ReturnType<typeof getUnpinnedDependencies>} unpinnedDependencies
+ * @property {VersionStrategyViolations} versionStrategyViolations - Violations of strategies other than `pin`
+ * @property {ReturnType<typeof getUncatalogedDependencies>} uncatalogedDependencies
+ * @property {Array<PeerDependencyViolation>} peerDependencyViolations
+ * @property {Array<InternalDependencyViolation>} internalDependencyViolations
+ * @property {Array<PolicyViolation>} policyViolations
+ * @property {Array<UnsatisfiedResolution>} unsatisfiedResolutions
+ * @property {Array<OverrideEntry>} expiredOverrides
+ * @property {Array<Finding>} findings
+ * @property {ReturnType<typeof pruneBaseline>} [prunedBaseline] - The entries of the baseline file that are still found, and the ones that have been fixed
+ * @property {Partial<Record<keyof typeof RULES, {
+ *   name: string,
+ *   description: string,
+ *   workspaces: Array<WorkspaceDependencies>
+ * }>>} rules - The rules that were checked, and the workspaces they were checked against
+ * @property {number} statusCode
+ *
+ * Reporters return the chunks of output to log, or write to the output file
+ * @typedef {(context: ReportContext) => Array<string>} Reporter
+ */
+
+/**
+ * @type {Reporter}
+ */
+function textReporter({
+  config,
+  color,
+  prunedBaseline,
+  duplicateDependencies,
+  unpinnedDependencies,
+  versionStrategyViolations,
+  uncatalogedDependencies,
+  peerDependencyViolations,
+  internalDependencyViolations,
+  policyViolations,
+  unsatisfiedResolutions,
+  expiredOverrides,
+}) {
+  let { red, green, yellow } = createColors(Boolean(color));
+  let chunks = [];
+  let warnings = [];
+
+  /**
+   * Adds the section of a failing rule, the first one is preceded by the
+   * failure header and the rest by a blank line
+   *
+   * @param {string} title
+   * @param {Array<string>} lines
+   */
+  let pushSection = (title, lines) => {
+    chunks.push(
+      [
+        ...(chunks.length === 0
+          ? ["You shall not pass!", red("🚫 One Version Rule Failure")]
+          : ["", ""]),
+        title,
+        "",
+        ...lines,
+      ].join("\n"),
+    );
+  };
+
+  if (duplicateDependencies.length > 0) {
+    pushSection(
+      [
+        // set apart from the failure header, unlike the other sections
+        "",
+        config.lockfile
+          ? "Found multiple installed versions of the following dependencies:"
+          : "Found multiple versions of the following dependencies:",
+        ...(config.duplicateStrategy === "exact"
+          ? []
+          : [
+              `(with duplicateStrategy: '${config.duplicateStrategy}', only incompatible versions are reported)`,
+            ]),
+      ].join("\n"),
+      [
+        prettify(duplicateDependencies, {
+          showConflicts: config.duplicateStrategy !== "exact",
+        }),
+      ],
+    );
+  }
+
+  if (Object.keys(unpinnedDependencies).length > 0) {
+    pushSection(
+      config.versionStrategy === "pin"
+        ? "Found unpinned dependencies (with versionStrategy: 'pin'):"
+        : "Found unpinned dependencies (with strategy: 'pin'):",
+      [prettifyByWorkspace(unpinnedDependencies)],
+    );
+  }
+
+  for (let [strategy, dependenciesByWorkspace] of Object.entries(
+    versionStrategyViolations,
+  )) {
+    pushSection(
+      `Found dependencies that must ${VERSION_STRATEGY_REQUIREMENTS[strategy]} (with strategy: '${strategy}'):`,
+      [prettifyByWorkspace(dependenciesByWorkspace)],
+    );
+  }
+
+  if (Object.keys(uncatalogedDependencies).length > 0) {
+    pushSection(
+      "Found dependencies that should use the catalog: protocol (with requireCatalog: true):",
+      [prettifyByWorkspace(uncatalogedDependencies)],
+    );
+  }
+
+  if (peerDependencyViolations.length > 0) {
+    let violationsByWorkspace = {};
+    for (let {
+      workspace,
+      name,
+      specifier,
+      range,
+      chain,
+    } of peerDependencyViolations) {
+      violationsByWorkspace[workspace] = violationsByWorkspace[workspace] || [];
+      violationsByWorkspace[workspace].push(
+        `${name}@${specifier} doesn't satisfy ${range} (${chain.join(" → ")})`,
+      );
+    }
+    pushSection(
+      "Found peer dependencies that aren't satisfied by the workspaces depending on them:",
+      [prettifyByWorkspace(violationsByWorkspace)],
+    );
+  }
+
+  if (internalDependencyViolations.length > 0) {
+    let violationsByWorkspace = {};
+    for (let {
+      workspace,
+      name,
+      specifier,
+      reason,
+    } of internalDependencyViolations) {
+      violationsByWorkspace[workspace] = violationsByWorkspace[workspace] || [];
+      violationsByWorkspace[workspace].push(`${name}@${specifier} ${reason}`);
+    }
+    pushSection("Found invalid references to workspaces within the repo:", [
+      prettifyByWorkspace(violationsByWorkspace),
+    ]);
+  }
+
+  for (let [rule, header] of [
+    ["banned-dependencies", "Found banned dependencies:"],
+    [
+      "unlisted-dependencies",
+      "Found dependencies that aren't listed within allowedDependencies:",
+    ],
+  ]) {
+    let violations = policyViolations.filter(
+      (violation) => violation.rule === rule,
+    );
+    if (violations.length > 0) {
+      pushSection(header, [prettifyPolicyViolations(violations)]);
+    }
+  }
+
+  if (unsatisfiedResolutions.length > 0) {
+    pushSection(
+      "Found resolutions and overrides that don't satisfy the versions declared within the repo:",
+      [prettifyUnsatisfiedResolutions(unsatisfiedResolutions)],
+    );
+  }
+
+  if (expiredOverrides.length > 0) {
+    let expiredOverridesStr = expiredOverrides
+      .map(prettifyOverride)
+      .join("\n\n");
+    if (config.expiredOverrides === "warn") {
+      warnings.push(
+        [
+          "",
+          yellow("⚠️ Found expired overrides (with expiredOverrides: 'warn'):"),
+          "",
+          expiredOverridesStr,
+        ].join("\n"),
+      );
+    } else {
+      pushSection("Found expired overrides, remove or renew them:", [
+        expiredOverridesStr,
+      ]);
+    }
+  }
+
+  let fixedBaselineEntries = [
+    ...(prunedBaseline?.fixed.duplicateDependencies ?? []).map(
+      ({ workspace, name, specifier }) =>
+        `  ${name}@${specifier}: ${workspace} (duplicate)`,
+    ),
+    ...(prunedBaseline?.fixed.unpinnedDependencies ?? []).map(
+      ({ workspace, name, specifier }) =>
+        `  ${name}@${specifier}: ${workspace} (unpinned)`,
+    ),
+  ];
+  if (fixedBaselineEntries.length > 0) {
+    warnings.push(
+      [
+        "",
+        yellow(
+          `⚠️ Found entries within ${BASELINE_FILE_NAME} that have been fixed, remove them with \`one-version check --update-baseline\`:`,
+        ),
+        "",
+        ...fixedBaselineEntries,
+      ].join("\n"),
+    );
+  }
+
+  if (chunks.length === 0) {
+    chunks.push(
+      [
+        "My preciousss",
+        green("✨ One Version Rule Success - found no version conflicts!"),
+      ].join("\n"),
+    );
+  }
+  return [...chunks, ...warnings];
+}
+
+/**
+ * @type {Reporter}
+ */
+function jsonReporter(context) {
+  return [JSON.stringify(getJSONReport(context), null, 2)];
+}
+
+/**
+ * @type {Record<Format, Reporter>}
+ */
+let REPORTERS = {
+  text: textReporter,
+  json: jsonReporter,
+  sarif: sarifReporter,
+  junit: junitReporter,
+};
+
+// MARK: Load Repository
+/**
+ * @typedef {object} Repository
+ * @property {Config} initialConfig
+ * @property {ConfigSource | undefined} configSource - `undefined` without a config
+ * @property {Array<Workspace>} workspaces
+ * @property {WorkspaceDependencies} rootDependencies
+ * @property {Array<WorkspaceDependencies>} workspaceDependencies - With `catalog:` references resolved
+ * @property {Catalogs} catalogs
+ * @property {Overrides} overrides - With workspace path globs (e.g. `apps/*`) resolved to workspace names
+ *
+ * @param {object} options
+ * @param {string} options.rootDirectory
+ * @param {string} [options.configPath] - From the `--config` flag
+ * @param {Partial<Config>} [options.config] - Used instead of the config within the repo, see `loadConfig`
+ * @param {Partial<Config>} [options.configFlags] - Flags which take precedence over the config, see `getConfigFlags`
+ * @param {Map<string, WorkspaceDependencies>} [options.manifests] - See `readRepository`
+ * @param {Logger} options.logger
+ * @returns {Promise<Repository | undefined>} - `undefined` if the repo couldn't be loaded
+ */
+async function loadRepository({
+  rootDirectory,
+  configPath,
+  config,
+  configFlags = {},
+  manifests,
+  logger,
+}) {
+  let loadedConfig = await loadConfig({
+    rootDirectory,
+    configPath,
+    config,
+    logger,
+  });
+  if (!loadedConfig) {
+    return;
+  }
+  let { configSource } = loadedConfig;
+  let initialConfig = resolveConfig(
+    { ...loadedConfig.config, ...configFlags },
+    { rootDirectory },
+  );
+  if (typeof initialConfig.packageManager !== "string") {
+    logger.error(
+      "Could not infer package manager! Please specify one in the config file.",
+    );
+    return;
+  }
+  debug("Initial config", JSON.stringify(initialConfig, null, 2));
+  let workspaces = getWorkspaces({
+    rootDirectory,
+    packageManager: initialConfig.packageManager,
+  });
+  debug("Workspaces", JSON.stringify(workspaces, null, 2));
+
+  return readRepository({
+    rootDirectory,
+    initialConfig,
+    configSource,
+    workspaces,
+    manifests,
+  });
+}
+
+/**
+ * Reads the dependencies of the root package and each workspace. Manifests
+ * are read through `manifests` when passed, so only workspaces missing from it
+ * are read again (see `watchRepository`).
+ *
+ * @param {object} options
+ * @param {string} options.rootDirectory
+ * @param {Config} options.initialConfig
+ * @param {ConfigSource | undefined} options.configSource
+ * @param {Array<Workspace>} options.workspaces
+ * @param {Map<string, WorkspaceDependencies>} [options.manifests] - By workspace path, before resolving `catalog:` references
+ * @returns {Repository}
+ */
+function readRepository({
+  rootDirectory,
+  initialConfig,
+  configSource,
+  workspaces,
+  manifests = new Map(),
+}) {
+  let readManifest = (/** @type {string} */ workspacePath) => {
+    let manifest =
+      manifests.get(workspacePath) ??
+      getDependencies({
+        path: workspacePath,
+        packageManager: initialConfig.packageManager,
+      });
+    manifests.set(workspacePath, manifest);
+    return manifest;
+  };
+
+  let catalogs = getCatalogs({
+    rootDirectory,
+    packageManager: initialConfig.packageManager,
+  });
+  debug("Catalogs", JSON.stringify(catalogs, null, 2));
+
+  let rootDependencies = resolveCatalogReferences({
+    manifest: readManifest(rootDirectory),
+    catalogs,
+  });
+  if (!rootDependencies.name) {
+    rootDependencies.name = ROOT_WORKSPACE_NAME;
+  }
+  debug("Root dependencies", JSON.stringify(rootDependencies, null, 2));
+
+  let workspaceDependencies = workspaces.map(({ path }) =>
+    resolveCatalogReferences({ manifest: readManifest(path), catalogs }),
+  );
+  debug(
+    "Workspaces Dependencies",
+    JSON.stringify(workspaceDependencies, null, 2),
+  );
+
+  let overrides = resolveOverrideWorkspaces({
+    overrides: initialConfig.overrides,
+    workspaces: workspaces.map((workspace) => ({
+      name: workspace.name,
+      path: path
+        .relative(rootDirectory, workspace.path)
+        .split(path.sep)
+        .join("/"),
+    })),
+  });
+
+  return {
+    initialConfig,
+    configSource,
+    workspaces,
+    rootDependencies,
+    workspaceDependencies,
+    catalogs,
+    overrides,
+  };
+}
+
+// MARK: Fix
+/**
+ * Picks the specifier with the highest minimum version out of the ones within
+ * every other specifier's range, so whichever version it resolves to satisfies
+ * all of them, e.g. for `^5`, `^5.4` and `5.4.5` this would pick `5.4.5`.
+ * Exact versions win ties with ranges.
+ *
+ * @param {Array<VersionSpecifier>} specifiers
+ * @returns {VersionSpecifier | undefined} - `undefined` if none of them satisfies the others, e.g. `^17.0.0` and `18.2.0`
+ */
+function getHighestSpecifier(specifiers) {
+  let candidates = specifiers.map((specifier) => ({
+    specifier,
+    range: parseRange(specifier),
+    version: getMinimumVersion(specifier),
+  }));
+  if (candidates.some(({ range, version }) => !range || !version)) {
+    // can't safely compare tags (`latest`), protocols (`workspace:*`), etc.
+    return;
+  }
+  candidates = candidates.filter((candidate) =>
+    candidates.every((other) => isSubset(candidate.range, other.range)),
+  );
+  candidates.sort(
+    (a, b) =>
+      compareVersions(b.version, a.version) ||
+      Number(formatVersion(b.version) === b.specifier) -
+        Number(formatVersion(a.version) === a.specifier),
+  );
+  return candidates[0]?.specifier;
+}
+
+/**
+ * @typedef {object} FixEdit
+ * @property {WorkspaceName} workspaceName
+ * @property {string} path - Absolute path to the workspace's package.json (or deno.json for imports)
+ * @property {string} field - e.g. `devDependencies`, see `DEPENDENCY_TYPE_FIELDS`
+ * @property {PackageName} packageName
+ * @property {VersionSpecifier} from
+ * @property {VersionSpecifier} to
+ * @property {Array<string>} [jsonPath] - Defaults to `[field, packageName]`
+ * @property {string} [value] - Defaults to `to`
+ *
+ * @typedef {object} FixPlan
+ * @property {Array<FixEdit>} edits
+ * @property {Array<{packageName: PackageName, reason: string}>} unresolved - Packages without a target specifier
+ * @property {Array<PackageName>} cataloged - Packages with `catalog:` references that don't match the target, these need to be updated within the catalog
+ *
+ * @param {object} options
+ * @param {ReturnType<typeof getDuplicateDependencies>} options.duplicateDependencies
+ * @param {Array<WorkspaceDependencies>} options.workspaceDependencies
+ * @param {Record<PackageName, VersionSpecifier>} options.targets - Explicit target specifiers
+ * @returns {FixPlan}
+ */
+function getFixPlan({ duplicateDependencies, workspaceDependencies, targets }) {
+  let workspacesByName = new Map(
+    workspaceDependencies.map((workspace) => [workspace.name, workspace]),
+  );
+
+  let edits = [];
+  let unresolved = [];
+  let cataloged = new Set();
+  for (let [packageName, versions] of duplicateDependencies) {
+    let catalogReference = getCatalogReferenceTarget({
+      packageName,
+      versions,
+      workspacesByName,
+    });
+    let specifiers = Object.keys(versions);
+    let target =
+      targets[packageName] ||
+      catalogReference?.version ||
+      getHighestSpecifier(specifiers);
+    if (!target) {
+      unresolved.push({
+        packageName,
+        reason: `none of ${formatList(specifiers)} satisfies the others`,
+      });
+      continue;
+    }
+    // narrowing a peer range breaks consumers, so it's only done when asked to
+    if (
+      !targets[packageName] &&
+      Object.entries(versions).some(
+        ([version, dependencyTypes]) =>
+          version !== target && dependencyTypes.peer,
+      )
+    ) {
+      unresolved.push({
+        packageName,
+        reason:
+          "peer dependency ranges are only changed to an explicit version",
+      });
+      continue;
+    }
+    for (let [version, dependencyTypes] of Object.entries(versions)) {
+      if (version === target) {
+        continue;
+      }
+      for (let [type, consumers] of Object.entries(dependencyTypes)) {
+        let field = DEPENDENCY_TYPE_FIELDS[type];
+        for (let workspaceName of consumers) {
+          let workspace = workspacesByName.get(workspaceName);
+          // `catalog:` references need to be updated within the catalog
+          if (workspace.catalogReferences?.[field]?.[packageName]) {
+            cataloged.add(packageName);
+            continue;
+          }
+          let to =
+            catalogReference?.version === target
+              ? catalogReference.reference
+              : target;
+          if (field === "imports") {
+            // rewrite the version within the import map entry, keeping the
+            // registry prefix and any subpath, e.g. `npm:react@^18/jsx-runtime`
+            let { key, value } = workspace.importEntries[packageName];
+            edits.push({
+              workspaceName,
+              path: workspace.denoConfigPath,
+              field,
+              packageName,
+              from: version,
+              to,
+              jsonPath: [field, key],
+              value: value.replace(
+                /^((?:npm|jsr):\/?(?:@[^/@]+\/)?[^/@]+)(?:@[^/]+)?/,
+                `$1@${to}`,
+              ),
+            });
+            continue;
+          }
+          edits.push({
+            workspaceName,
+            path: path.join(workspace.path, "package.json"),
+            field,
+            packageName,
+            from: version,
+            to,
+            jsonPath: workspace.declarationPaths?.[field]?.[packageName],
+          });
+        }
+      }
+    }
+  }
+  return { edits, unresolved, cataloged: [...cataloged] };
+}
+
+/**
+ * When every `catalog:` reference to a conflicting dependency points at the
+ * same catalog, that catalog's version is used as the fix target and other
+ * workspaces are updated to reference the catalog too
+ *
+ * @param {object} options
+ * @param {PackageName} options.packageName
+ * @param {Record<VersionSpecifier, Record<string, Array<WorkspaceName>>>} options.versions
+ * @param {Map<WorkspaceName, WorkspaceDependencies>} options.workspacesByName
+ * @returns {{version: VersionSpecifier, reference: string} | undefined}
+ */
+function getCatalogReferenceTarget({
+  packageName,
+  versions,
+  workspacesByName,
+}) {
+  let references = new Map();
+  for (let [version, dependencyTypes] of Object.entries(versions)) {
+    for (let [type, consumers] of Object.entries(dependencyTypes)) {
+      for (let workspaceName of consumers) {
+        let reference =
+          workspacesByName.get(workspaceName)?.catalogReferences?.[
+            DEPENDENCY_TYPE_FIELDS[type]
+          ]?.[packageName];
+        if (reference) {
+          references.set(reference, version);
+        }
+      }
+    }
+  }
+  if (references.size !== 1) {
+    return;
+  }
+  let [[reference, version]] = references;
+  return { version, reference };
+}
+
+/**
+ * Applies the edits to each package.json, returning the original and updated
+ * contents of every touched file. Only the edited values are changed, so key
+ * order, indentation and trailing newlines are preserved.
+ *
+ * @param {object} options
+ * @param {Array<FixEdit>} options.edits
+ * @returns {Array<{path: string, original: string, updated: string}>}
+ */
+function applyFixEdits({ edits }) {
+  /** @type {Record<string, Array<FixEdit>>} */
+  let editsByPath = {};
+  for (let edit of edits) {
+    editsByPath[edit.path] = (editsByPath[edit.path] || []).concat(edit);
+  }
+  return Object.entries(editsByPath).map(([packagePath, fileEdits]) => {
+    let original = readFileSync(packagePath, { encoding: "utf8" });
+    let updated = replaceValues(
+      original,
+      fileEdits.map(({ field, packageName, to, jsonPath, value }) => ({
+        jsonPath: jsonPath ?? [field, packageName],
+        value: value ?? to,
+      })),
+    );
+    return { path: packagePath, original, updated };
+  });
+}
+
+/**
+ * Get a minimal line based diff in the format:
+ * --- libs/pkg-a/package.json
+ * +++ libs/pkg-a/package.json
+ * @@ line 12 @@
+ * -    "typescript": "^5"
+ * +    "typescript": "5.4.5"
+ *
+ * @param {object} options
+ * @param {string} options.fileName
+ * @param {string} options.original
+ * @param {string} options.updated
+ * @param {ReturnType<typeof createColors>} options.colors
+ * @returns {string}
+ */
+function getDiffString({ fileName, original, updated, colors }) {
+  let originalLines = original.split("\n");
+  let updatedLines = updated.split("\n");
+  let hunks = [];
+  for (let i = 0; i < originalLines.length; i++) {
+    if (originalLines[i] !== updatedLines[i]) {
+      hunks.push(
+        [
+          `@@ line ${i + 1} @@`,
+          colors.red(`-${originalLines[i]}`),
+          colors.green(`+${updatedLines[i]}`),
+        ].join("\n"),
+      );
+    }
+  }
+  return [`--- ${fileName}`, `+++ ${fileName}`, ...hunks].join("\n");
+}
+
+/**
+ * Parses `name@specifier` arguments, e.g. `react@18.3.1` or `@types/react@18.3.3`
+ *
+ * @param {Array<string>} args
+ * @returns {{targets: Record<PackageName, VersionSpecifier>, invalid: Array<string>}} - `invalid` lists the arguments without a name or specifier
+ */
+function parseFixTargets(args) {
+  let targets = {};
+  let invalid = [];
+  for (let arg of args) {
+    let separatorIndex = arg.lastIndexOf("@");
+    if (separatorIndex <= 0 || separatorIndex === arg.length - 1) {
+      invalid.push(arg);
+      continue;
+    }
+    targets[arg.slice(0, separatorIndex)] = arg.slice(separatorIndex + 1);
+  }
+  return { targets, invalid };
+}
+
+/**
+ * Describes the written files by name, e.g. `2 package.json files and 1 deno.json file`
+ *
+ * @param {Array<{path: string}>} files
+ * @returns {string}
+ */
+function formatFileCounts(files) {
+  let counts = new Map();
+  for (let { path: filePath } of files) {
+    let fileName = path.basename(filePath);
+    counts.set(fileName, (counts.get(fileName) || 0) + 1);
+  }
+  return formatList(
+    [...counts].map(
+      ([fileName, count]) =>
+        `${count} ${fileName} ${count === 1 ? "file" : "files"}`,
+    ),
+  );
+}
+
+// MARK: Check
+/**
+ * Runs the checks enabled by the config against the repo
+ *
+ * @param {object} options
+ * @param {string} options.rootDirectory
+ * @param {Repository} options.repository
+ * @param {Set<WorkspaceName>} [options.selectedWorkspaceNames] - Only report findings for these workspaces, see `selectWorkspaceResults`
+ * @param {Map<WorkspaceName, Set<string>>} [options.baseDependencies] - Only report findings for dependencies that weren't declared at a git ref, see `getChangesSince`
+ * @param {Baseline} [options.baseline] - Only report duplicate and unpinned dependencies missing from the baseline, see `selectNewResults`
+ * @param {Logger} options.logger
+ * @returns {ReportContext | undefined} - `undefined` if the lockfile can't be found in lockfile mode
+ */
+function runChecks({
+  rootDirectory,
+  repository,
+  selectedWorkspaceNames,
+  baseDependencies,
+  baseline,
+  logger,
+}) {
+  let {
+    initialConfig,
+    configSource,
+    workspaces,
+    rootDependencies,
+    workspaceDependencies,
+    catalogs,
+    overrides,
+  } = repository;
+
+  // Check for duplicate and mismatched versions of dependencies
+  let checkedDependencies = getDuplicateCheckDependencies({
+    config: initialConfig,
+    rootDependencies,
+    workspaceDependencies,
+  });
+  let duplicateDependencies;
+  if (initialConfig.lockfile) {
+    let lockfile = readLockfile({
+      rootDirectory,
+      packageManager: initialConfig.packageManager,
+    });
+    if (!lockfile) {
+      logger.error(
+        `Could not find a lockfile for ${initialConfig.packageManager}! Lockfile mode supports: bun.lock, package-lock.json, pnpm-lock.yaml and yarn.lock`,
+      );
+      return;
+    }
+    debug("Lockfile", lockfile.path);
+    duplicateDependencies = getResolvedDuplicateDependencies({
+      rootDirectory,
+      lockfile,
+      workspaceDependencies: checkedDependencies,
+      overrides,
+      duplicateStrategy: initialConfig.duplicateStrategy,
+    });
+  } else {
+    duplicateDependencies = getDuplicateDependencies({
+      workspaceDependencies: checkedDependencies,
+      overrides,
+      duplicateStrategy: initialConfig.duplicateStrategy,
+    });
+  }
+  debug(
+    "Duplicate dependencies",
+    JSON.stringify(duplicateDependencies, null, 2),
+  );
+
+  // check versionStrategy and rules, `pin` violations are reported as
+  // unpinned dependencies
+  let { pin: unpinnedDependencies = {}, ...versionStrategyViolations } =
+    getVersionStrategyViolations({
+      rootDirectory,
+      config: initialConfig,
+      workspaceDependencies: [...workspaceDependencies, rootDependencies],
+      overrides,
+    });
+  debug("Unpinned dependencies", JSON.stringify(unpinnedDependencies, null, 2));
+  debug(
+    "Version strategy violations",
+    JSON.stringify(versionStrategyViolations, null, 2),
+  );
+
+  let uncatalogedDependencies = {};
+  if (initialConfig.requireCatalog) {
+    uncatalogedDependencies = getUncatalogedDependencies({
+      workspaceDependencies: [rootDependencies, ...workspaceDependencies],
+      catalogs,
+      overrides,
+    });
+    debug(
+      "Uncataloged dependencies",
+      JSON.stringify(uncatalogedDependencies, null, 2),
+    );
+  }
+
+  let peerDependencyViolations = [];
+  if (initialConfig.checkPeerDependencies) {
+    peerDependencyViolations = getPeerDependencyViolations({
+      workspaceDependencies: [rootDependencies, ...workspaceDependencies],
+      internalWorkspaces: workspaceDependencies,
+      overrides,
+    });
+    debug(
+      "Peer dependency violations",
+      JSON.stringify(peerDependencyViolations, null, 2),
+    );
+  }
+
+  let internalDependencyViolations = [];
+  if (initialConfig.internalDependencies) {
+    internalDependencyViolations = getInternalDependencyViolations({
+      workspaceDependencies: [rootDependencies, ...workspaceDependencies],
+      internalWorkspaces: workspaceDependencies,
+      protocol: initialConfig.internalDependencies,
+      overrides,
+    });
+    debug(
+      "Internal dependency violations",
+      JSON.stringify(internalDependencyViolations, null, 2),
+    );
+  }
+
+  let policyViolations = getPolicyViolations({
+    workspaceDependencies: checkedDependencies,
+    config: initialConfig,
+    overrides,
+  });
+  debug("Policy violations", JSON.stringify(policyViolations, null, 2));
+
+  // resolutions and overrides typically live within the root package.json,
+  // so it's always checked here (regardless of `includeRoot`)
+  let forcingDependencies = [rootDependencies, ...workspaceDependencies].filter(
+    (workspace) =>
+      workspace.resolutions !== undefined || workspace.overrides !== undefined,
+  );
+  let unsatisfiedResolutions = getUnsatisfiedResolutions({
+    workspaceDependencies: [rootDependencies, ...workspaceDependencies],
+    overrides,
+  });
+  debug(
+    "Unsatisfied resolutions",
+    JSON.stringify(unsatisfiedResolutions, null, 2),
+  );
+
+  let expiredOverrides = getOverrideEntries(initialConfig.overrides).filter(
+    (entry) => isOverrideExpired(entry),
+  );
+  debug("Expired overrides", JSON.stringify(expiredOverrides, null, 2));
+
+  /** @type {WorkspaceResults} */
+  let results = {
+    duplicateDependencies,
+    unpinnedDependencies,
+    versionStrategyViolations,
+    uncatalogedDependencies,
+    peerDependencyViolations,
+    internalDependencyViolations,
+    policyViolations,
+    unsatisfiedResolutions,
+  };
+  // fixed entries are found within the whole repo, before narrowing it down
+  let prunedBaseline =
+    baseline && pruneBaseline(baseline, getBaselineEntries(results));
+  if (baseline) {
+    results = selectNewResults(results, baseline);
+  }
+  if (selectedWorkspaceNames) {
+    results = selectWorkspaceResults(results, selectedWorkspaceNames);
+  }
+  if (baseDependencies) {
+    results = selectIntroducedResults(results, baseDependencies);
+    // overrides expire over time, rather than through changes
+    expiredOverrides = [];
+  }
+  ({
+    duplicateDependencies,
+    unpinnedDependencies,
+    versionStrategyViolations,
+    uncatalogedDependencies,
+    peerDependencyViolations,
+    internalDependencyViolations,
+    policyViolations,
+    unsatisfiedResolutions,
+  } = results);
+
+  let statusCode =
+    duplicateDependencies.length > 0 ||
+    Object.keys(unpinnedDependencies).length > 0 ||
+    Object.keys(versionStrategyViolations).length > 0 ||
+    Object.keys(uncatalogedDependencies).length > 0 ||
+    peerDependencyViolations.length > 0 ||
+    internalDependencyViolations.length > 0 ||
+    policyViolations.length > 0 ||
+    unsatisfiedResolutions.length > 0 ||
+    (expiredOverrides.length > 0 && initialConfig.expiredOverrides !== "warn")
+      ? 1
+      : 0;
+
+  return {
+    rootDirectory,
+    config: initialConfig,
+    configSource,
+    workspaces,
+    rootDependencies,
+    workspaceDependencies,
+    duplicateDependencies,
+    unpinnedDependencies,
+    versionStrategyViolations,
+    uncatalogedDependencies,
+    peerDependencyViolations,
+    internalDependencyViolations,
+    policyViolations,
+    unsatisfiedResolutions,
+    expiredOverrides,
+    findings: getFindings({
+      rootDependencies,
+      workspaceDependencies,
+      duplicateDependencies,
+      duplicateStrategy: initialConfig.duplicateStrategy,
+      unpinnedDependencies,
+      versionStrategyViolations,
+      uncatalogedDependencies,
+      peerDependencyViolations,
+      internalDependencyViolations,
+      policyViolations,
+      unsatisfiedResolutions,
+      expiredOverrides,
+      config: initialConfig,
+      configSource,
+    }).filter(
+      (finding) =>
+        (!baseDependencies ||
+          isIntroduced(
+            baseDependencies,
+            String(finding.workspace.name),
+            finding.packageName,
+            finding.specifier,
+          )) &&
+        !(baseline && isBaselinedFinding(baseline, finding)),
+    ),
+    prunedBaseline,
+    rules: selectRuleWorkspaces(
+      {
+        "duplicate-dependencies": {
+          ...RULES["duplicate-dependencies"],
+          workspaces: checkedDependencies,
+        },
+        ...(usesVersionStrategy(initialConfig, "pin")
+          ? {
+              "unpinned-dependencies": {
+                ...RULES["unpinned-dependencies"],
+                workspaces: [rootDependencies, ...workspaceDependencies],
+              },
+            }
+          : {}),
+        ...(["tilde-only", "caret-only", "major-only"].some((strategy) =>
+          usesVersionStrategy(initialConfig, strategy),
+        )
+          ? {
+              "version-strategy": {
+                ...RULES["version-strategy"],
+                workspaces: [rootDependencies, ...workspaceDependencies],
+              },
+            }
+          : {}),
+        ...(initialConfig.requireCatalog
+          ? {
+              "uncataloged-dependencies": {
+                ...RULES["uncataloged-dependencies"],
+                workspaces: [rootDependencies, ...workspaceDependencies],
+              },
+            }
+          : {}),
+        ...(initialConfig.checkPeerDependencies
+          ? {
+              "peer-dependencies": {
+                ...RULES["peer-dependencies"],
+                workspaces: [rootDependencies, ...workspaceDependencies],
+              },
+            }
+          : {}),
+        ...(initialConfig.internalDependencies
+          ? {
+              "internal-dependencies": {
+                ...RULES["internal-dependencies"],
+                workspaces: [rootDependencies, ...workspaceDependencies],
+              },
+            }
+          : {}),
+        ...(initialConfig.bannedDependencies
+          ? {
+              "banned-dependencies": {
+                ...RULES["banned-dependencies"],
+                workspaces: checkedDependencies,
+              },
+            }
+          : {}),
+        ...(initialConfig.allowedDependencies
+          ? {
+              "unlisted-dependencies": {
+                ...RULES["unlisted-dependencies"],
+                workspaces: checkedDependencies,
+              },
+            }
+          : {}),
+        ...(forcingDependencies.length > 0
+          ? {
+              "unsatisfied-resolutions": {
+                ...RULES["unsatisfied-resolutions"],
+                workspaces: forcingDependencies,
+              },
+            }
+          : {}),
+        ...(getOverrideEntries(initialConfig.overrides).some(
+          ({ expires }) => expires,
+        )
+          ? {
+              "expired-overrides": {
+                ...RULES["expired-overrides"],
+                workspaces: [rootDependencies],
+              },
+            }
+          : {}),
+      },
+      selectedWorkspaceNames,
+    ),
+    statusCode,
+  };
+}
+
+/**
+ * @typedef {object} CheckResult
+ * @property {0 | 1} statusCode - `1` if any errors were found, warnings alone don't fail the check
+ * @property {Array<Finding>} findings - Every error and warning, with where the offending dependency is declared
+ * @property {JSONReport} report - The same report as `one-version check --format json`
+ */
+
+/**
+ * Checks the repo like `one-version check`, returning the results rather than
+ * logging a report. Findings within the baseline file are left out, unless
+ * `baseline` is `false`.
+ *
+ * @example
+ * let { statusCode, findings } = await check({ rootDirectory: process.cwd() });
+ *
+ * @param {object} options
+ * @param {string} options.rootDirectory
+ * @param {Partial<Config>} [options.config] - Used instead of the config within the repo
+ * @param {string} [options.configPath] - Read the config from this file (relative to the root directory), instead of looking for one
+ * @param {boolean} [options.baseline] - Whether to skip the findings within `.one-version-baseline.json`, defaults to `true`
+ * @returns {Promise<CheckResult>}
+ * @throws {Error} If the config is invalid or the repo can't be loaded, with the reasons as the message
+ */
+export async function check({
+  rootDirectory,
+  config,
+  configPath,
+  baseline = true,
+}) {
+  /** @type {Array<string>} */
+  let errors = [];
+  /** @type {Logger} */
+  let logger = {
+    log() {},
+    error(...args) {
+      errors.push(args.join(" "));
+    },
+  };
+  let repository = await loadRepository({
+    rootDirectory,
+    config,
+    configPath,
+    logger,
+  });
+  let loadedBaseline =
+    repository &&
+    (baseline
+      ? readBaseline({ rootDirectory, logger })
+      : { baseline: undefined });
+  let context =
+    loadedBaseline &&
+    runChecks({
+      rootDirectory,
+      repository,
+      baseline: loadedBaseline.baseline,
+      logger,
+    });
+  if (!context) {
+    throw new Error(errors.join("\n"));
+  }
+  return {
+    statusCode: /** @type {0 | 1} */ (context.statusCode),
+    findings: context.findings,
+    report: getJSONReport(context),
+  };
+}
+
+/**
+ * Checks a loaded repo and logs (or writes) the report, like `one-version check`
+ *
+ * @param {object} options
+ * @param {string} options.rootDirectory
+ * @param {Repository} options.repository
+ * @param {FlagValues} options.values - Flags passed to `check`
+ * @param {boolean} options.color
+ * @param {Logger} options.logger
+ * @returns {{statusCode: number, findings?: Array<Finding>}} - `findings` is missing if the check couldn't run
+ */
+function reportCheck({ rootDirectory, repository, values, color, logger }) {
+  let { initialConfig, rootDependencies, workspaceDependencies } = repository;
+
+  if (!Object.hasOwn(REPORTERS, initialConfig.format)) {
+    logger.error(
+      `Unknown format: ${initialConfig.format}! Expected one of: ${Object.keys(REPORTERS).join(", ")}`,
+    );
+    return { statusCode: 1 };
+  }
+
+  let selectedWorkspaceNames;
+  if (values.workspace) {
+    let workspaceNames = [rootDependencies, ...workspaceDependencies].map(
+      (workspace) => String(workspace.name),
+    );
+    let patterns = /** @type {Array<string>} */ (values.workspace);
+    let unmatchedPattern = patterns.find(
+      (pattern) => !workspaceNames.some((name) => matchesGlob(name, pattern)),
+    );
+    if (unmatchedPattern) {
+      logger.error(
+        `No workspaces match --workspace ${unmatchedPattern}, expected one of: ${workspaceNames.join(", ")}`,
+      );
+      return { statusCode: 1 };
+    }
+    selectedWorkspaceNames = new Set(
+      workspaceNames.filter((name) =>
+        patterns.some((pattern) => matchesGlob(name, pattern)),
+      ),
+    );
+  }
+
+  let baseDependencies;
+  if (values.since) {
+    let ref = String(values.since);
+    if (initialConfig.lockfile) {
+      logger.error(
+        "--since can't be used in lockfile mode, since the versions installed at the ref aren't known",
+      );
+      return { statusCode: 1 };
+    }
+    let changes = getChangesSince({ rootDirectory, repository, ref, logger });
+    if (!changes) {
+      return { statusCode: 1 };
+    }
+    if (changes.configChanged) {
+      // other formats are left as-is on stdout, since they're meant to be parsed
+      if (initialConfig.output || initialConfig.format === "text") {
+        logger.log(
+          `The config changed since ${ref}, so every finding is reported`,
+        );
+      }
+    } else {
+      baseDependencies = changes.baseDependencies;
+    }
+  }
+
+  let loadedBaseline = readBaseline({ rootDirectory, logger });
+  if (!loadedBaseline) {
+    return { statusCode: 1 };
+  }
+  let { baseline } = loadedBaseline;
+  if (values["update-baseline"] && !baseline) {
+    logger.error(
+      `Could not find ${BASELINE_FILE_NAME} to update, create one with \`one-version baseline\``,
+    );
+    return { statusCode: 1 };
+  }
+
+  let context = runChecks({
+    rootDirectory,
+    repository,
+    selectedWorkspaceNames,
+    baseDependencies,
+    baseline,
+    logger,
+  });
+  if (!context) {
+    return { statusCode: 1 };
+  }
+  if (values["update-baseline"] && context.prunedBaseline) {
+    let { baseline: remaining, fixed } = context.prunedBaseline;
+    let fixedCount =
+      fixed.duplicateDependencies.length + fixed.unpinnedDependencies.length;
+    if (fixedCount > 0) {
+      writeBaseline({ rootDirectory, baseline: remaining });
+      // other formats are left as-is on stdout, since they're meant to be parsed
+      if (initialConfig.output || initialConfig.format === "text") {
+        logger.log(
+          `Removed ${fixedCount} fixed entries from ${BASELINE_FILE_NAME}`,
+        );
+      }
+    }
+    context = {
+      ...context,
+      prunedBaseline: {
+        baseline: remaining,
+        fixed: { duplicateDependencies: [], unpinnedDependencies: [] },
+      },
+    };
+  }
+  let { statusCode } = context;
+  let chunks = REPORTERS[initialConfig.format]({ ...context, color });
+
+  // the text report of a passing check is left out with `--quiet`, other
+  // formats are still logged since they're meant to be consumed
+  let quiet =
+    values.quiet &&
+    statusCode === 0 &&
+    (initialConfig.output || initialConfig.format === "text");
+  if (initialConfig.output) {
+    let outputPath = path.resolve(rootDirectory, initialConfig.output);
+    try {
+      writeFileSync(outputPath, `${chunks.join("\n")}\n`);
+    } catch (error) {
+      logger.error(
+        `Could not write report to ${path.relative(rootDirectory, outputPath)}: ${error.message}`,
+      );
+      return { statusCode: 1 };
+    }
+    if (!quiet) {
+      logger.log(
+        `Wrote ${initialConfig.format} report to ${path.relative(rootDirectory, outputPath)}`,
+      );
+    }
+  } else if (!quiet) {
+    for (let chunk of chunks) {
+      logger.log(chunk);
+    }
+  }
+
+  return context;
+}
+
+// MARK: Workspace Selection
+/**
+ * @typedef {Pick<
+ *   ReportContext,
+ *   | 'duplicateDependencies'
+ *   | 'unpinnedDependencies'
+ *   | 'versionStrategyViolations'
+ *   | 'uncatalogedDependencies'
+ *   | 'peerDependencyViolations'
+ *   | 'internalDependencyViolations'
+ *   | 'policyViolations'
+ *   | 'unsatisfiedResolutions'
+ * >} WorkspaceResults
+ */
+
+/**
+ * Narrows the results of a check down to the workspaces selected with
+ * `--workspace`. Duplicates are still detected across the whole repo, but only
+ * reported when one of the selected workspaces uses the dependency.
+ *
+ * @param {WorkspaceResults} results
+ * @param {Set<WorkspaceName>} workspaceNames
+ * @returns {WorkspaceResults}
+ */
+function selectWorkspaceResults(results, workspaceNames) {
+  /**
+   * @template T
+   * @param {Record<WorkspaceName, T>} byWorkspace
+   * @returns {Record<WorkspaceName, T>}
+   */
+  let selectKeys = (byWorkspace) =>
+    Object.fromEntries(
+      Object.entries(byWorkspace).filter(([workspace]) =>
+        workspaceNames.has(workspace),
+      ),
+    );
+  /**
+   * @template {{workspace: WorkspaceName}} T
+   * @param {Array<T>} items
+   * @returns {Array<T>}
+   */
+  let selectItems = (items) =>
+    items.filter(({ workspace }) => workspaceNames.has(workspace));
+
+  return {
+    duplicateDependencies: results.duplicateDependencies.filter(
+      ([, versions]) =>
+        Object.values(versions).some((dependencyTypes) =>
+          Object.values(dependencyTypes)
+            .flat()
+            .some((workspace) => workspaceNames.has(workspace)),
+        ),
+    ),
+    unpinnedDependencies: selectKeys(results.unpinnedDependencies),
+    versionStrategyViolations: Object.fromEntries(
+      Object.entries(results.versionStrategyViolations)
+        .map(([strategy, byWorkspace]) => [strategy, selectKeys(byWorkspace)])
+        .filter(([, byWorkspace]) => Object.keys(byWorkspace).length > 0),
+    ),
+    uncatalogedDependencies: selectKeys(results.uncatalogedDependencies),
+    peerDependencyViolations: selectItems(results.peerDependencyViolations),
+    internalDependencyViolations: selectItems(
+      results.internalDependencyViolations,
+    ),
+    policyViolations: selectItems(results.policyViolations),
+    unsatisfiedResolutions: selectItems(results.unsatisfiedResolutions),
+  };
+}
+
+/**
+ * Narrows the workspaces each rule was checked against down to the ones
+ * selected with `--workspace`. Overrides aren't declared by a workspace, so
+ * `expired-overrides` is left as-is.
+ *
+ * @param {ReportContext['rules']} rules
+ * @param {Set<WorkspaceName> | undefined} workspaceNames
+ * @returns {ReportContext['rules']}
+ */
+function selectRuleWorkspaces(rules, workspaceNames) {
+  if (!workspaceNames) {
+    return rules;
+  }
+  return Object.fromEntries(
+    Object.entries(rules).map(([rule, details]) => [
+      rule,
+      rule === "expired-overrides"
+        ? details
+        : {
+            ...details,
+            workspaces: details.workspaces.filter((workspace) =>
+              workspaceNames.has(String(workspace.name)),
+            ),
+          },
+    ]),
+  );
+}
+
+// MARK: Changed Since
+/**
+ * @typedef {object} ChangesSince
+ * @property {boolean} configChanged - Whether the config changed, in which case findings can't be attributed to the changed manifests
+ * @property {Map<WorkspaceName, Set<string>>} baseDependencies - The dependencies each workspace declared at the merge base, as `name@specifier`
+ */
+
+/**
+ * Reads what the repo declared at the merge base of `ref` and `HEAD`, reading
+ * the manifests (and catalogs) that changed since then from git. Workspaces
+ * that didn't exist yet don't declare any dependencies.
+ *
+ * @param {object} options
+ * @param {string} options.rootDirectory
+ * @param {Repository} options.repository
+ * @param {string} options.ref - From the `--since` flag, e.g. `origin/main`
+ * @param {Logger} options.logger
+ * @returns {ChangesSince | undefined} - `undefined` if git couldn't list the changes
+ */
+function getChangesSince({ rootDirectory, repository, ref, logger }) {
+  let { initialConfig, configSource, rootDependencies, workspaceDependencies } =
+    repository;
+  let base;
+  let changedPaths;
+  try {
+    let changes = getChangedFiles({ cwd: rootDirectory, ref });
+    base = changes.base;
+    changedPaths = new Set(
+      changes.files.map((filePath) => path.resolve(rootDirectory, filePath)),
+    );
+  } catch (error) {
+    logger.error(`Could not find the changes since ${ref}: ${error.message}`);
+    return;
+  }
+  debug("Changed since", base, JSON.stringify([...changedPaths], null, 2));
+  let readBaseFile = (/** @type {string} */ filePath) =>
+    readFileAtRef({
+      cwd: rootDirectory,
+      ref: base,
+      filePath: path
+        .relative(rootDirectory, filePath)
+        .split(path.sep)
+        .join("/"),
+    });
+
+  // e.g. a config file that was added or removed
+  let configChanged = CONFIG_FILE_NAMES.map((fileName) =>
+    pathJoin(rootDirectory, fileName),
+  ).some(
+    (configPath) =>
+      configPath !== configSource?.path && changedPaths.has(configPath),
+  );
+  if (configSource && changedPaths.has(configSource.path)) {
+    let getConfig = (/** @type {string | undefined} */ contents) =>
+      JSON.stringify(
+        configSource.jsonPath.reduce(
+          (value, key) => value?.[key],
+          contents === undefined ? undefined : parse(contents),
+        ),
+      );
+    // only the `"one-version"` key matters within package.json
+    configChanged ||=
+      configSource.type === "module" ||
+      getConfig(readBaseFile(configSource.path)) !==
+        getConfig(readFileSync(configSource.path, "utf8"));
+  }
+
+  let baseCatalogs = repository.catalogs;
+  let pnpmWorkspacePath = pathJoin(rootDirectory, "pnpm-workspace.yaml");
+  let rootPackageJSONPath = pathJoin(rootDirectory, "package.json");
+  if (
+    initialConfig.packageManager === "pnpm" &&
+    changedPaths.has(pnpmWorkspacePath)
+  ) {
+    baseCatalogs = normalizeCatalogs(
+      parseYAML(readBaseFile(pnpmWorkspacePath) ?? "") ?? {},
+    );
+  } else if (
+    initialConfig.packageManager === "bun" &&
+    changedPaths.has(rootPackageJSONPath)
+  ) {
+    baseCatalogs = getBunCatalogs(
+      parse(readBaseFile(rootPackageJSONPath) ?? "{}") ?? {},
+    );
+  }
+
+  /** @type {Map<WorkspaceName, Set<string>>} */
+  let baseDependencies = new Map();
+  for (let workspace of [rootDependencies, ...workspaceDependencies]) {
+    let manifestPaths = MANIFEST_FILE_NAMES.map((fileName) =>
+      path.join(workspace.path, fileName),
+    );
+    /** @type {Partial<WorkspaceDependencies> | undefined} */
+    let manifest;
+    if (manifestPaths.some((manifestPath) => changedPaths.has(manifestPath))) {
+      manifest = getBaseManifest({
+        manifestPaths,
+        packageManager: initialConfig.packageManager,
+        readBaseFile,
+      });
+    } else {
+      // with the original `catalog:` references, which are resolved against
+      // the catalogs at the merge base below
+      manifest = { ...workspace };
+      for (let [field, references] of Object.entries(
+        workspace.catalogReferences ?? {},
+      )) {
+        manifest[field] = { ...workspace[field], ...references };
+      }
+    }
+    let declared = new Set();
+    if (manifest) {
+      let resolvedManifest = resolveCatalogReferences({
+        manifest: /** @type {WorkspaceDependencies} */ (manifest),
+        catalogs: baseCatalogs,
+      });
+      for (let field of Object.values(DEPENDENCY_TYPE_FIELDS)) {
+        for (let [packageName, specifier] of Object.entries(
+          resolvedManifest[field] ?? {},
+        )) {
+          declared.add(`${packageName}@${specifier}`);
+        }
+      }
+    }
+    baseDependencies.set(String(workspace.name), declared);
+  }
+  return { configChanged, baseDependencies };
+}
+
+/**
+ * Reads the dependencies of a workspace at the merge base, see `getDependencies`
+ *
+ * @param {object} options
+ * @param {Array<string>} options.manifestPaths - The workspace's package.json and deno.json(c)
+ * @param {PackageManager} options.packageManager
+ * @param {(filePath: string) => string | undefined} options.readBaseFile
+ * @returns {Partial<WorkspaceDependencies> | undefined} - `undefined` if the workspace didn't exist yet
+ */
+function getBaseManifest({ manifestPaths, packageManager, readBaseFile }) {
+  let [packageJSON, ...denoConfigs] = manifestPaths.map((manifestPath) => {
+    let contents = readBaseFile(manifestPath);
+    return contents === undefined ? undefined : (parse(contents) ?? {});
+  });
+  let denoConfig =
+    packageManager === "deno" ? denoConfigs.find(Boolean) : undefined;
+  if (!packageJSON && !denoConfig) {
+    return;
+  }
+  return {
+    peerDependencies: packageJSON?.peerDependencies,
+    devDependencies: packageJSON?.devDependencies,
+    dependencies: packageJSON?.dependencies,
+    optionalDependencies: packageJSON?.optionalDependencies,
+    ...getForcedVersions(packageJSON ?? {}),
+    ...(denoConfig ? getDenoImports(denoConfig.imports) : {}),
+  };
+}
+
+/**
+ * Whether a workspace declares a dependency that it didn't declare at the
+ * merge base, see `getChangesSince`
+ *
+ * @param {Map<WorkspaceName, Set<string>>} baseDependencies
+ * @param {WorkspaceName} workspace
+ * @param {PackageName} packageName
+ * @param {VersionSpecifier} specifier
+ * @returns {boolean}
+ */
+function isIntroduced(baseDependencies, workspace, packageName, specifier) {
+  let declared = baseDependencies.get(workspace);
+  return declared !== undefined && !declared.has(`${packageName}@${specifier}`);
+}
+
+/**
+ * Narrows the results of a check down to the dependencies that weren't
+ * declared by the same workspace at the merge base, i.e. new conflicting
+ * specifiers or newly unpinned dependencies. Like `selectWorkspaceResults`,
+ * duplicates are reported in full when any of their specifiers is new (while
+ * only the new specifiers are included within the findings).
+ *
+ * @param {WorkspaceResults} results
+ * @param {Map<WorkspaceName, Set<string>>} baseDependencies
+ * @returns {WorkspaceResults}
+ */
+function selectIntroducedResults(results, baseDependencies) {
+  /**
+   * @param {Record<WorkspaceName, Array<string>>} byWorkspace
+   * @returns {Record<WorkspaceName, Array<string>>}
+   */
+  let selectDependencies = (byWorkspace) =>
+    Object.fromEntries(
+      Object.entries(byWorkspace)
+        .map(([workspace, dependencies]) => [
+          workspace,
+          dependencies.filter((dependency) =>
+            isIntroduced(
+              baseDependencies,
+              workspace,
+              ...splitDependency(dependency),
+            ),
+          ),
+        ])
+        .filter(([, dependencies]) => dependencies.length > 0),
+    );
+  /**
+   * @template {{workspace: WorkspaceName, name: PackageName, specifier: VersionSpecifier}} T
+   * @param {Array<T>} items
+   * @returns {Array<T>}
+   */
+  let selectItems = (items) =>
+    items.filter(({ workspace, name, specifier }) =>
+      isIntroduced(baseDependencies, workspace, name, specifier),
+    );
+
+  return {
+    duplicateDependencies: results.duplicateDependencies.filter(
+      ([packageName, versions]) =>
+        Object.entries(versions).some(([specifier, dependencyTypes]) =>
+          Object.values(dependencyTypes)
+            .flat()
+            .some((workspace) =>
+              isIntroduced(baseDependencies, workspace, packageName, specifier),
+            ),
+        ),
+    ),
+    unpinnedDependencies: selectDependencies(results.unpinnedDependencies),
+    versionStrategyViolations: Object.fromEntries(
+      Object.entries(results.versionStrategyViolations)
+        .map(([strategy, byWorkspace]) => [
+          strategy,
+          selectDependencies(byWorkspace),
+        ])
+        .filter(([, byWorkspace]) => Object.keys(byWorkspace).length > 0),
+    ),
+    uncatalogedDependencies: selectDependencies(
+      results.uncatalogedDependencies,
+    ),
+    peerDependencyViolations: selectItems(results.peerDependencyViolations),
+    internalDependencyViolations: selectItems(
+      results.internalDependencyViolations,
+    ),
+    policyViolations: selectItems(results.policyViolations),
+    unsatisfiedResolutions: selectItems(results.unsatisfiedResolutions),
+  };
+}
+
+// MARK: Baseline
+/**
+ * @typedef {import("./utils/baseline.mjs").Baseline} Baseline
+ * @typedef {import("./utils/baseline.mjs").BaselineEntry} BaselineEntry
+ * @typedef {import("./utils/baseline.mjs").BaselineKey} BaselineKey
+ */
+
+/**
+ * The committed file listing the existing findings `check` doesn't fail on,
+ * within the root directory
+ */
+let BASELINE_FILE_NAME = ".one-version-baseline.json";
+
+/**
+ * Lists the duplicate and unpinned dependencies found by a check as baseline
+ * entries, one for each workspace using a duplicate specifier
+ *
+ * @param {Pick<WorkspaceResults, 'duplicateDependencies' | 'unpinnedDependencies'>} results
+ * @returns {Record<BaselineKey, Array<BaselineEntry>>}
+ */
+function getBaselineEntries({ duplicateDependencies, unpinnedDependencies }) {
+  return {
+    duplicateDependencies: duplicateDependencies.flatMap(([name, versions]) =>
+      Object.entries(versions).flatMap(([specifier, dependencyTypes]) =>
+        [...new Set(Object.values(dependencyTypes).flat())].map(
+          (workspace) => ({ workspace, name, specifier }),
+        ),
+      ),
+    ),
+    unpinnedDependencies: toDependencyList(unpinnedDependencies),
+  };
+}
+
+/**
+ * Reads the baseline file, logging why it's invalid if it is
+ *
+ * @param {object} options
+ * @param {string} options.rootDirectory
+ * @param {Logger} options.logger
+ * @returns {{baseline: Baseline | undefined} | undefined} - `baseline` is `undefined` without a baseline file, and the result is `undefined` if it's invalid
+ */
+function readBaseline({ rootDirectory, logger }) {
+  let baselinePath = pathJoin(rootDirectory, BASELINE_FILE_NAME);
+  if (!existsSync(baselinePath)) {
+    return { baseline: undefined };
+  }
+  let baseline;
+  try {
+    baseline = JSON.parse(readFileSync(baselinePath, "utf8"));
+  } catch (error) {
+    logger.error(`Could not parse ${BASELINE_FILE_NAME}: ${error.message}`);
+    return;
+  }
+  let error = validateBaseline(baseline);
+  if (error) {
+    logger.error(`Invalid ${BASELINE_FILE_NAME} - ${error}`);
+    return;
+  }
+  debug("Baseline", baselinePath);
+  return { baseline: /** @type {Baseline} */ (baseline) };
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.rootDirectory
+ * @param {Baseline} options.baseline
+ */
+function writeBaseline({ rootDirectory, baseline }) {
+  writeFileSync(
+    pathJoin(rootDirectory, BASELINE_FILE_NAME),
+    `${JSON.stringify(baseline, null, 2)}\n`,
+  );
+}
+
+/**
+ * Narrows the duplicate and unpinned dependencies of a check down to the ones
+ * missing from the baseline. Like `selectWorkspaceResults`, duplicates are
+ * reported in full when any of their workspaces isn't within the baseline.
+ *
+ * @param {WorkspaceResults} results
+ * @param {Baseline} baseline
+ * @returns {WorkspaceResults}
+ */
+function selectNewResults(results, baseline) {
+  return {
+    ...results,
+    duplicateDependencies: results.duplicateDependencies.filter(
+      ([name, versions]) =>
+        Object.entries(versions).some(([specifier, dependencyTypes]) =>
+          Object.values(dependencyTypes)
+            .flat()
+            .some(
+              (workspace) =>
+                !isBaselined(baseline, "duplicateDependencies", {
+                  workspace,
+                  name,
+                  specifier,
+                }),
+            ),
+        ),
+    ),
+    unpinnedDependencies: Object.fromEntries(
+      Object.entries(results.unpinnedDependencies)
+        .map(([workspace, dependencies]) => [
+          workspace,
+          dependencies.filter((dependency) => {
+            let [name, specifier] = splitDependency(dependency);
+            return !isBaselined(baseline, "unpinnedDependencies", {
+              workspace,
+              name,
+              specifier,
+            });
+          }),
+        ])
+        .filter(([, dependencies]) => dependencies.length > 0),
+    ),
+  };
+}
+
+/**
+ * Whether a finding is accepted by the baseline, only duplicate and unpinned
+ * dependencies can be
+ *
+ * @param {Baseline} baseline
+ * @param {Finding} finding
+ * @returns {boolean}
+ */
+function isBaselinedFinding(baseline, finding) {
+  let key = /** @type {Partial<Record<keyof typeof RULES, BaselineKey>>} */ ({
+    "duplicate-dependencies": "duplicateDependencies",
+    "unpinned-dependencies": "unpinnedDependencies",
+  })[finding.rule];
+  return (
+    key !== undefined &&
+    isBaselined(baseline, key, {
+      workspace: String(finding.workspace.name),
+      name: finding.packageName,
+      specifier: finding.specifier,
+    })
+  );
+}
+
+// MARK: Watch
+/**
+ * Files within the root directory that define the workspaces, catalogs or the
+ * config, a change to any of them reloads the whole repo
+ */
+let ROOT_FILE_NAMES = [
+  "package.json",
+  "pnpm-workspace.yaml",
+  ...DENO_CONFIG_FILES,
+  ...CONFIG_FILE_NAMES,
+];
+
+/**
+ * Files declaring the dependencies of a workspace
+ */
+let MANIFEST_FILE_NAMES = ["package.json", ...DENO_CONFIG_FILES];
+
+/**
+ * @typedef {object} WatchTargets
+ * @property {Array<string>} directories - Every directory to watch
+ * @property {Set<string>} globRoots - Directories the workspace globs match within, see `getGlobRoot`
+ */
+
+/**
+ * Lists the directories to watch: the root directory (and the config's when
+ * passed with `--config`), each workspace, and the directories workspace globs
+ * match within along with their subdirectories, so workspaces added later are
+ * picked up
+ *
+ * @param {object} options
+ * @param {string} options.rootDirectory
+ * @param {Repository} options.repository
+ * @returns {WatchTargets}
+ */
+function getWatchTargets({ rootDirectory, repository }) {
+  let { workspaceGlobs } = getWorkspacePatterns({
+    rootDirectory,
+    packageManager: repository.initialConfig.packageManager,
+  }) ?? { workspaceGlobs: [] };
+  let globRoots = new Set(
+    workspaceGlobs
+      .filter((glob) => !glob.startsWith("!"))
+      .map((glob) => path.resolve(rootDirectory, getGlobRoot(glob))),
+  );
+  let directories = new Set([
+    rootDirectory,
+    ...(repository.configSource
+      ? [path.dirname(repository.configSource.path)]
+      : []),
+    ...repository.workspaces.map((workspace) => workspace.path),
+  ]);
+  for (let globRoot of globRoots) {
+    if (!existsSync(globRoot)) {
+      continue;
+    }
+    directories.add(globRoot);
+    for (let entry of readdirSync(globRoot, { withFileTypes: true })) {
+      if (
+        entry.isDirectory() &&
+        entry.name !== "node_modules" &&
+        !entry.name.startsWith(".")
+      ) {
+        directories.add(path.join(globRoot, entry.name));
+      }
+    }
+  }
+  return { directories: [...directories], globRoots };
+}
+
+/**
+ * @typedef {object} WatchChanges
+ * @property {boolean} reload - Whether the config and workspaces need to be loaded again
+ * @property {boolean} configChanged - Whether cached manifests are outdated too, e.g. if the package manager changed
+ * @property {Set<string>} manifestDirectories - Directories of the changed manifests, which need to be read again
  */
-function getTypeString({ type, names }) {
-  const padded = type.padStart(DOUBLE_INDENT + type.length);
-  return `${padded}:  ${names.join(", ")}`;
+
+/**
+ * Works out what a batch of changes affects. A workspace's own manifest only
+ * needs that workspace to be read again, while changes that may add or remove
+ * workspaces (or change the config) reload the whole repo.
+ *
+ * @param {object} options
+ * @param {string} options.rootDirectory
+ * @param {Repository} options.repository
+ * @param {WatchTargets} options.targets
+ * @param {Set<string>} options.changedPaths
+ * @returns {WatchChanges}
+ */
+function getWatchChanges({ rootDirectory, repository, targets, changedPaths }) {
+  let workspacePaths = new Set(
+    repository.workspaces.map((workspace) => workspace.path),
+  );
+  /** @type {WatchChanges} */
+  let changes = {
+    reload: false,
+    configChanged: false,
+    manifestDirectories: new Set(),
+  };
+  for (let changedPath of changedPaths) {
+    let directory = path.dirname(changedPath);
+    let fileName = path.basename(changedPath);
+    if (
+      changedPath === repository.configSource?.path ||
+      (directory === rootDirectory && CONFIG_FILE_NAMES.includes(fileName))
+    ) {
+      changes.reload = true;
+      changes.configChanged = true;
+    }
+    if (MANIFEST_FILE_NAMES.includes(fileName)) {
+      changes.manifestDirectories.add(directory);
+      // e.g. a workspace that was added before its package.json
+      if (directory !== rootDirectory && !workspacePaths.has(directory)) {
+        changes.reload = true;
+      }
+    }
+    if (
+      (directory === rootDirectory && ROOT_FILE_NAMES.includes(fileName)) ||
+      targets.globRoots.has(changedPath) ||
+      // workspace directories being added or removed
+      (targets.globRoots.has(directory) &&
+        !statSync(changedPath, { throwIfNoEntry: false })?.isFile())
+    ) {
+      changes.reload = true;
+    }
+  }
+  return changes;
 }
 
-function prettify(packages) {
-  return packages
-    .map(([name, versions]) => {
-      const str = name;
+/**
+ * Logs the findings introduced and resolved since the previous check, matched
+ * by rule, workspace, dependency and specifier (so a duplicate isn't reported
+ * again when another conflicting version is added)
+ *
+ * @param {object} options
+ * @param {Array<Finding>} options.previousFindings
+ * @param {Array<Finding>} options.findings
+ * @param {ReturnType<typeof createColors>} options.colors
+ * @returns {Array<string>} - Lines to log
+ */
+function getFindingsDiffLogs({ previousFindings, findings, colors }) {
+  let { introduced, resolved } = diffByKey(
+    previousFindings,
+    findings,
+    (finding) =>
+      [
+        finding.rule,
+        finding.workspace.name,
+        finding.packageName,
+        finding.specifier,
+      ].join("\n"),
+  );
+  if (introduced.length === 0 && resolved.length === 0) {
+    return ["No changes since the last check"];
+  }
+  return [
+    "Since the last check:",
+    ...introduced.map((finding) =>
+      colors.red(`  + ${finding.workspace.name}: ${finding.message}`),
+    ),
+    ...resolved.map((finding) =>
+      colors.green(`  - ${finding.workspace.name}: ${finding.message}`),
+    ),
+  ];
+}
 
-      const versionsStr = Object.entries(versions)
-        .map(([version, depTypes]) => {
-          const depTypeStrings = Object.entries(depTypes).map(([type, names]) =>
-            getTypeString({ type, names }),
-          );
+/**
+ * Checks the repo like `one-version check`, and then again whenever a
+ * manifest or the config changes, logging the findings introduced and
+ * resolved since the previous check. Runs until `signal` is aborted.
+ *
+ * @param {object} options
+ * @param {string} options.rootDirectory
+ * @param {string} [options.configPath]
+ * @param {Partial<Config>} options.configFlags
+ * @param {FlagValues} options.values - Flags passed to `check`
+ * @param {boolean} options.color
+ * @param {AbortSignal} [options.signal]
+ * @param {Logger} options.logger
+ * @returns {Promise<{statusCode: number}>} - The status of the last check, once `signal` is aborted
+ */
+function watchRepository({
+  rootDirectory,
+  configPath,
+  configFlags,
+  values,
+  color,
+  signal,
+  logger,
+}) {
+  let colors = createColors(color);
+  /** @type {Map<string, WorkspaceDependencies>} */
+  let manifests = new Map();
+  /** @type {Repository | undefined} */
+  let repository;
+  /** @type {WatchTargets} */
+  let targets = { directories: [rootDirectory], globRoots: new Set() };
+  /** @type {Array<Finding> | undefined} */
+  let previousFindings;
+  let statusCode = 1;
+  let queue = Promise.resolve();
+  let watcher = createWatcher({
+    onChange(changedPaths) {
+      schedule(changedPaths);
+    },
+  });
 
-          return getVersionString(version, depTypeStrings);
-        })
-        .join("\n");
+  /**
+   * Queues a check after the previous one. A check that throws (e.g. when the
+   * report can't be written) is logged, and the next change is still checked
+   *
+   * @param {Set<string>} [changedPaths] - `undefined` for the first check
+   */
+  function schedule(changedPaths) {
+    queue = queue
+      .then(() => run(changedPaths))
+      .catch((error) => {
+        statusCode = 1;
+        logger.error(`Could not check the repo: ${error.message}`);
+        logger.log(
+          ["", "Watching for changes, press Ctrl+C to exit"].join("\n"),
+        );
+      });
+  }
 
-      return `${str}\n${versionsStr}`;
-    })
-    .join("\n");
+  /**
+   * @param {Set<string>} [changedPaths] - `undefined` for the first check
+   */
+  async function run(changedPaths) {
+    let changes =
+      repository && changedPaths
+        ? getWatchChanges({ rootDirectory, repository, targets, changedPaths })
+        : undefined;
+    // e.g. a README within a workspace
+    if (changes && !changes.reload && changes.manifestDirectories.size === 0) {
+      return;
+    }
+    debug("Changed", JSON.stringify([...(changedPaths ?? [])], null, 2));
+    if (changes?.configChanged) {
+      manifests = new Map();
+    }
+    /** @type {Map<string, WorkspaceDependencies | undefined>} */
+    let previousManifests = new Map();
+    for (let directory of changes?.manifestDirectories ?? []) {
+      previousManifests.set(directory, manifests.get(directory));
+      manifests.delete(directory);
+    }
+
+    logger.clear?.();
+    try {
+      if (repository && changes && !changes.reload) {
+        repository = readRepository({
+          rootDirectory,
+          ...repository,
+          manifests,
+        });
+      }
+      // renaming a workspace changes how overrides and `--workspace` match it
+      let renamed = [...previousManifests].some(
+        ([directory, manifest]) =>
+          manifest?.name !== manifests.get(directory)?.name,
+      );
+      if (!repository || !changes || changes.reload || renamed) {
+        repository = await loadRepository({
+          rootDirectory,
+          configPath,
+          configFlags,
+          manifests,
+          logger,
+        });
+      }
+      if (repository) {
+        targets = getWatchTargets({ rootDirectory, repository });
+      }
+    } catch (error) {
+      // e.g. a manifest that's being edited isn't valid JSON yet
+      logger.error(`Could not load the repo: ${error.message}`);
+      repository = undefined;
+    }
+    watcher.update(targets.directories);
+
+    let findings;
+    if (repository) {
+      let result = reportCheck({
+        rootDirectory,
+        repository,
+        values,
+        color,
+        logger,
+      });
+      statusCode = result.statusCode;
+      findings = result.findings;
+    } else {
+      statusCode = 1;
+    }
+    logger.log(
+      [
+        "",
+        ...(findings && previousFindings
+          ? [...getFindingsDiffLogs({ previousFindings, findings, colors }), ""]
+          : []),
+        "Watching for changes, press Ctrl+C to exit",
+      ].join("\n"),
+    );
+    previousFindings = findings ?? previousFindings;
+  }
+
+  return new Promise((resolve) => {
+    let stop = () => {
+      watcher.close();
+      queue.then(() => resolve({ statusCode }));
+    };
+    schedule();
+    if (signal?.aborted) {
+      stop();
+    } else {
+      signal?.addEventListener("abort", stop, { once: true });
+    }
+  });
 }
 
-// MARK: Get Unpinned Dependencies
+// MARK: CLI
+/**
+ * @typedef {import("./utils/args.mjs").Flag} Flag
+ * @typedef {import("./utils/args.mjs").FlagValues} FlagValues
+ *
+ * @typedef {object} Command
+ * @property {string} description
+ * @property {string} [usage] - The positional arguments, e.g. `[name@version...]`
+ * @property {Array<string>} [arguments] - Help for the positional arguments
+ * @property {Record<string, Flag>} flags
+ */
 
 /**
- * @param {object} options
- * @param {Array<WorkspaceDependencies>} options.workspaceDependencies
- * @param {Overrides} options.overrides
- * @returns {Record<WorkspaceName, Array<string>>}
+ * Flags supported by every command
  *
- * exported for tests only
+ * @type {Record<string, Flag>}
  */
-export function getUnpinnedDependencies({ workspaceDependencies, overrides }) {
-  let unpinnedDependencies = {};
-  // Notably - omit peerDeps since those can be semver ranges
-  for (let {
-    name: workspaceName,
-    dependencies,
-    devDependencies,
-  } of workspaceDependencies) {
-    let allDependencies = { ...dependencies, ...devDependencies };
-    for (let [packageName, version] of Object.entries(allDependencies)) {
-      // Let `file:`, `url:`, `git:`, `link:`, and `workspace:*` dependencies pass currently
-      if (
-        version.startsWith("file:") ||
-        version.startsWith("url:") ||
-        version.startsWith("git:") ||
-        version.startsWith("link:") ||
-        version === "workspace:*"
-      ) {
-        continue;
-      }
-      if (
-        version.startsWith("^") ||
-        version.startsWith("~") ||
-        // any version
-        version.includes("*") ||
-        // range versions
-        version.includes(".x") ||
-        version.includes(".X") ||
-        version.includes(" - ") ||
-        version.includes(" || ") ||
-        // Greater Than, Less Than
-        version.includes(">") ||
-        version.includes("<") ||
-        // Keywords:
-        version === "latest" ||
-        version === "canary" ||
-        version === "next" ||
-        version === "beta" ||
-        version === "alpha" ||
-        version === "rc" ||
-        version === "dev" ||
-        // workspace custom semver range deps
-        version.startsWith("workspace:^") ||
-        version.startsWith("workspace:~")
-      ) {
-        if (
-          // If we've overridden this specific package@version for this specific workspace
-          overrides?.[packageName]?.[version]?.includes(workspaceName) ||
-          // or if we've overridden this specific package@version for any workspace
-          overrides?.[packageName]?.[version]?.includes("*")
-        ) {
-          continue;
-        }
-        unpinnedDependencies[workspaceName] =
-          unpinnedDependencies[workspaceName] || [];
-        unpinnedDependencies[workspaceName].push(`${packageName}@${version}`);
-      }
-    }
+let GLOBAL_FLAGS = {
+  cwd: {
+    type: "string",
+    placeholder: "<path>",
+    description: "Run within another directory instead of the current one",
+  },
+  config: {
+    type: "string",
+    placeholder: "<path>",
+    description:
+      "Use a specific config file, instead of looking for one within the repo",
+  },
+  "package-manager": {
+    type: "string",
+    placeholder: "<name>",
+    options: CONFIG_SCHEMA.properties.packageManager.enum,
+    description:
+      "Use a specific package manager, instead of the configured or inferred one",
+  },
+  "no-color": {
+    type: "boolean",
+    description: "Disable colored output",
+  },
+  help: {
+    type: "boolean",
+    short: "h",
+    description: "Display the help for the command",
+  },
+};
+
+/**
+ * @type {Record<string, Command>}
+ */
+let COMMANDS = {
+  check: {
+    description:
+      "Check the repo to ensure all dependencies match the expected versions",
+    flags: {
+      format: {
+        type: "string",
+        placeholder: "<format>",
+        description:
+          "Output format, one of: text, json, sarif, junit (defaults to text)",
+      },
+      output: {
+        type: "string",
+        placeholder: "<path>",
+        description: "Write the report to a file instead of logging it",
+      },
+      lockfile: {
+        type: "boolean",
+        description: "Compare the versions installed according to the lockfile",
+      },
+      strategy: {
+        type: "string",
+        placeholder: "<strategy>",
+        options: CONFIG_SCHEMA.properties.versionStrategy.enum,
+        description: "Use a specific versionStrategy over the configured one",
+      },
+      workspace: {
+        type: "string",
+        placeholder: "<name>",
+        multiple: true,
+        description:
+          "Only report findings for matching workspace names or globs",
+      },
+      quiet: {
+        type: "boolean",
+        description: "Only log the report when the check fails",
+      },
+      "update-baseline": {
+        type: "boolean",
+        description: `Remove the entries that have been fixed from ${BASELINE_FILE_NAME}`,
+      },
+      since: {
+        type: "string",
+        placeholder: "<ref>",
+        description:
+          "Only report findings introduced since a git ref, e.g. origin/main",
+      },
+      watch: {
+        type: "boolean",
+        description:
+          "Check again whenever a manifest or the config changes, until exited",
+      },
+    },
+  },
+  fix: {
+    description: "Update conflicting dependencies to a single version",
+    usage: "[name@version...]",
+    arguments: [
+      "  name@version  Use a specific version for a dependency, e.g. react@18.3.1",
+    ],
+    flags: {
+      "dry-run": {
+        type: "boolean",
+        description: "Print the planned changes without writing them",
+      },
+    },
+  },
+  overrides: {
+    description: "List the overrides within the config",
+    flags: {
+      stale: {
+        type: "boolean",
+        description: "Only list overrides that don't match any dependencies",
+      },
+      prune: {
+        type: "boolean",
+        description: "Remove stale overrides from the config (with --stale)",
+      },
+    },
+  },
+  baseline: {
+    description: `Write the current duplicate and unpinned dependencies to ${BASELINE_FILE_NAME}, so check only fails on new ones`,
+    flags: {},
+  },
+  help: {
+    description: "Display this help message, or the help for a command",
+    usage: "[command]",
+    flags: {},
+  },
+};
+
+/**
+ * @param {string} [commandName] - Only the help for this command, otherwise every command is listed
+ * @returns {Array<string>} - Lines to log
+ */
+function getHelp(commandName) {
+  if (commandName) {
+    let {
+      description,
+      usage,
+      arguments: argumentLines,
+      flags,
+    } = COMMANDS[commandName];
+    return [
+      `one-version ${commandName} - ${description}`,
+      "",
+      "Usage:",
+      `  one-version ${commandName}${usage ? ` ${usage}` : ""} [flags]`,
+      ...(argumentLines ? ["", "Arguments:", ...argumentLines] : []),
+      "",
+      "Flags:",
+      ...formatFlags({ ...flags, ...GLOBAL_FLAGS }),
+      "",
+    ];
   }
-  return unpinnedDependencies;
+  let width = Math.max(...Object.keys(COMMANDS).map((name) => name.length));
+  return [
+    "one-version - a strict dependency conformance tool for (mono)repos!",
+    "",
+    "Usage:",
+    "  one-version <command> [flags]",
+    "",
+    "Commands:",
+    ...Object.entries(COMMANDS).map(
+      ([name, { description }]) => `  ${name.padEnd(width)}  ${description}`,
+    ),
+    "",
+    "Flags:",
+    ...formatFlags(GLOBAL_FLAGS),
+    "",
+    "Run `one-version help <command>` for the flags of each command",
+    "",
+  ];
+}
+
+/**
+ * Flags which take precedence over the config, e.g. `--strategy pin`
+ *
+ * @param {FlagValues} values
+ * @returns {Partial<Config>}
+ */
+function getConfigFlags(values) {
+  let configFlags = {
+    packageManager: values["package-manager"],
+    versionStrategy: values.strategy,
+    format: values.format,
+    output: values.output,
+    lockfile: values.lockfile,
+  };
+  return Object.fromEntries(
+    Object.entries(configFlags).filter(([, value]) => value !== undefined),
+  );
+}
+
+/**
+ * @param {string | undefined} commandName
+ * @returns {Array<string>}
+ */
+function getUnknownCommandLogs(commandName) {
+  let suggestion =
+    commandName && getSuggestion(commandName, Object.keys(COMMANDS));
+  return [
+    `Unknown command: ${commandName}${suggestion ? `. Did you mean "${suggestion}"?` : ""}`,
+    "",
+    ...getHelp(),
+  ];
 }
 
 // MARK: Start
-let usageLogs = [
-  "",
-  `Usage:`,
-  `  one-version check - Check the repo to ensure all dependencies are match the expected versions`,
-  `  one-version help  - Display this help message!`,
-  "",
-];
 /**
- * @typedef {Record<"log" | "error", Function>} Logger
+ * @typedef {Record<"log" | "error", Function> & {clear?: Function}} Logger - `clear` is called between checks with `check --watch`, like `console.clear`
  *
  * @param {object} options
  * @param {string} options.rootDirectory
  * @param {Logger} options.logger
  * @param {Array<string>} options.args
- * @param {Function} options.exit
+ * @param {boolean} [options.color] - Whether the output may use ANSI colors (unless passed `--no-color`), defaults to `false`
+ * @param {AbortSignal} [options.signal] - Stops watching with `check --watch`
  */
-export async function start({ rootDirectory, logger, args }) {
-  let [firstArg] = args;
+export async function start({
+  rootDirectory: currentDirectory,
+  logger,
+  args,
+  color = false,
+  signal,
+}) {
+  let [commandName, ...commandArgs] = args;
+  if (commandName === "--help" || commandName === "-h") {
+    commandName = "help";
+  }
+  if (!Object.hasOwn(COMMANDS, commandName)) {
+    for (let log of getUnknownCommandLogs(commandName)) {
+      logger.log(log);
+    }
+    return Promise.resolve({
+      statusCode: 1,
+    });
+  }
+
+  let { values, positionals, errors } = parseArgs(commandArgs, {
+    ...COMMANDS[commandName].flags,
+    ...GLOBAL_FLAGS,
+  });
+  if (!COMMANDS[commandName].usage) {
+    for (let positional of positionals) {
+      errors.push(`Unexpected argument: ${positional}`);
+    }
+  }
+  if (errors.length > 0) {
+    for (let error of errors) {
+      logger.error(error);
+    }
+    logger.error(
+      `Run \`one-version help ${commandName}\` for the available flags`,
+    );
+    return Promise.resolve({
+      statusCode: 1,
+    });
+  }
+
+  if (commandName === "help" || values.help) {
+    let helpCommandName = commandName === "help" ? positionals[0] : commandName;
+    if (helpCommandName && !Object.hasOwn(COMMANDS, helpCommandName)) {
+      for (let log of getUnknownCommandLogs(helpCommandName)) {
+        logger.log(log);
+      }
+      return Promise.resolve({
+        statusCode: 1,
+      });
+    }
+    for (let log of getHelp(helpCommandName)) {
+      logger.log(log);
+    }
+    return Promise.resolve({
+      statusCode: 0,
+    });
+  }
+
+  let rootDirectory = path.resolve(currentDirectory, String(values.cwd ?? ""));
+  if (!existsSync(rootDirectory)) {
+    logger.error(`Could not find directory: ${values.cwd}`);
+    return Promise.resolve({
+      statusCode: 1,
+    });
+  }
+  let configPath = /** @type {string | undefined} */ (values.config);
+  let configFlags = getConfigFlags(values);
+  let useColor = color && !values["no-color"];
+  let colors = createColors(useColor);
 
-  switch (firstArg) {
+  switch (commandName) {
     case "check": {
-      let initialConfig = loadConfig({ rootDirectory });
-      if (!initialConfig.packageManager) {
-        let inferredPackageManager = inferPackageManager({ rootDirectory });
-        if (typeof inferredPackageManager !== "string") {
+      if (values.watch) {
+        return watchRepository({
+          rootDirectory,
+          configPath,
+          configFlags,
+          values,
+          color: useColor,
+          signal,
+          logger,
+        });
+      }
+
+      let repository = await loadRepository({
+        rootDirectory,
+        configPath,
+        configFlags,
+        logger,
+      });
+      if (!repository) {
+        return Promise.resolve({
+          statusCode: 1,
+        });
+      }
+      let { statusCode } = reportCheck({
+        rootDirectory,
+        repository,
+        values,
+        color: useColor,
+        logger,
+      });
+      return Promise.resolve({
+        statusCode,
+      });
+    }
+    case "fix": {
+      let dryRun = Boolean(values["dry-run"]);
+      let { targets, invalid } = parseFixTargets(positionals);
+      if (invalid.length > 0) {
+        for (let arg of invalid) {
           logger.error(
-            "Could not infer package manager! Please specify one in the config file.",
+            `Invalid target "${arg}", expected <name>@<version>, e.g. react@18.3.1`,
           );
-          return Promise.resolve({
-            statusCode: 1,
-          });
         }
-        initialConfig.packageManager = inferredPackageManager;
-      }
-      if (!initialConfig.versionStrategy) {
-        initialConfig.versionStrategy = "loose";
+        return Promise.resolve({
+          statusCode: 1,
+        });
       }
-      debug("Initial config", JSON.stringify(initialConfig, null, 2));
-      let workspaces = getWorkspaces({
+
+      let repository = await loadRepository({
         rootDirectory,
-        packageManager: initialConfig.packageManager,
+        configPath,
+        configFlags,
+        logger,
       });
-      debug("Workspaces", JSON.stringify(workspaces, null, 2));
-
-      let rootDependencies = getDependencies({ path: rootDirectory });
-      debug("Root dependencies", JSON.stringify(rootDependencies, null, 2));
-
-      let workspaceDependencies = workspaces.map(({ path }) =>
-        getDependencies({ path }),
-      );
-      debug(
-        "Workspaces Dependencies",
-        JSON.stringify(workspaceDependencies, null, 2),
-      );
+      if (!repository) {
+        return Promise.resolve({
+          statusCode: 1,
+        });
+      }
+      let {
+        initialConfig,
+        rootDependencies,
+        workspaceDependencies,
+        overrides,
+      } = repository;
 
-      // Check for duplicate and mismatched versions of dependencies
-      let duplicateDependencies = getDuplicateDependencies({
+      let checkedDependencies = getDuplicateCheckDependencies({
+        config: initialConfig,
+        rootDependencies,
         workspaceDependencies,
-        overrides: initialConfig.overrides,
       });
-      debug(
-        "Duplicate dependencies",
-        JSON.stringify(duplicateDependencies, null, 2),
+      let duplicateDependencies = getDuplicateDependencies({
+        workspaceDependencies: checkedDependencies,
+        overrides,
+        duplicateStrategy: initialConfig.duplicateStrategy,
+      });
+      let duplicateNames = new Set(
+        duplicateDependencies.map(([packageName]) => packageName),
       );
+      let unmatched = Object.keys(targets).filter(
+        (packageName) => !duplicateNames.has(packageName),
+      );
+      if (unmatched.length > 0) {
+        for (let packageName of unmatched) {
+          logger.error(
+            `Could not fix ${packageName}, it doesn't have conflicting versions`,
+          );
+        }
+        return Promise.resolve({
+          statusCode: 1,
+        });
+      }
+      let { edits, unresolved, cataloged } = getFixPlan({
+        duplicateDependencies,
+        workspaceDependencies: checkedDependencies,
+        targets,
+      });
+      debug("Fix edits", JSON.stringify(edits, null, 2));
 
-      let pendingStatusCode = 0;
-      let status = "✅";
-
-      if (duplicateDependencies.length > 0) {
-        status = "🚫";
+      if (
+        edits.length === 0 &&
+        unresolved.length === 0 &&
+        cataloged.length === 0
+      ) {
         logger.log(
           [
-            "You shall not pass!",
-            "🚫 One Version Rule Failure",
-            "",
-            "Found multiple versions of the following dependencies:",
-            "",
-            prettify(duplicateDependencies),
+            "My preciousss",
+            "✨ One Version Rule Success - found no version conflicts to fix!",
           ].join("\n"),
         );
-
-        pendingStatusCode = 1;
-      }
-
-      // check versionStrategy
-      if (initialConfig.versionStrategy === "pin") {
-        // check if all dependencies are pinned
-        let monorepoUnpinnedDependencies = getUnpinnedDependencies({
-          workspaceDependencies,
-          overrides: initialConfig.overrides,
+        return Promise.resolve({
+          statusCode: 0,
         });
+      }
 
-        let rootUnpinnedDependencies = getUnpinnedDependencies({
-          workspaceDependencies: [rootDependencies],
-          overrides: initialConfig.overrides,
-        });
-
-        let unpinnedDependencies = {
-          ...(monorepoUnpinnedDependencies || {}),
-          ...(rootUnpinnedDependencies || {}),
-        };
-
-        debug(
-          "Unpinned dependencies",
-          JSON.stringify(unpinnedDependencies, null, 2),
+      let changedFiles = applyFixEdits({ edits });
+      if (dryRun) {
+        logger.log(
+          [
+            "Planned changes (--dry-run, no files were written):",
+            "",
+            ...changedFiles.map(({ path: filePath, original, updated }) =>
+              getDiffString({
+                fileName: path.relative(rootDirectory, filePath),
+                original,
+                updated,
+                colors,
+              }),
+            ),
+          ].join("\n"),
         );
-
-        if (Object.keys(unpinnedDependencies).length > 0) {
-          status = "🚫";
+      } else {
+        for (let { path: filePath, updated } of changedFiles) {
+          writeFileSync(filePath, updated);
+        }
+        if (edits.length > 0) {
           logger.log(
             [
-              // if we already logged a failure, don't log the header again
-              ...(pendingStatusCode === 0
-                ? ["You shall not pass!", "🚫 One Version Rule Failure"]
-                : ["", ""]),
-              "Found unpinned dependencies (with versionStrategy: 'pin'):",
+              `Updated ${edits.length} dependencies across ${formatFileCounts(changedFiles)}:`,
               "",
-              Object.entries(unpinnedDependencies)
-                .map(([workspaceName, deps]) => {
-                  return `${workspaceName}:\n${deps
-                    .map((dep) => dep.padStart(dep.length + SINGLE_INDENT))
-                    .join("\n")}`;
-                })
-                .join("\n\n"),
+              ...edits
+                .map(
+                  ({ workspaceName, field, packageName, from, to }) =>
+                    `${workspaceName} (${field}): ${packageName} ${from} -> ${to}`,
+                )
+                .map((line) => line.padStart(SINGLE_INDENT + line.length)),
             ].join("\n"),
           );
-          pendingStatusCode = 1;
         }
       }
 
-      if (status === "✅") {
-        logger.log(
+      if (cataloged.length > 0) {
+        logger.error(
           [
-            "My preciousss",
-            "✨ One Version Rule Success - found no version conflicts!",
+            "The following dependencies are referenced through a catalog, update the catalog to use the target version:",
+            ...cataloged.map((name) =>
+              name.padStart(SINGLE_INDENT + name.length),
+            ),
+          ].join("\n"),
+        );
+      }
+
+      if (unresolved.length > 0) {
+        logger.error(
+          [
+            "Could not pick a single version for the following dependencies:",
+            ...unresolved
+              .map(({ packageName, reason }) => `${packageName} - ${reason}`)
+              .map((line) => line.padStart(SINGLE_INDENT + line.length)),
+            "",
+            "Pass the version to use explicitly, e.g. `one-version fix react@18.3.1`",
           ].join("\n"),
         );
       }
       return Promise.resolve({
-        statusCode: pendingStatusCode,
+        statusCode: unresolved.length > 0 || cataloged.length > 0 ? 1 : 0,
       });
     }
-    case "help": {
+    case "overrides": {
+      let stale = Boolean(values.stale);
+      let prune = Boolean(values.prune);
+      if (prune && !stale) {
+        logger.error("--prune can only be used along with --stale");
+        return Promise.resolve({
+          statusCode: 1,
+        });
+      }
+
+      let repository = await loadRepository({
+        rootDirectory,
+        configPath,
+        configFlags,
+        logger,
+      });
+      if (!repository) {
+        return Promise.resolve({
+          statusCode: 1,
+        });
+      }
+      let {
+        initialConfig,
+        configSource,
+        rootDependencies,
+        workspaceDependencies,
+        overrides,
+      } = repository;
+
+      if (!stale) {
+        let entries = getOverrideEntries(initialConfig.overrides);
+        logger.log(
+          entries.length > 0
+            ? entries.map(prettifyOverride).join("\n\n")
+            : "No overrides are configured.",
+        );
+        return Promise.resolve({
+          statusCode: 0,
+        });
+      }
+
+      // entries are listed from the config as written, rather than with the
+      // resolved workspace globs
+      let staleEntries = getStaleOverrides({
+        overrides,
+        workspaceDependencies: [rootDependencies, ...workspaceDependencies],
+      }).map(({ packageKey, versionKey }) =>
+        getOverrideEntries(initialConfig.overrides).find(
+          (entry) =>
+            entry.packageKey === packageKey && entry.versionKey === versionKey,
+        ),
+      );
+      if (staleEntries.length === 0) {
+        logger.log(
+          [
+            "My preciousss",
+            "✨ One Version Rule Success - every override is still in use!",
+          ].join("\n"),
+        );
+        return Promise.resolve({
+          statusCode: 0,
+        });
+      }
+
       logger.log(
-        `one-version - a strict dependency conformance tool for (mono)repos!`,
+        [
+          "Found overrides that don't match any dependencies within the repo:",
+          "",
+          staleEntries.map(prettifyOverride).join("\n\n"),
+        ].join("\n"),
       );
-      for (let log of usageLogs) {
-        logger.log(log);
+      if (!prune) {
+        return Promise.resolve({
+          statusCode: 1,
+        });
+      }
+
+      // overrides exist, so there's a config
+      let {
+        path: prunedPath,
+        type,
+        jsonPath,
+      } = /** @type {ConfigSource} */ (configSource);
+      let relativePath = path.relative(rootDirectory, prunedPath);
+      if (type === "module") {
+        logger.error(
+          `\nCan't prune overrides within ${relativePath}, remove them manually`,
+        );
+        return Promise.resolve({
+          statusCode: 1,
+        });
+      }
+      // overrides from extended configs can't be pruned from this file
+      let configText = readFileSync(prunedPath, "utf8");
+      /** @type {Overrides} */
+      let ownOverrides =
+        jsonPath.reduce((value, key) => value?.[key], parse(configText))
+          ?.overrides ?? {};
+      let [ownEntries, extendedEntries] = [true, false].map((own) =>
+        staleEntries.filter(
+          ({ packageKey, versionKey }) =>
+            Object.hasOwn(ownOverrides[packageKey] ?? {}, versionKey) === own,
+        ),
+      );
+      // remove the whole package entry once none of its versions are used
+      let jsonPaths = Object.entries(ownOverrides).flatMap(
+        ([packageKey, versions]) => {
+          let staleVersions = ownEntries
+            .filter((entry) => entry.packageKey === packageKey)
+            .map(({ versionKey }) => versionKey);
+          if (staleVersions.length === Object.keys(versions).length) {
+            return [[...jsonPath, "overrides", packageKey]];
+          }
+          return staleVersions.map((versionKey) => [
+            ...jsonPath,
+            "overrides",
+            packageKey,
+            versionKey,
+          ]);
+        },
+      );
+      writeFileSync(prunedPath, removeProperties(configText, jsonPaths));
+      logger.log(
+        `\nRemoved ${ownEntries.length} stale overrides from ${relativePath}`,
+      );
+      if (extendedEntries.length > 0) {
+        logger.log(
+          `${extendedEntries.length} stale overrides are from extended configs, remove them manually: ${extendedEntries
+            .map(({ packageKey, versionKey }) => `${packageKey}@${versionKey}`)
+            .join(", ")}`,
+        );
       }
       return Promise.resolve({
         statusCode: 0,
       });
     }
-    default: {
-      logger.log(`Unknown command: ${firstArg}`);
-      for (let log of usageLogs) {
-        logger.log(log);
+    case "baseline": {
+      let repository = await loadRepository({
+        rootDirectory,
+        configPath,
+        configFlags,
+        logger,
+      });
+      if (!repository) {
+        return Promise.resolve({
+          statusCode: 1,
+        });
+      }
+      // every finding, regardless of an existing baseline
+      let context = runChecks({ rootDirectory, repository, logger });
+      if (!context) {
+        return Promise.resolve({
+          statusCode: 1,
+        });
       }
+      let baseline = createBaseline(getBaselineEntries(context));
+      writeBaseline({ rootDirectory, baseline });
+      logger.log(
+        `Wrote ${baseline.duplicateDependencies.length} duplicate and ${baseline.unpinnedDependencies.length} unpinned dependencies to ${BASELINE_FILE_NAME}, \`one-version check\` will only fail on new ones`,
+      );
       return Promise.resolve({
-        statusCode: 1,
+        statusCode: 0,
       });
     }
   }
@@ -0,0 +1,123 @@
+import { getSuggestion } from "./config-validation.mjs";
+
+/**
+ * @typedef {object} Flag
+ * @property {'boolean' | 'string'} type
+ * @property {string} description
+ * @property {string} [placeholder] - Shown within help, e.g. `<path>`
+ * @property {string} [short] - Single letter alias, e.g. `h` for `-h`
+ * @property {Array<string>} [options] - The allowed values
+ * @property {boolean} [multiple] - Whether the flag can be passed more than once, collecting its values
+ *
+ * @typedef {Record<string, string | boolean | Array<string>>} FlagValues - By flag name, without the leading `--`
+ */
+
+/**
+ * Parses flags (passed as `--flag value` or `--flag=value`) and positional
+ * arguments. Any argument after `--` is positional.
+ *
+ * @param {Array<string>} args
+ * @param {Record<string, Flag>} flags - By name, without the leading `--`
+ * @returns {{values: FlagValues, positionals: Array<string>, errors: Array<string>}}
+ */
+export function parseArgs(args, flags) {
+  /** @type {FlagValues} */
+  let values = {};
+  /** @type {Array<string>} */
+  let positionals = [];
+  /** @type {Array<string>} */
+  let errors = [];
+  for (let index = 0; index < args.length; index++) {
+    let arg = args[index];
+    if (arg === "--") {
+      positionals.push(...args.slice(index + 1));
+      break;
+    }
+    if (!arg.startsWith("-") || arg === "-") {
+      positionals.push(arg);
+      continue;
+    }
+
+    let separatorIndex = arg.indexOf("=");
+    let key = separatorIndex === -1 ? arg : arg.slice(0, separatorIndex);
+    let inlineValue =
+      separatorIndex === -1 ? undefined : arg.slice(separatorIndex + 1);
+    let name = key.startsWith("--")
+      ? key.slice(2)
+      : Object.keys(flags).find(
+          (flagName) => flags[flagName].short === key.slice(1),
+        );
+    let flag =
+      name !== undefined && Object.hasOwn(flags, name)
+        ? flags[name]
+        : undefined;
+    if (!name || !flag) {
+      let suggestion = getSuggestion(
+        key.replace(/^-+/, ""),
+        Object.keys(flags),
+      );
+      errors.push(
+        `Unknown flag: ${key}${suggestion ? `. Did you mean --${suggestion}?` : ""}`,
+      );
+      continue;
+    }
+
+    if (flag.type === "boolean") {
+      if (inlineValue !== undefined) {
+        errors.push(`The --${name} flag doesn't take a value`);
+        continue;
+      }
+      values[name] = true;
+      continue;
+    }
+
+    let value = inlineValue;
+    if (value === undefined) {
+      let nextArg = args[index + 1];
+      if (nextArg === undefined || nextArg.startsWith("-")) {
+        errors.push(`Missing value for --${name}`);
+        continue;
+      }
+      value = nextArg;
+      index++;
+    }
+    if (flag.options && !flag.options.includes(value)) {
+      let suggestion = getSuggestion(value, flag.options);
+      errors.push(
+        `Invalid value "${value}" for --${name}, expected one of: ${flag.options.join(", ")}${
+          suggestion ? `. Did you mean "${suggestion}"?` : ""
+        }`,
+      );
+      continue;
+    }
+    if (flag.multiple) {
+      let previousValues = values[name];
+      values[name] = [
+        ...(Array.isArray(previousValues) ? previousValues : []),
+        value,
+      ];
+    } else {
+      values[name] = value;
+    }
+  }
+  return { values, positionals, errors };
+}
+
+/**
+ * Lists the flags for help output, aligning their descriptions
+ *
+ * @param {Record<string, Flag>} flags
+ * @returns {Array<string>} - e.g. `  --format <format>  Output format, ...`
+ */
+export function formatFlags(flags) {
+  let labels = Object.entries(flags).map(([name, { short, placeholder }]) =>
+    [short ? `-${short}, --${name}` : `--${name}`, placeholder]
+      .filter(Boolean)
+      .join(" "),
+  );
+  let width = Math.max(0, ...labels.map((label) => label.length));
+  return Object.values(flags).map(
+    ({ description, multiple }, index) =>
+      `  ${labels[index].padEnd(width)}  ${description}${multiple ? " (can be passed more than once)" : ""}`,
+  );
+}
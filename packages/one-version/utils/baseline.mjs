@@ -0,0 +1,130 @@
+/**
+ * A finding accepted by the baseline, which `check` doesn't fail on
+ *
+ * @typedef {object} BaselineEntry
+ * @property {string} workspace
+ * @property {string} name - The dependency
+ * @property {string} specifier
+ *
+ * @typedef {object} Baseline
+ * @property {number} version - Version of the file's shape
+ * @property {Array<BaselineEntry>} duplicateDependencies
+ * @property {Array<BaselineEntry>} unpinnedDependencies
+ *
+ * @typedef {'duplicateDependencies' | 'unpinnedDependencies'} BaselineKey
+ */
+
+/**
+ * Bump this whenever the shape of the baseline file changes in a way that
+ * isn't backwards compatible
+ */
+let BASELINE_VERSION = 1;
+
+/**
+ * @type {Array<BaselineKey>}
+ */
+let BASELINE_KEYS = ["duplicateDependencies", "unpinnedDependencies"];
+
+/**
+ * @param {BaselineEntry} entry
+ * @returns {string}
+ */
+function getEntryKey({ workspace, name, specifier }) {
+  return [workspace, name, specifier].join("\n");
+}
+
+/**
+ * Creates a baseline with its entries sorted (and deduplicated), to keep the
+ * diffs of the committed file small
+ *
+ * @param {Record<BaselineKey, Array<BaselineEntry>>} entries
+ * @returns {Baseline}
+ */
+export function createBaseline(entries) {
+  /** @type {Baseline} */
+  let baseline = {
+    version: BASELINE_VERSION,
+    duplicateDependencies: [],
+    unpinnedDependencies: [],
+  };
+  for (let key of BASELINE_KEYS) {
+    let entriesByKey = new Map(
+      entries[key].map(({ workspace, name, specifier }) => [
+        getEntryKey({ workspace, name, specifier }),
+        { workspace, name, specifier },
+      ]),
+    );
+    baseline[key] = [...entriesByKey.values()].sort(
+      (a, b) =>
+        a.name.localeCompare(b.name) ||
+        a.specifier.localeCompare(b.specifier) ||
+        a.workspace.localeCompare(b.workspace),
+    );
+  }
+  return baseline;
+}
+
+/**
+ * Checks the shape of a parsed baseline file
+ *
+ * @param {unknown} value
+ * @returns {string | undefined} - Why the baseline is invalid, if it is
+ */
+export function validateBaseline(value) {
+  if (typeof value !== "object" || value === null || Array.isArray(value)) {
+    return "Expected an object";
+  }
+  let { version } = /** @type {Record<string, unknown>} */ (value);
+  if (version !== BASELINE_VERSION) {
+    return `Unsupported version: ${version}, expected ${BASELINE_VERSION}`;
+  }
+  for (let key of BASELINE_KEYS) {
+    let entries = value[key];
+    if (
+      !Array.isArray(entries) ||
+      !entries.every(
+        (entry) =>
+          typeof entry?.workspace === "string" &&
+          typeof entry.name === "string" &&
+          typeof entry.specifier === "string",
+      )
+    ) {
+      return `Expected "${key}" to be a list of {workspace, name, specifier}`;
+    }
+  }
+}
+
+/**
+ * @param {Baseline} baseline
+ * @param {BaselineKey} key
+ * @param {BaselineEntry} entry
+ * @returns {boolean}
+ */
+export function isBaselined(baseline, key, entry) {
+  let entryKey = getEntryKey(entry);
+  return baseline[key].some((baselined) => getEntryKey(baselined) === entryKey);
+}
+
+/**
+ * Splits the baseline into the entries that are still found, and the ones
+ * that have been fixed since (which can be removed from the baseline)
+ *
+ * @param {Baseline} baseline
+ * @param {Record<BaselineKey, Array<BaselineEntry>>} current - Every finding of the current check
+ * @returns {{baseline: Baseline, fixed: Record<BaselineKey, Array<BaselineEntry>>}}
+ */
+export function pruneBaseline(baseline, current) {
+  let remaining = createBaseline(baseline);
+  /** @type {Record<BaselineKey, Array<BaselineEntry>>} */
+  let fixed = { duplicateDependencies: [], unpinnedDependencies: [] };
+  for (let key of BASELINE_KEYS) {
+    let currentKeys = new Set(current[key].map(getEntryKey));
+    fixed[key] = remaining[key].filter(
+      (entry) => !currentKeys.has(getEntryKey(entry)),
+    );
+    remaining[key] = remaining[key].filter((entry) =>
+      currentKeys.has(getEntryKey(entry)),
+    );
+  }
+  return { baseline: remaining, fixed };
+}
@@ -0,0 +1,18 @@
+/**
+ * ANSI colors for terminal output, which leave the text as-is when disabled
+ *
+ * @param {boolean} enabled
+ */
+export function createColors(enabled) {
+  let color = (/** @type {number} */ open, /** @type {number} */ close) =>
+    function colorize(/** @type {string} */ text) {
+      return enabled ? `\u001b[${open}m${text}\u001b[${close}m` : text;
+    };
+
+  return {
+    bold: color(1, 22),
+    red: color(31, 39),
+    green: color(32, 39),
+    yellow: color(33, 39),
+  };
+}
@@ -0,0 +1,70 @@
+import { existsSync } from "node:fs";
+import { createRequire } from "node:module";
+import path from "node:path";
+
+/**
+ * @typedef {import("../one-version.mjs").Config} Config
+ */
+
+/**
+ * Config keys listing entries, which are concatenated rather than replaced
+ */
+let LIST_KEYS = ["rules", "bannedDependencies", "allowedDependencies"];
+
+/**
+ * Resolves an entry of `extends` to a file path. Relative paths are resolved
+ * from the directory of the extending config file, anything else is treated
+ * as a package (or a file within it, e.g. `@acme/one-version-config/strict.json`)
+ * and resolved through `node_modules` from the root directory.
+ *
+ * @param {string} specifier - e.g. `./base.json` or `@acme/one-version-config`
+ * @param {object} options
+ * @param {string} options.configPath - The extending config file
+ * @param {string} options.rootDirectory
+ * @returns {string | undefined} - `undefined` if the file or package can't be found
+ */
+export function resolveExtends(specifier, { configPath, rootDirectory }) {
+  if (/^\.\.?($|[\\/])/.test(specifier) || path.isAbsolute(specifier)) {
+    let filePath = path.resolve(path.dirname(configPath), specifier);
+    return existsSync(filePath) ? filePath : undefined;
+  }
+  try {
+    return createRequire(path.join(rootDirectory, "package.json")).resolve(
+      specifier,
+    );
+  } catch {
+    return;
+  }
+}
+
+/**
+ * Merges a config over the config it extends:
+ *
+ * - `overrides` are merged by dependency and then by version, so a config can
+ *   add to or replace the overrides of a single dependency
+ * - `rules`, `bannedDependencies` and `allowedDependencies` are concatenated,
+ *   with the entries of the extending config last (so its rules win ties)
+ * - Any other key is replaced
+ *
+ * @param {Partial<Config>} base
+ * @param {Partial<Config>} config
+ * @returns {Partial<Config>}
+ */
+export function mergeConfigs(base, config) {
+  let merged = { ...base, ...config };
+  if (base.overrides && config.overrides) {
+    merged.overrides = { ...base.overrides };
+    for (let [packageKey, versions] of Object.entries(config.overrides)) {
+      merged.overrides[packageKey] = {
+        ...base.overrides[packageKey],
+        ...versions,
+      };
+    }
+  }
+  for (let key of LIST_KEYS) {
+    if (base[key] && config[key]) {
+      merged[key] = [...base[key], ...config[key]];
+    }
+  }
+  return merged;
+}
@@ -0,0 +1,303 @@
+import { findNodeLocation } from "./json-edit.mjs";
+import { parse, printParseErrorCode } from "./jsonc-parser.mjs";
+
+/**
+ * The subset of JSON Schema used by `schema.json`
+ *
+ * @typedef {object} Schema
+ * @property {string} [$ref] - Only local references are supported, e.g. `#/$defs/dependencyPolicy`
+ * @property {'string' | 'boolean' | 'number' | 'object' | 'array'} [type]
+ * @property {Array<unknown>} [enum]
+ * @property {'date'} [format]
+ * @property {Record<string, Schema>} [properties]
+ * @property {Record<string, Schema>} [patternProperties]
+ * @property {Schema | false} [additionalProperties]
+ * @property {Array<string>} [required]
+ * @property {Schema} [items]
+ * @property {Array<Schema>} [oneOf]
+ * @property {Record<string, Schema>} [$defs]
+ *
+ * @typedef {object} SchemaError
+ * @property {Array<string | number>} jsonPath
+ * @property {string} message
+ * @property {boolean} [atKey] - Whether the error points at the property key, rather than its value
+ *
+ * @typedef {object} ConfigError
+ * @property {number} line - One-based
+ * @property {number} column - One-based
+ * @property {string} message
+ */
+
+/**
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function getEditDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    let current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Finds the closest candidate to a (likely misspelled) value, if any is close
+ * enough, e.g. `versionStratgy` -> `versionStrategy`
+ *
+ * @param {string} value
+ * @param {Array<string>} candidates
+ * @returns {string | undefined}
+ */
+export function getSuggestion(value, candidates) {
+  let maxDistance = Math.max(2, Math.floor(value.length / 3));
+  let suggestion;
+  let suggestionDistance = Number.POSITIVE_INFINITY;
+  for (let candidate of candidates) {
+    let distance = getEditDistance(
+      value.toLowerCase(),
+      candidate.toLowerCase(),
+    );
+    if (distance <= maxDistance && distance < suggestionDistance) {
+      suggestion = candidate;
+      suggestionDistance = distance;
+    }
+  }
+  return suggestion;
+}
+
+/**
+ * @param {unknown} value
+ * @returns {string}
+ */
+function getType(value) {
+  if (Array.isArray(value)) {
+    return "array";
+  }
+  if (value === null) {
+    return "null";
+  }
+  return typeof value;
+}
+
+/**
+ * @param {string} type
+ * @returns {string} e.g. `an array`
+ */
+function withArticle(type) {
+  return /^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`;
+}
+
+/**
+ * @param {Array<string | number>} jsonPath
+ * @returns {string} e.g. `"overrides.react"`
+ */
+function formatPath(jsonPath) {
+  return jsonPath.length === 0 ? "the config" : `"${jsonPath.join(".")}"`;
+}
+
+/**
+ * Validates the value against the schema, collecting every error
+ *
+ * @param {unknown} value
+ * @param {Schema} schema
+ * @param {object} options
+ * @param {Schema} options.root - The schema `$ref`s are resolved against
+ * @param {Array<string | number>} options.jsonPath
+ * @param {Array<SchemaError>} options.errors
+ */
+function validateValue(value, schema, { root, jsonPath, errors }) {
+  let resolve = (/** @type {Schema} */ subschema) =>
+    subschema.$ref
+      ? (root.$defs?.[subschema.$ref.replace("#/$defs/", "")] ?? {})
+      : subschema;
+  let resolvedSchema = resolve(schema);
+
+  if (resolvedSchema.oneOf) {
+    // the variants of `schema.json` differ by type, e.g. the array and object
+    // forms of overrides, so validate against the variant matching the type
+    let variants = resolvedSchema.oneOf.map(resolve);
+    let variant = variants.find(({ type }) => !type || type === getType(value));
+    if (!variant) {
+      errors.push({
+        jsonPath,
+        message: `Expected ${formatPath(jsonPath)} to be ${variants
+          .map(({ type }) => withArticle(String(type)))
+          .join(" or ")}`,
+      });
+      return;
+    }
+    validateValue(value, variant, { root, jsonPath, errors });
+    return;
+  }
+
+  if (resolvedSchema.type && resolvedSchema.type !== getType(value)) {
+    errors.push({
+      jsonPath,
+      message: `Expected ${formatPath(jsonPath)} to be ${withArticle(resolvedSchema.type)}`,
+    });
+    return;
+  }
+
+  if (resolvedSchema.enum && !resolvedSchema.enum.includes(value)) {
+    let suggestion =
+      typeof value === "string"
+        ? getSuggestion(value, resolvedSchema.enum.map(String))
+        : undefined;
+    errors.push({
+      jsonPath,
+      message: `Invalid value ${JSON.stringify(value)} for ${formatPath(jsonPath)}, expected one of: ${resolvedSchema.enum
+        .map((option) => JSON.stringify(option))
+        .join(", ")}${suggestion ? `. Did you mean "${suggestion}"?` : ""}`,
+    });
+    return;
+  }
+
+  if (
+    resolvedSchema.format === "date" &&
+    !/^\d{4}-\d{2}-\d{2}$/.test(String(value))
+  ) {
+    errors.push({
+      jsonPath,
+      message: `Expected ${formatPath(jsonPath)} to be a date, e.g. "2025-06-30"`,
+    });
+    return;
+  }
+
+  if (Array.isArray(value) && resolvedSchema.items) {
+    for (let [index, item] of value.entries()) {
+      validateValue(item, resolvedSchema.items, {
+        root,
+        jsonPath: [...jsonPath, index],
+        errors,
+      });
+    }
+    return;
+  }
+
+  if (getType(value) !== "object") {
+    return;
+  }
+  let object = /** @type {Record<string, unknown>} */ (value);
+  for (let property of resolvedSchema.required ?? []) {
+    if (!Object.hasOwn(object, property)) {
+      errors.push({
+        jsonPath,
+        message: `Missing required property "${property}" within ${formatPath(jsonPath)}`,
+      });
+    }
+  }
+  for (let [property, propertyValue] of Object.entries(object)) {
+    let propertySchema =
+      resolvedSchema.properties?.[property] ??
+      Object.entries(resolvedSchema.patternProperties ?? {}).find(([pattern]) =>
+        new RegExp(pattern).test(property),
+      )?.[1] ??
+      (resolvedSchema.additionalProperties || undefined);
+    let propertyPath = [...jsonPath, property];
+    if (propertySchema) {
+      validateValue(propertyValue, propertySchema, {
+        root,
+        jsonPath: propertyPath,
+        errors,
+      });
+    } else if (resolvedSchema.patternProperties) {
+      errors.push({
+        jsonPath: propertyPath,
+        atKey: true,
+        message: `Invalid property "${property}" within ${formatPath(jsonPath)}`,
+      });
+    } else if (resolvedSchema.additionalProperties === false) {
+      let suggestion = getSuggestion(
+        property,
+        Object.keys(resolvedSchema.properties ?? {}),
+      );
+      errors.push({
+        jsonPath: propertyPath,
+        atKey: true,
+        message: `Unknown property "${property}"${
+          jsonPath.length > 0 ? ` within ${formatPath(jsonPath)}` : ""
+        }${suggestion ? `. Did you mean "${suggestion}"?` : ""}`,
+      });
+    }
+  }
+}
+
+/**
+ * @param {unknown} value
+ * @param {Schema} schema
+ * @returns {Array<SchemaError>}
+ */
+export function validateConfig(value, schema) {
+  /** @type {Array<SchemaError>} */
+  let errors = [];
+  validateValue(value, schema, { root: schema, jsonPath: [], errors });
+  return errors;
+}
+
+/**
+ * @param {string} text
+ * @param {number} offset
+ * @returns {{line: number, column: number}} - One-based
+ */
+function getPosition(text, offset) {
+  let lines = text.slice(0, offset).split("\n");
+  return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+}
+
+/**
+ * Parses a JSON(C) config file and validates it against the schema, with the
+ * (one-based) line and column of each error within the text
+ *
+ * @param {string} text
+ * @param {Schema} schema
+ * @param {Array<string>} [configPath] - Where the config is within the file, e.g. `["one-version"]` within package.json
+ * @returns {{config: unknown, errors: Array<ConfigError>}}
+ */
+export function parseConfig(text, schema, configPath = []) {
+  /** @type {Array<{error: number, offset: number, length: number}>} */
+  let parseErrors = [];
+  let config = configPath.reduce(
+    (value, key) => value?.[key],
+    parse(text, parseErrors, { allowTrailingComma: true }),
+  );
+  if (parseErrors.length > 0) {
+    // the parser recovers from errors, so only the first one is meaningful
+    let [{ error, offset }] = parseErrors;
+    return {
+      config,
+      errors: [
+        {
+          ...getPosition(text, offset),
+          message: `Syntax error: ${printParseErrorCode(error)
+            .replace(/([a-z])([A-Z])/g, "$1 $2")
+            .toLowerCase()}`,
+        },
+      ],
+    };
+  }
+  return {
+    config,
+    errors: validateConfig(config, schema).map(
+      ({ jsonPath, message, atKey }) => {
+        let location = findNodeLocation(text, [...configPath, ...jsonPath]);
+        if (!location) {
+          return { line: 1, column: 1, message };
+        }
+        return {
+          line: (atKey ? location.keyLine : location.line) + 1,
+          column: (atKey ? location.keyColumn : location.column) + 1,
+          message,
+        };
+      },
+    ),
+  };
+}
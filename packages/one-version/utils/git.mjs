@@ -0,0 +1,61 @@
+import { execFileSync } from "node:child_process";
+
+/**
+ * Runs a git command within a directory
+ *
+ * @param {Array<string>} args
+ * @param {object} options
+ * @param {string} options.cwd
+ * @returns {string} - The output of the command
+ * @throws {Error} If git fails, with git's error output as the message
+ */
+function git(args, { cwd }) {
+  try {
+    return execFileSync("git", args, {
+      cwd,
+      encoding: "utf8",
+      stdio: ["ignore", "pipe", "pipe"],
+      maxBuffer: 64 * 1024 * 1024,
+    });
+  } catch (error) {
+    throw new Error(error.stderr?.trim() || error.message);
+  }
+}
+
+/**
+ * Lists the files changed since the merge base of `ref` and `HEAD`, including
+ * uncommitted and untracked files, like a pull request against `ref` would
+ *
+ * @param {object} options
+ * @param {string} options.cwd
+ * @param {string} options.ref - e.g. `origin/main`
+ * @returns {{base: string, files: Array<string>}} - `base` is the merge base commit, `files` are relative to `cwd` (and only within it)
+ * @throws {Error} If `cwd` isn't within a git repo, or `ref` can't be found
+ */
+export function getChangedFiles({ cwd, ref }) {
+  let base = git(["merge-base", ref, "HEAD"], { cwd }).trim();
+  let files = [
+    ...git(["diff", "--name-only", "--relative", "-z", base], { cwd }).split(
+      "\0",
+    ),
+    ...git(["ls-files", "--others", "--exclude-standard", "-z"], {
+      cwd,
+    }).split("\0"),
+  ].filter(Boolean);
+  return { base, files: [...new Set(files)] };
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.cwd
+ * @param {string} options.ref
+ * @param {string} options.filePath - Relative to `cwd`, using `/`
+ * @returns {string | undefined} - `undefined` if the file didn't exist at `ref`
+ */
+export function readFileAtRef({ cwd, ref, filePath }) {
+  try {
+    return git(["show", `${ref}:./${filePath}`], { cwd });
+  } catch {
+    return;
+  }
+}
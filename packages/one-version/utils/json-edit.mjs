@@ -0,0 +1,189 @@
+import { visit } from "./jsonc-parser.mjs";
+
+/**
+ * @typedef {object} NodeLocation
+ * @property {number} offset - Offset of the value within the text
+ * @property {number} length - Length of the value (including quotes for strings)
+ * @property {number} line - Zero-based line of the value
+ * @property {number} column - Zero-based column of the value
+ * @property {number} keyLine - Zero-based line of the property key
+ * @property {number} keyColumn - Zero-based column of the property key
+ */
+
+function isSamePath(a, b) {
+  return a.length === b.length && a.every((segment, i) => segment === b[i]);
+}
+
+/**
+ * Finds the location of the value at `jsonPath` within the given JSON(C)
+ * text, e.g. `["devDependencies", "typescript"]`. For objects and arrays, the
+ * location only covers the opening bracket.
+ *
+ * @param {string} text
+ * @param {Array<string | number>} jsonPath
+ * @returns {NodeLocation | undefined}
+ */
+export function findNodeLocation(text, jsonPath) {
+  let location;
+  let key;
+  let onValue = (offset, length, line, column, getPath) => {
+    if (!location && isSamePath(getPath(), jsonPath)) {
+      location = {
+        offset,
+        length,
+        line,
+        column,
+        keyLine: key?.line ?? line,
+        keyColumn: key?.column ?? column,
+      };
+    }
+  };
+  visit(text, {
+    onObjectProperty(name, _offset, _length, line, column, getPath) {
+      if (isSamePath([...getPath(), name], jsonPath)) {
+        key = { line, column };
+      }
+    },
+    onObjectBegin: onValue,
+    onArrayBegin: onValue,
+    onLiteralValue(_value, ...rest) {
+      onValue(...rest);
+    },
+  });
+  return location;
+}
+
+/**
+ * Replaces literal values within the given JSON(C) text, leaving the rest of
+ * the text (key order, whitespace, comments) untouched.
+ *
+ * @param {string} text
+ * @param {Array<{jsonPath: Array<string | number>, value: unknown}>} edits
+ * @returns {string}
+ */
+export function replaceValues(text, edits) {
+  let replacements = edits
+    .map(({ jsonPath, value }) => ({
+      location: findNodeLocation(text, jsonPath),
+      value,
+    }))
+    // only literal values can be replaced
+    .filter(
+      ({ location }) =>
+        location !== undefined && !"{[".includes(text[location.offset]),
+    )
+    // apply from the end of the file so earlier offsets stay valid
+    .sort((a, b) => b.location.offset - a.location.offset);
+
+  let result = text;
+  for (let { location, value } of replacements) {
+    result =
+      result.slice(0, location.offset) +
+      JSON.stringify(value) +
+      result.slice(location.offset + location.length);
+  }
+  return result;
+}
+
+/**
+ * Finds the ranges of text to remove for the property at `jsonPath`: the key
+ * and value (along with their line, if nothing else is on it) and the comma
+ * separating it from its siblings
+ *
+ * @param {string} text
+ * @param {Array<string | number>} jsonPath
+ * @returns {Array<{start: number, end: number}>}
+ */
+function findPropertyRanges(text, jsonPath) {
+  let parentPath = jsonPath.slice(0, -1);
+  let keyOffset;
+  let valueEnd;
+  let previousComma;
+  let containers = [];
+  let onContainerBegin = (_offset, _length, _line, _column, getPath) => {
+    containers.push(getPath());
+  };
+  let onContainerEnd = (offset, length) => {
+    if (isSamePath(containers.pop(), jsonPath) && keyOffset !== undefined) {
+      valueEnd ??= offset + length;
+    }
+  };
+  visit(text, {
+    onObjectBegin: onContainerBegin,
+    onArrayBegin: onContainerBegin,
+    onObjectEnd: onContainerEnd,
+    onArrayEnd: onContainerEnd,
+    onObjectProperty(name, offset, _length, _line, _column, getPath) {
+      let path = getPath();
+      if (isSamePath(path, parentPath) && keyOffset === undefined) {
+        if (name === jsonPath.at(-1)) {
+          keyOffset = offset;
+        } else {
+          // only commas after a sibling can separate it from this property
+          previousComma = undefined;
+        }
+      }
+    },
+    onLiteralValue(_value, offset, length, _line, _column, getPath) {
+      if (keyOffset !== undefined && isSamePath(getPath(), jsonPath)) {
+        valueEnd ??= offset + length;
+      }
+    },
+    onSeparator(character, offset) {
+      if (
+        character === "," &&
+        keyOffset === undefined &&
+        isSamePath(containers.at(-1) ?? [], parentPath)
+      ) {
+        previousComma = offset;
+      }
+    },
+  });
+  if (keyOffset === undefined || valueEnd === undefined) {
+    return [];
+  }
+
+  let start = keyOffset;
+  let end = valueEnd;
+  let trailingComma = /^[ \t]*,/.exec(text.slice(end));
+  if (trailingComma) {
+    end += trailingComma[0].length;
+  }
+  // remove the whole line (including any trailing comment) if the property is
+  // on its own line
+  let lineStart = text.lastIndexOf("\n", start - 1) + 1;
+  let restOfLine = /^[ \t]*(?:\/\/[^\n]*)?(?:\r?\n|$)/.exec(text.slice(end));
+  if (/^[ \t]*$/.test(text.slice(lineStart, start)) && restOfLine) {
+    start = lineStart;
+    end += restOfLine[0].length;
+  }
+
+  let ranges = [{ start, end }];
+  if (!trailingComma && previousComma !== undefined) {
+    // the last property, so remove the comma before it instead
+    ranges.push({ start: previousComma, end: previousComma + 1 });
+  }
+  return ranges;
+}
+
+/**
+ * Removes properties from the given JSON(C) text, leaving the rest of the
+ * text (key order, whitespace, comments) untouched.
+ *
+ * @param {string} text
+ * @param {Array<Array<string | number>>} jsonPaths - e.g. `[["overrides", "react"]]`
+ * @returns {string}
+ */
+export function removeProperties(text, jsonPaths) {
+  let result = text;
+  // re-parse after each removal, since removing siblings can share a comma
+  for (let jsonPath of jsonPaths) {
+    let ranges = findPropertyRanges(result, jsonPath).sort(
+      (a, b) => b.start - a.start,
+    );
+    for (let { start, end } of ranges) {
+      result = result.slice(0, start) + result.slice(end);
+    }
+  }
+  return result;
+}
@@ -31,6 +31,35 @@ const ScanError = {
   InvalidCharacter: 6,
 };
 
+export const ParseErrorCode = {
+  InvalidSymbol: 1,
+  InvalidNumberFormat: 2,
+  PropertyNameExpected: 3,
+  ValueExpected: 4,
+  ColonExpected: 5,
+  CommaExpected: 6,
+  CloseBraceExpected: 7,
+  CloseBracketExpected: 8,
+  EndOfFileExpected: 9,
+  InvalidCommentToken: 10,
+  UnexpectedEndOfComment: 11,
+  UnexpectedEndOfString: 12,
+  UnexpectedEndOfNumber: 13,
+  InvalidUnicode: 14,
+  InvalidEscapeCharacter: 15,
+  InvalidCharacter: 16,
+};
+
+/**
+ * Returns the name of the error code, e.g. `CommaExpected`
+ */
+export function printParseErrorCode(code) {
+  return (
+    Object.keys(ParseErrorCode).find((name) => ParseErrorCode[name] === code) ??
+    "<unknown ParseErrorCode>"
+  );
+}
+
 /**
  * Parses the given text and returns the object the JSON content represents. On invalid input, the parser tries to be as fault tolerant as possible, but still return a result.
  * Therefore always check the errors list to find out if the input was valid.
@@ -0,0 +1,420 @@
+import { existsSync, readFileSync } from "node:fs";
+import path from "node:path";
+
+import { parse as parseJSONC } from "./jsonc-parser.mjs";
+import { parse as parseYAML } from "./yaml-parser.mjs";
+
+/**
+ * Each supported lockfile is normalized into the same graph of installed
+ * packages, so that the resolved version of every dependency (direct or
+ * transitive) can be compared regardless of the package manager.
+ *
+ * @typedef {string} PackageId - Unique (per lockfile) id of an installed copy of a package
+ *
+ * @typedef {object} LockfilePackage
+ * @property {string} name
+ * @property {string} version
+ * @property {Record<string, PackageId>} dependencies - Resolved dependencies of this copy
+ *
+ * @typedef {object} Lockfile
+ * @property {string} path - Absolute path to the lockfile
+ * @property {Record<PackageId, LockfilePackage>} packages
+ * @property {Record<string, Record<string, PackageId>>} importers - Resolved dependencies of each workspace, keyed by the workspace path relative to the root (`.` for the root)
+ * @property {Record<string, PackageId>} descriptors - Resolved `name@specifier` pairs, used for lockfiles without importers (yarn)
+ */
+
+let DEPENDENCY_FIELDS = [
+  "dependencies",
+  "devDependencies",
+  "optionalDependencies",
+  "peerDependencies",
+];
+
+/**
+ * Splits `name@version` into its parts, supporting scoped packages
+ *
+ * @param {string} identifier
+ * @returns {[string, string]}
+ */
+function splitIdentifier(identifier) {
+  let separatorIndex = identifier.indexOf("@", 1);
+  return [
+    identifier.slice(0, separatorIndex),
+    identifier.slice(separatorIndex + 1),
+  ];
+}
+
+/**
+ * @param {string} relativePath
+ * @returns {string}
+ */
+function toImporterPath(relativePath) {
+  return relativePath === "" ? "." : relativePath.split(path.sep).join("/");
+}
+
+// MARK: npm
+/**
+ * Supports `package-lock.json` v2 and v3, which contain a flat `packages` map
+ * keyed by install location, e.g. `node_modules/a/node_modules/b`
+ *
+ * @param {string} text
+ * @returns {Omit<Lockfile, 'path'>}
+ */
+function parseNpmLockfile(text) {
+  let { packages: entries = {} } = JSON.parse(text);
+
+  /**
+   * Mirrors node's module resolution, walking up the `node_modules` folders
+   * from the location of the dependent
+   */
+  function resolve(from, name) {
+    let base = from;
+    while (true) {
+      let candidate = base
+        ? `${base}/node_modules/${name}`
+        : `node_modules/${name}`;
+      if (entries[candidate] && !entries[candidate].link) {
+        return candidate;
+      }
+      if (!base) {
+        return;
+      }
+      let nestedIndex = base.lastIndexOf("/node_modules/");
+      base = nestedIndex === -1 ? "" : base.slice(0, nestedIndex);
+    }
+  }
+
+  function getDependencies(location, entry) {
+    let dependencies = {};
+    for (let field of DEPENDENCY_FIELDS) {
+      for (let name of Object.keys(entry[field] || {})) {
+        let id = resolve(location, name);
+        if (id) {
+          dependencies[name] = id;
+        }
+      }
+    }
+    return dependencies;
+  }
+
+  let packages = {};
+  let importers = {};
+  for (let [location, entry] of Object.entries(entries)) {
+    let nodeModulesIndex = location.lastIndexOf("node_modules/");
+    if (nodeModulesIndex === -1) {
+      // workspaces (and the root) aren't installed within node_modules
+      importers[toImporterPath(location)] = getDependencies(location, entry);
+      continue;
+    }
+    if (entry.link) {
+      continue;
+    }
+    packages[location] = {
+      name:
+        entry.name || location.slice(nodeModulesIndex + "node_modules/".length),
+      version: entry.version,
+      dependencies: getDependencies(location, entry),
+    };
+  }
+  return { packages, importers, descriptors: {} };
+}
+
+// MARK: bun
+/**
+ * Splits a bun package key into the package names it's nested under, e.g.
+ * `@img/sharp/@emnapi/runtime` -> [`@img/sharp`, `@emnapi/runtime`]
+ *
+ * @param {string} key
+ * @returns {Array<string>}
+ */
+function splitBunKey(key) {
+  let segments = key.split("/");
+  let names = [];
+  for (let i = 0; i < segments.length; i++) {
+    if (segments[i].startsWith("@") && i + 1 < segments.length) {
+      names.push(`${segments[i]}/${segments[i + 1]}`);
+      i++;
+    } else {
+      names.push(segments[i]);
+    }
+  }
+  return names;
+}
+
+/**
+ * Supports the text based `bun.lock` format, packages are keyed by name and
+ * nested copies are keyed by the path of their dependents, e.g. `react-dom/scheduler`
+ *
+ * @param {string} text
+ * @returns {Omit<Lockfile, 'path'>}
+ */
+function parseBunLockfile(text) {
+  let { workspaces = {}, packages: entries = {} } = parseJSONC(text, [], {
+    allowTrailingComma: true,
+  });
+
+  function resolve(parents, name) {
+    for (let i = parents.length; i >= 0; i--) {
+      let candidate = [...parents.slice(0, i), name].join("/");
+      if (entries[candidate]) {
+        return candidate;
+      }
+    }
+  }
+
+  function getDependencies(parents, manifest) {
+    let dependencies = {};
+    for (let field of DEPENDENCY_FIELDS) {
+      for (let name of Object.keys(manifest?.[field] || {})) {
+        let id = resolve(parents, name);
+        if (id) {
+          dependencies[name] = id;
+        }
+      }
+    }
+    return dependencies;
+  }
+
+  let packages = {};
+  for (let [key, [identifier, , info]] of Object.entries(entries)) {
+    let [name, version] = splitIdentifier(identifier);
+    if (version.startsWith("workspace:")) {
+      continue;
+    }
+    packages[key] = {
+      name,
+      version,
+      dependencies: getDependencies(splitBunKey(key), info),
+    };
+  }
+
+  let importers = {};
+  for (let [location, manifest] of Object.entries(workspaces)) {
+    // copies specific to a workspace are nested under the workspace name
+    importers[toImporterPath(location)] = getDependencies(
+      manifest.name && location !== "" ? [manifest.name] : [],
+      manifest,
+    );
+  }
+  return { packages, importers, descriptors: {} };
+}
+
+// MARK: pnpm
+/**
+ * Supports `pnpm-lock.yaml` v6 and later
+ *
+ * @param {string} text
+ * @returns {Omit<Lockfile, 'path'>}
+ */
+function parsePnpmLockfile(text) {
+  let lockfile = /** @type {any} */ (parseYAML(text)) || {};
+  let isV9 = Boolean(lockfile.snapshots);
+  // v9 separates package metadata (`packages`) and resolved dependencies (`snapshots`)
+  let entries = (isV9 ? lockfile.snapshots : lockfile.packages) || {};
+
+  function toId(name, version) {
+    return isV9 ? `${name}@${version}` : `/${name}@${version}`;
+  }
+
+  function getDependencies(entry) {
+    let dependencies = {};
+    for (let field of DEPENDENCY_FIELDS) {
+      for (let [name, value] of Object.entries(entry?.[field] || {})) {
+        // importers use `{specifier, version}`, packages use the version directly
+        let version = typeof value === "string" ? value : value?.version;
+        if (!version || version.startsWith("link:")) {
+          continue;
+        }
+        let id = toId(name, version);
+        if (entries[id]) {
+          dependencies[name] = id;
+        }
+      }
+    }
+    return dependencies;
+  }
+
+  let packages = {};
+  for (let [id, entry] of Object.entries(entries)) {
+    let [name, version] = splitIdentifier(isV9 ? id : id.slice(1));
+    packages[id] = {
+      name,
+      // strip peer dependency suffixes, e.g. `18.3.1(react@18.3.1)`
+      version: version.replace(/\(.*$/, ""),
+      dependencies: getDependencies(entry),
+    };
+  }
+
+  let importers = {};
+  // single package repos on older lockfile versions don't have importers
+  for (let [location, entry] of Object.entries(
+    lockfile.importers || { ".": lockfile },
+  )) {
+    importers[location] = getDependencies(entry);
+  }
+  return { packages, importers, descriptors: {} };
+}
+
+// MARK: yarn
+/**
+ * Parses the yarn v1 (classic) lockfile format, which is similar to YAML but
+ * not quite, e.g.:
+ *
+ * "js-tokens@^3.0.0 || ^4.0.0", js-tokens@^4.0.0:
+ *   version "4.0.0"
+ *   dependencies:
+ *     loose-envify "^1.1.0"
+ *
+ * @param {string} text
+ * @returns {Record<string, Record<string, any>>}
+ */
+function parseYarnClassicEntries(text) {
+  let entries = {};
+  let current = null;
+  let currentField = null;
+  for (let line of text.split(/\r?\n/)) {
+    if (line.trim() === "" || line.trimStart().startsWith("#")) {
+      continue;
+    }
+    let indent = line.length - line.trimStart().length;
+    let content = line.trim();
+    if (indent === 0) {
+      current = {};
+      for (let descriptor of content.replace(/:$/, "").split(/,\s*/)) {
+        entries[descriptor.replace(/^"|"$/g, "")] = current;
+      }
+      continue;
+    }
+    if (!current) {
+      continue;
+    }
+    let match = /^("[^"]+"|[^\s]+)(?:\s+(.*))?$/.exec(content);
+    if (!match) {
+      continue;
+    }
+    let key = match[1].replace(/^"|"$/g, "");
+    let value = match[2]?.replace(/^"|"$/g, "");
+    if (indent === 2) {
+      if (key.endsWith(":") && value === undefined) {
+        currentField = key.slice(0, -1);
+        current[currentField] = {};
+      } else {
+        currentField = null;
+        current[key] = value;
+      }
+    } else if (currentField) {
+      current[currentField][key] = value;
+    }
+  }
+  return entries;
+}
+
+/**
+ * Supports both yarn classic (v1) and yarn berry (v2+) lockfiles, which map
+ * descriptors (`name@specifier`) to the resolved package
+ *
+ * @param {string} text
+ * @returns {Omit<Lockfile, 'path'>}
+ */
+function parseYarnLockfile(text) {
+  let isBerry = /^__metadata:/m.test(text);
+  let entries = isBerry
+    ? /** @type {Record<string, any>} */ (parseYAML(text))
+    : parseYarnClassicEntries(text);
+
+  let descriptors = {};
+  let resolvedEntries = {};
+  for (let [key, entry] of Object.entries(entries)) {
+    if (key === "__metadata") {
+      continue;
+    }
+    // berry joins multiple descriptors within a single (quoted) key
+    let keyDescriptors = isBerry ? key.split(/,\s*/) : [key];
+    let [name] = splitIdentifier(keyDescriptors[0]);
+    let id = isBerry ? entry.resolution : `${name}@${entry.version}`;
+    resolvedEntries[id] = { name, entry };
+    for (let descriptor of keyDescriptors) {
+      descriptors[descriptor] = id;
+    }
+  }
+
+  function getDependencies(entry) {
+    let dependencies = {};
+    for (let field of ["dependencies", "optionalDependencies"]) {
+      for (let [name, specifier] of Object.entries(entry[field] || {})) {
+        let id = descriptors[`${name}@${specifier}`];
+        if (id) {
+          dependencies[name] = id;
+        }
+      }
+    }
+    return dependencies;
+  }
+
+  let packages = {};
+  let importers = {};
+  for (let [id, { name, entry }] of Object.entries(resolvedEntries)) {
+    let [, reference] = splitIdentifier(id);
+    if (reference.startsWith("workspace:")) {
+      importers[reference.slice("workspace:".length)] = getDependencies(entry);
+      continue;
+    }
+    packages[id] = {
+      name,
+      version: entry.version,
+      dependencies: getDependencies(entry),
+    };
+  }
+  return { packages, importers, descriptors };
+}
+
+// MARK: Read Lockfile
+let LOCKFILES = {
+  bun: [["bun.lock", parseBunLockfile]],
+  npm: [
+    ["package-lock.json", parseNpmLockfile],
+    ["npm-shrinkwrap.json", parseNpmLockfile],
+  ],
+  pnpm: [["pnpm-lock.yaml", parsePnpmLockfile]],
+  "yarn-classic": [["yarn.lock", parseYarnLockfile]],
+  "yarn-berry": [["yarn.lock", parseYarnLockfile]],
+};
+
+/**
+ * Reads and normalizes the lockfile for the given package manager
+ *
+ * @param {object} options
+ * @param {string} options.rootDirectory
+ * @param {string} options.packageManager
+ * @returns {Lockfile | undefined} - `undefined` if no (supported) lockfile exists
+ */
+export function readLockfile({ rootDirectory, packageManager }) {
+  for (let [fileName, parseLockfile] of LOCKFILES[packageManager] || []) {
+    let lockfilePath = path.join(rootDirectory, fileName);
+    if (existsSync(lockfilePath)) {
+      return {
+        path: lockfilePath,
+        ...parseLockfile(readFileSync(lockfilePath, { encoding: "utf8" })),
+      };
+    }
+  }
+}
+
+/**
+ * Resolves a dependency declared by a workspace to the installed package
+ *
+ * @param {object} options
+ * @param {Lockfile} options.lockfile
+ * @param {string} options.importerPath - Path of the workspace relative to the root
+ * @param {string} options.name
+ * @param {string} options.specifier
+ * @returns {LockfilePackage | undefined}
+ */
+export function resolveDependency({ lockfile, importerPath, name, specifier }) {
+  let id =
+    lockfile.importers[toImporterPath(importerPath)]?.[name] ??
+    lockfile.descriptors[`${name}@${specifier}`] ??
+    // yarn berry prefixes registry specifiers with the `npm:` protocol
+    lockfile.descriptors[`${name}@npm:${specifier}`];
+  return id ? lockfile.packages[id] : undefined;
+}
@@ -0,0 +1,217 @@
+import { isSubset, parseRange } from "./semver.mjs";
+
+/**
+ * @typedef {import("../one-version.mjs").Overrides} Overrides
+ *
+ * A single `package -> version -> workspaces` entry within `overrides`
+ * @typedef {object} OverrideEntry
+ * @property {string} packageKey - e.g. `react` or `@types/*`
+ * @property {string} versionKey - e.g. `17.0.2` or `17.x`
+ * @property {Array<string>} workspaces
+ * @property {string} [reason]
+ * @property {string} [owner]
+ * @property {string} [expires]
+ */
+
+/**
+ * Converts a glob to a regular expression, where `*` matches anything other
+ * than `/`, `**` matches anything and `?` matches a single character
+ *
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+function globToRegExp(pattern) {
+  let source = "";
+  for (let i = 0; i < pattern.length; i++) {
+    let char = pattern[i];
+    if (char === "*" && pattern[i + 1] === "*") {
+      source += ".*";
+      i++;
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Whether the value matches the glob, a plain `*` matches everything
+ * (including scoped names, e.g. `@acme/pkg-a`)
+ *
+ * @param {string} value
+ * @param {string} pattern
+ * @returns {boolean}
+ */
+export function matchesGlob(value, pattern) {
+  if (pattern === "*" || pattern === value) {
+    return true;
+  }
+  if (!/[*?]/.test(pattern)) {
+    return false;
+  }
+  return globToRegExp(pattern).test(value);
+}
+
+/**
+ * Whether the version key is written as a range: an x-range (e.g. `17.x` or
+ * `*`), comparators (e.g. `>=17 <18`), a hyphen range or a union. Keys like
+ * `^18.2.0` or `17.0.2` aren't, they only match that exact specifier.
+ *
+ * @param {string} key
+ * @returns {boolean}
+ */
+function isRangeKey(key) {
+  return /(?:^|[\s.])[xX*](?:[\s.]|$)|[<>=]|\s-\s|\|\|/.test(key);
+}
+
+/**
+ * Whether the specifier is covered by the version key of an override, either
+ * matching exactly or being within the key's range, e.g. `17.0.2` and
+ * `^17.0.2` are both covered by `17.x` or `>=17 <18`
+ *
+ * @param {string} specifier
+ * @param {string} key
+ * @returns {boolean}
+ */
+export function matchesVersionKey(specifier, key) {
+  if (specifier === key) {
+    return true;
+  }
+  if (!isRangeKey(key)) {
+    return false;
+  }
+  let keyRange = parseRange(key);
+  let range = keyRange && parseRange(specifier);
+  return Boolean(range && isSubset(range, keyRange));
+}
+
+/**
+ * Flattens the overrides into a list of entries, supporting both the array
+ * (`"17.0.2": ["pkg-a"]`) and object (`"17.0.2": {"workspaces": ["pkg-a"]}`)
+ * forms
+ *
+ * @param {Overrides | undefined} overrides
+ * @returns {Array<OverrideEntry>}
+ */
+export function getOverrideEntries(overrides) {
+  return Object.entries(overrides || {}).flatMap(([packageKey, versions]) =>
+    Object.entries(versions).map(([versionKey, value]) => ({
+      packageKey,
+      versionKey,
+      ...(Array.isArray(value) ? { workspaces: value } : value),
+    })),
+  );
+}
+
+/**
+ * Whether the workspace's specifier for the package is matched by the entry
+ *
+ * @param {OverrideEntry} entry
+ * @param {object} options
+ * @param {string} options.packageName
+ * @param {string} options.specifier
+ * @param {string} options.workspaceName
+ * @returns {boolean}
+ */
+export function matchesOverrideEntry(
+  entry,
+  { packageName, specifier, workspaceName },
+) {
+  return (
+    matchesGlob(packageName, entry.packageKey) &&
+    matchesVersionKey(specifier, entry.versionKey) &&
+    (entry.workspaces ?? []).some((pattern) =>
+      matchesGlob(workspaceName, pattern),
+    )
+  );
+}
+
+/**
+ * Whether the entry's `expires` date has passed, dates without a time (e.g.
+ * `2025-06-30`) expire at the end of that day (UTC)
+ *
+ * @param {OverrideEntry} entry
+ * @param {number} [now]
+ * @returns {boolean}
+ */
+export function isOverrideExpired({ expires }, now = Date.now()) {
+  if (!expires) {
+    return false;
+  }
+  let expiresAt = Date.parse(expires);
+  if (/^\d{4}-\d{2}-\d{2}$/.test(expires)) {
+    expiresAt += 24 * 60 * 60 * 1000;
+  }
+  return !Number.isNaN(expiresAt) && now >= expiresAt;
+}
+
+/**
+ * Whether the workspace is allowed to use the specifier for the package.
+ *
+ * Package keys may be globs (e.g. `@types/*`), version keys may be ranges (e.g.
+ * `17.x`), and workspace entries may be globs of workspace names (e.g.
+ * `@acme/legacy-*`). Globs of workspace paths (e.g. `apps/*`) are matched once
+ * the workspaces are known, see `resolveOverrideWorkspaces`.
+ *
+ * @param {object} options
+ * @param {Overrides | undefined} options.overrides
+ * @param {string} options.packageName
+ * @param {string} options.specifier
+ * @param {string} options.workspaceName
+ * @returns {boolean}
+ */
+export function isOverridden({
+  overrides,
+  packageName,
+  specifier,
+  workspaceName,
+}) {
+  return getOverrideEntries(overrides).some((entry) =>
+    matchesOverrideEntry(entry, { packageName, specifier, workspaceName }),
+  );
+}
+
+/**
+ * Adds the names of workspaces whose path (relative to the root of the repo)
+ * matches a workspace entry, e.g. `apps/*` -> `apps/*`, `web`, `docs`
+ *
+ * @param {object} options
+ * @param {Overrides | undefined} options.overrides
+ * @param {Array<{name: string, path: string}>} options.workspaces - Paths are relative to the root of the repo
+ * @returns {Overrides | undefined}
+ */
+export function resolveOverrideWorkspaces({ overrides, workspaces }) {
+  if (!overrides) {
+    return overrides;
+  }
+  let resolvePatterns = (patterns = []) => [
+    ...patterns,
+    ...workspaces
+      .filter(
+        (workspace) =>
+          !patterns.includes(workspace.name) &&
+          patterns.some(
+            (pattern) =>
+              pattern.includes("/") && matchesGlob(workspace.path, pattern),
+          ),
+      )
+      .map((workspace) => workspace.name),
+  ];
+  return Object.fromEntries(
+    Object.entries(overrides).map(([packageKey, versions]) => [
+      packageKey,
+      Object.fromEntries(
+        Object.entries(versions).map(([versionKey, value]) => [
+          versionKey,
+          Array.isArray(value)
+            ? resolvePatterns(value)
+            : { ...value, workspaces: resolvePatterns(value.workspaces) },
+        ]),
+      ),
+    ]),
+  );
+}
@@ -0,0 +1,62 @@
+import { matchesGlob } from "./overrides.mjs";
+import { intersects, isSubset, parseRange } from "./semver.mjs";
+
+/**
+ * @typedef {import("../one-version.mjs").DependencyPolicy} DependencyPolicy
+ *
+ * @typedef {object} Dependency
+ * @property {string} packageName
+ * @property {string} specifier
+ */
+
+/**
+ * Whether the specifier matches the `version` of a policy.
+ *
+ * Semver ranges are compared with semver ranges, banning any specifier that
+ * may resolve within the range (e.g. `^4.17.0` for `<4.17.21`), but only
+ * allowing specifiers that always resolve within it. Otherwise the version is
+ * a glob of specifiers where `*` matches anything, e.g. `git*` matches
+ * `git+https://github.com/acme/pkg.git`
+ *
+ * @param {string} specifier
+ * @param {string} version
+ * @param {object} options
+ * @param {boolean} options.partial - Whether an intersecting range matches
+ * @returns {boolean}
+ */
+function matchesPolicyVersion(specifier, version, { partial }) {
+  let versionRange = parseRange(version);
+  let range = versionRange && parseRange(specifier);
+  if (versionRange && range) {
+    return partial
+      ? intersects(range, versionRange)
+      : isSubset(range, versionRange);
+  }
+  return matchesGlob(specifier, version.replace(/\*+/g, "**"));
+}
+
+/**
+ * @param {DependencyPolicy} policy - An entry within `bannedDependencies`
+ * @param {Dependency} dependency
+ * @returns {boolean}
+ */
+export function isBannedBy(policy, { packageName, specifier }) {
+  return (
+    matchesGlob(packageName, policy.name) &&
+    (!policy.version ||
+      matchesPolicyVersion(specifier, policy.version, { partial: true }))
+  );
+}
+
+/**
+ * @param {DependencyPolicy} policy - An entry within `allowedDependencies`
+ * @param {Dependency} dependency
+ * @returns {boolean}
+ */
+export function isAllowedBy(policy, { packageName, specifier }) {
+  return (
+    matchesGlob(packageName, policy.name) &&
+    (!policy.version ||
+      matchesPolicyVersion(specifier, policy.version, { partial: false }))
+  );
+}
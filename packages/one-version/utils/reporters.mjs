@@ -0,0 +1,188 @@
+import { existsSync, readFileSync } from "node:fs";
+import path from "node:path";
+
+import { findNodeLocation } from "./json-edit.mjs";
+
+/**
+ * @typedef {import("../one-version.mjs").ReportContext} ReportContext
+ */
+
+function getWorkspaceLabel(workspace) {
+  return workspace.name ?? "(root)";
+}
+
+/**
+ * Deno workspaces may only have a deno.json(c) file
+ */
+function getManifestPath(workspace) {
+  let packageJSONPath = path.join(workspace.path, "package.json");
+  if (workspace.denoConfigPath && !existsSync(packageJSONPath)) {
+    return workspace.denoConfigPath;
+  }
+  return packageJSONPath;
+}
+
+function toRelativeURI(rootDirectory, filePath) {
+  return path.relative(rootDirectory, filePath).split(path.sep).join("/");
+}
+
+/**
+ * Finds the manifest and (1-based) line and column of the first location the
+ * dependency is declared at
+ *
+ * @param {import("../one-version.mjs").Finding} finding
+ */
+function getDependencyRegion({ workspace, locations }) {
+  for (let { manifestPath, jsonPath } of locations) {
+    if (!manifestPath || !existsSync(manifestPath)) {
+      continue;
+    }
+    let text = readFileSync(manifestPath, { encoding: "utf8" });
+    let location = findNodeLocation(text, jsonPath);
+    if (location) {
+      return {
+        manifestPath,
+        region: {
+          startLine: location.keyLine + 1,
+          startColumn: location.keyColumn + 1,
+        },
+      };
+    }
+  }
+  return { manifestPath: getManifestPath(workspace) };
+}
+
+// MARK: SARIF
+/**
+ * Reports findings in the SARIF 2.1.0 format, used by code scanning tools to
+ * annotate each offending package.json entry
+ *
+ * @see https://docs.oasis-open.org/sarif/sarif/v2.1.0/sarif-v2.1.0.html
+ *
+ * @param {ReportContext} context
+ * @returns {Array<string>}
+ */
+export function sarifReporter(context) {
+  let { version } = JSON.parse(
+    readFileSync(new URL("../package.json", import.meta.url), {
+      encoding: "utf8",
+    }),
+  );
+  let results = context.findings.map((finding) => {
+    let { rule, message, level = "error" } = finding;
+    let { manifestPath, region } = getDependencyRegion(finding);
+    return {
+      ruleId: rule,
+      level,
+      message: { text: message },
+      locations: [
+        {
+          physicalLocation: {
+            artifactLocation: {
+              uri: toRelativeURI(context.rootDirectory, manifestPath),
+              uriBaseId: "%SRCROOT%",
+            },
+            ...(region ? { region } : {}),
+          },
+        },
+      ],
+    };
+  });
+
+  let sarif = {
+    $schema: "https://json.schemastore.org/sarif-2.1.0.json",
+    version: "2.1.0",
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: "one-version",
+            informationUri: "https://one-version.vercel.app/",
+            version,
+            rules: Object.entries(context.rules).map(
+              ([id, { name, description }]) => ({
+                id,
+                name,
+                shortDescription: { text: description },
+              }),
+            ),
+          },
+        },
+        results,
+      },
+    ],
+  };
+  return [JSON.stringify(sarif, null, 2)];
+}
+
+// MARK: JUnit
+function escapeXML(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+/**
+ * Reports findings as JUnit XML, with a test suite per rule and a test case
+ * per workspace within each suite
+ *
+ * @param {ReportContext} context
+ * @returns {Array<string>}
+ */
+export function junitReporter(context) {
+  let { findings, rules } = context;
+
+  let suites = Object.entries(rules).map(([rule, { name, workspaces }]) => {
+    let testcases = workspaces.map((workspace) => {
+      // JUnit has no notion of warnings, so they're left out
+      let failures = findings.filter(
+        (finding) =>
+          finding.rule === rule &&
+          finding.workspace === workspace &&
+          finding.level !== "warning",
+      );
+      let file = toRelativeURI(
+        context.rootDirectory,
+        getManifestPath(workspace),
+      );
+      let attributes = `classname="one-version.${rule}" name="${escapeXML(getWorkspaceLabel(workspace))}" file="${escapeXML(file)}"`;
+      if (failures.length === 0) {
+        return { failed: false, xml: `    <testcase ${attributes} />` };
+      }
+      return {
+        failed: true,
+        xml: [
+          `    <testcase ${attributes}>`,
+          `      <failure type="${rule}" message="${escapeXML(`${name} (${failures.length})`)}">${escapeXML(
+            failures.map(({ message }) => message).join("\n"),
+          )}</failure>`,
+          "    </testcase>",
+        ].join("\n"),
+      };
+    });
+    let failureCount = testcases.filter(({ failed }) => failed).length;
+    return {
+      tests: testcases.length,
+      failures: failureCount,
+      xml: [
+        `  <testsuite name="${rule}" tests="${testcases.length}" failures="${failureCount}">`,
+        ...testcases.map(({ xml }) => xml),
+        "  </testsuite>",
+      ].join("\n"),
+    };
+  });
+
+  let tests = suites.reduce((sum, suite) => sum + suite.tests, 0);
+  let failures = suites.reduce((sum, suite) => sum + suite.failures, 0);
+  return [
+    [
+      `<?xml version="1.0" encoding="UTF-8"?>`,
+      `<testsuites name="one-version" tests="${tests}" failures="${failures}">`,
+      ...suites.map(({ xml }) => xml),
+      "</testsuites>",
+    ].join("\n"),
+  ];
+}
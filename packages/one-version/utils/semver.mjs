@@ -0,0 +1,537 @@
+/**
+ * A semver engine covering the version and range syntax used within
+ * package.json files (as implemented by npm's `semver` package), used to
+ * compare, match and intersect declared specifiers.
+ *
+ * @typedef {object} SemVer
+ * @property {number} major
+ * @property {number} minor
+ * @property {number} patch
+ * @property {Array<string>} prerelease
+ *
+ * @typedef {object} Comparator
+ * @property {'<' | '<=' | '>' | '>=' | '='} operator
+ * @property {SemVer} version
+ *
+ * A range is a union (`||`) of comparator sets, a version satisfies the range
+ * if it satisfies every comparator within any of the sets
+ * @typedef {Array<Array<Comparator>>} Range
+ */
+
+let VERSION_REGEX =
+  /^v?(\d+|[xX*])(?:\.(\d+|[xX*]))?(?:\.(\d+|[xX*]))?(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+
+function toNumber(part) {
+  if (part === undefined || part === "x" || part === "X" || part === "*") {
+    return 0;
+  }
+  return Number(part);
+}
+
+/**
+ * Parses a (possibly partial) version, e.g. `18`, `18.3` or `18.3.1-canary.0`.
+ * Missing or wildcard parts are treated as `0`.
+ *
+ * @param {string} version
+ * @returns {SemVer | null}
+ */
+export function parseVersion(version) {
+  let match = VERSION_REGEX.exec(version.trim());
+  if (!match) {
+    return null;
+  }
+  let [, major, minor, patch, prerelease] = match;
+  return {
+    major: toNumber(major),
+    minor: toNumber(minor),
+    patch: toNumber(patch),
+    prerelease: prerelease ? prerelease.split(".") : [],
+  };
+}
+
+function compareIdentifiers(a, b) {
+  let aIsNumber = /^\d+$/.test(a);
+  let bIsNumber = /^\d+$/.test(b);
+  if (aIsNumber && bIsNumber) {
+    return Math.sign(Number(a) - Number(b));
+  }
+  // numeric identifiers always have lower precedence than alphanumeric ones
+  if (aIsNumber) {
+    return -1;
+  }
+  if (bIsNumber) {
+    return 1;
+  }
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * @param {SemVer} a
+ * @param {SemVer} b
+ * @returns {-1 | 0 | 1}
+ */
+export function compareVersions(a, b) {
+  for (let key of ["major", "minor", "patch"]) {
+    if (a[key] !== b[key]) {
+      return a[key] > b[key] ? 1 : -1;
+    }
+  }
+  // a version without a prerelease has higher precedence than one with
+  if (a.prerelease.length === 0 || b.prerelease.length === 0) {
+    return /** @type {-1 | 0 | 1} */ (
+      Math.sign(b.prerelease.length - a.prerelease.length)
+    );
+  }
+  let length = Math.max(a.prerelease.length, b.prerelease.length);
+  for (let i = 0; i < length; i++) {
+    if (a.prerelease[i] === undefined) {
+      return -1;
+    }
+    if (b.prerelease[i] === undefined) {
+      return 1;
+    }
+    let result = compareIdentifiers(a.prerelease[i], b.prerelease[i]);
+    if (result !== 0) {
+      return /** @type {-1 | 0 | 1} */ (result);
+    }
+  }
+  return 0;
+}
+
+/**
+ * @param {SemVer} version
+ * @returns {string}
+ */
+export function formatVersion({ major, minor, patch, prerelease }) {
+  let version = `${major}.${minor}.${patch}`;
+  return prerelease.length > 0 ? `${version}-${prerelease.join(".")}` : version;
+}
+
+/**
+ * Returns the lowest version a simple specifier can resolve to, e.g.
+ * `^5.4` -> `5.4.0`, `~1.2.3` -> `1.2.3`, `>=2` -> `2.0.0`.
+ *
+ * Returns `null` for specifiers that aren't a plain version or a single
+ * range (tags, protocols, unions, etc.)
+ *
+ * @param {string} specifier
+ * @returns {SemVer | null}
+ */
+export function getMinimumVersion(specifier) {
+  let trimmed = specifier.trim().replace(/^npm:.+@/, "");
+  if (trimmed.includes(" ")) {
+    return null;
+  }
+  return parseVersion(trimmed.replace(/^(\^|~|>=|=)/, ""));
+}
+
+/**
+ * Parses a specifier that's an exact version, e.g. `18.3.1` or `=18.3.1`
+ *
+ * @param {string} specifier
+ * @returns {SemVer | null} - `null` for ranges, partial versions, tags, etc.
+ */
+export function parseExactVersion(specifier) {
+  let range = parseRange(specifier);
+  if (range?.length === 1 && range[0].length === 1) {
+    let [{ operator, version }] = range[0];
+    return operator === "=" ? version : null;
+  }
+  return null;
+}
+
+// MARK: Ranges
+/**
+ * Parses a version that may be partial or contain wildcards, keeping track of
+ * which parts were missing, e.g. `1.x` -> `{major: 1, minor: null, ...}`
+ */
+function parsePartialVersion(version) {
+  let match = VERSION_REGEX.exec(version);
+  if (!match) {
+    return null;
+  }
+  let [, major, minor, patch, prerelease] = match;
+  let toPart = (part) =>
+    part === undefined || /^[xX*]$/.test(part) ? null : Number(part);
+  let parts = [toPart(major), toPart(minor), toPart(patch)];
+  // anything after a wildcard is also a wildcard, e.g. `1.x.3` -> `1.x.x`
+  let wildcardIndex = parts.indexOf(null);
+  if (wildcardIndex !== -1) {
+    parts.fill(null, wildcardIndex);
+  }
+  return {
+    major: parts[0],
+    minor: parts[1],
+    patch: parts[2],
+    prerelease: prerelease && parts[2] !== null ? prerelease.split(".") : [],
+  };
+}
+
+function toVersion(major, minor, patch, prerelease = []) {
+  return { major, minor, patch, prerelease };
+}
+
+/**
+ * The lowest version that is greater than every version matching the partial,
+ * e.g. `1.2` -> `1.3.0-0`, `1` -> `2.0.0-0`
+ */
+function getUpperBound({ major, minor }) {
+  if (minor === null) {
+    return toVersion(major + 1, 0, 0, ["0"]);
+  }
+  return toVersion(major, minor + 1, 0, ["0"]);
+}
+
+/**
+ * @param {string} operator
+ * @param {ReturnType<typeof parsePartialVersion>} partial
+ * @returns {Array<Comparator>}
+ */
+function toComparators(operator, partial) {
+  let { major, minor, patch, prerelease } = partial;
+  let isPartial = patch === null;
+  let lower = toVersion(major ?? 0, minor ?? 0, patch ?? 0, prerelease);
+
+  if (major === null) {
+    // `*`, `x`, `>=*` match everything, `<*` and `>*` match nothing
+    return operator === "<" || operator === ">"
+      ? [{ operator: "<", version: toVersion(0, 0, 0, ["0"]) }]
+      : [{ operator: ">=", version: toVersion(0, 0, 0) }];
+  }
+
+  switch (operator) {
+    case "^": {
+      let upper;
+      if (major > 0 || minor === null) {
+        upper = toVersion(major + 1, 0, 0, ["0"]);
+      } else if (minor > 0 || patch === null) {
+        upper = toVersion(0, minor + 1, 0, ["0"]);
+      } else {
+        upper = toVersion(0, 0, patch + 1, ["0"]);
+      }
+      return [
+        { operator: ">=", version: lower },
+        { operator: "<", version: upper },
+      ];
+    }
+    case "~": {
+      return [
+        { operator: ">=", version: lower },
+        {
+          operator: "<",
+          version: getUpperBound({ major, minor }),
+        },
+      ];
+    }
+    case ">": {
+      return isPartial
+        ? [{ operator: ">=", version: getUpperBound(partial) }]
+        : [{ operator: ">", version: lower }];
+    }
+    case ">=": {
+      return [{ operator: ">=", version: lower }];
+    }
+    case "<": {
+      return [
+        {
+          operator: "<",
+          version: isPartial
+            ? toVersion(lower.major, lower.minor, 0, ["0"])
+            : lower,
+        },
+      ];
+    }
+    case "<=": {
+      return isPartial
+        ? [{ operator: "<", version: getUpperBound(partial) }]
+        : [{ operator: "<=", version: lower }];
+    }
+    default: {
+      // plain (or `=`) versions, partial versions are x-ranges
+      return isPartial
+        ? [
+            { operator: ">=", version: lower },
+            { operator: "<", version: getUpperBound(partial) },
+          ]
+        : [{ operator: "=", version: lower }];
+    }
+  }
+}
+
+/**
+ * Parses a range of versions, e.g. `^18.2.0`, `>=1.2 <2`, `1.x || 2.0.0 - 2.3`
+ *
+ * Returns `null` for specifiers that aren't a range (tags, protocols, etc.)
+ *
+ * @param {string} range
+ * @returns {Range | null}
+ */
+export function parseRange(range) {
+  let sets = [];
+  for (let part of range.split("||")) {
+    let trimmed = part.trim();
+    let hyphen = /^(\S+)\s+-\s+(\S+)$/.exec(trimmed);
+    if (hyphen) {
+      let from = parsePartialVersion(hyphen[1]);
+      let to = parsePartialVersion(hyphen[2]);
+      if (!from || !to) {
+        return null;
+      }
+      sets.push([
+        ...toComparators(">=", from),
+        ...(to.major === null ? [] : toComparators("<=", to)),
+      ]);
+      continue;
+    }
+    let comparators = [];
+    let tokens = trimmed
+      // allow whitespace between the operator and version, e.g. `>= 1.2.3`
+      .replace(/(<=|>=|<|>|=|\^|~>?)\s+/g, "$1")
+      .split(/\s+/)
+      .filter(Boolean);
+    if (tokens.length === 0) {
+      tokens = ["*"];
+    }
+    for (let token of tokens) {
+      let [, operator, version] = /^(<=|>=|<|>|=|\^|~>?)?(.*)$/.exec(token);
+      let partial = parsePartialVersion(version);
+      if (!partial) {
+        return null;
+      }
+      comparators.push(
+        ...toComparators(operator === "~>" ? "~" : (operator ?? "="), partial),
+      );
+    }
+    sets.push(comparators);
+  }
+  return sets;
+}
+
+/**
+ * @param {SemVer} version
+ * @param {Comparator} comparator
+ * @returns {boolean}
+ */
+function testComparator(version, { operator, version: target }) {
+  let result = compareVersions(version, target);
+  switch (operator) {
+    case "<":
+      return result < 0;
+    case "<=":
+      return result <= 0;
+    case ">":
+      return result > 0;
+    case ">=":
+      return result >= 0;
+    default:
+      return result === 0;
+  }
+}
+
+/**
+ * Whether the version satisfies the range. Like npm, prerelease versions only
+ * satisfy ranges that include a prerelease of the same `major.minor.patch`.
+ *
+ * @param {SemVer} version
+ * @param {Range} range
+ * @returns {boolean}
+ */
+export function satisfies(version, range) {
+  return range.some((comparators) => {
+    if (
+      !comparators.every((comparator) => testComparator(version, comparator))
+    ) {
+      return false;
+    }
+    if (version.prerelease.length === 0) {
+      return true;
+    }
+    return comparators.some(
+      ({ version: target }) =>
+        target.prerelease.length > 0 &&
+        // ignore the `-0` upper bounds added for exclusive ranges
+        !(target.prerelease.length === 1 && target.prerelease[0] === "0") &&
+        target.major === version.major &&
+        target.minor === version.minor &&
+        target.patch === version.patch,
+    );
+  });
+}
+
+// MARK: Intersections
+/**
+ * @typedef {{version: SemVer, inclusive: boolean} | null} Bound - `null` if unbounded
+ *
+ * Returns the tightest lower and upper bounds of a comparator set
+ *
+ * @param {Array<Comparator>} comparators
+ * @returns {{lower: Bound, upper: Bound}}
+ */
+function getBounds(comparators) {
+  let lower = null;
+  let upper = null;
+  for (let { operator, version } of comparators) {
+    if (operator !== "<" && operator !== "<=") {
+      let result = lower ? compareVersions(version, lower.version) : 1;
+      if (result > 0 || (result === 0 && operator === ">")) {
+        lower = { version, inclusive: operator !== ">" };
+      }
+    }
+    if (operator !== ">" && operator !== ">=") {
+      let result = upper ? compareVersions(version, upper.version) : -1;
+      if (result < 0 || (result === 0 && operator === "<")) {
+        upper = { version, inclusive: operator !== "<" };
+      }
+    }
+  }
+  return { lower, upper };
+}
+
+/**
+ * Whether any version satisfies every comparator within the set, e.g.
+ * `>=1.2.0 <2.0.0-0` is satisfiable while `>=2.0.0 <1.0.0` isn't.
+ *
+ * Prereleases are treated like any other version here, so `>1.0.0 <1.0.1-0`
+ * is considered satisfiable even though only prereleases match it.
+ *
+ * @param {Array<Comparator>} comparators
+ * @returns {boolean}
+ */
+function isSatisfiable(comparators) {
+  let { lower, upper } = getBounds(comparators);
+  if (!lower || !upper) {
+    return true;
+  }
+  let result = compareVersions(lower.version, upper.version);
+  return result < 0 || (result === 0 && lower.inclusive && upper.inclusive);
+}
+
+/**
+ * Whether every version within the `inner` comparator set is also within the
+ * `outer` one
+ *
+ * @param {Array<Comparator>} inner
+ * @param {Array<Comparator>} outer
+ * @returns {boolean}
+ */
+function isSubsetOfSet(inner, outer) {
+  let innerBounds = getBounds(inner);
+  let outerBounds = getBounds(outer);
+  if (outerBounds.lower) {
+    if (!innerBounds.lower) {
+      return false;
+    }
+    let result = compareVersions(
+      innerBounds.lower.version,
+      outerBounds.lower.version,
+    );
+    if (
+      result < 0 ||
+      (result === 0 &&
+        innerBounds.lower.inclusive &&
+        !outerBounds.lower.inclusive)
+    ) {
+      return false;
+    }
+  }
+  if (outerBounds.upper) {
+    if (!innerBounds.upper) {
+      return false;
+    }
+    let result = compareVersions(
+      innerBounds.upper.version,
+      outerBounds.upper.version,
+    );
+    if (
+      result > 0 ||
+      (result === 0 &&
+        innerBounds.upper.inclusive &&
+        !outerBounds.upper.inclusive)
+    ) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Whether every version satisfying `inner` also satisfies `outer`, e.g.
+ * `^17.0.2` and `17.0.2` are subsets of `17.x`, while `>=17` isn't
+ *
+ * @param {Range} inner
+ * @param {Range} outer
+ * @returns {boolean}
+ */
+export function isSubset(inner, outer) {
+  return inner
+    .filter(isSatisfiable)
+    .every((innerSet) =>
+      outer.some((outerSet) => isSubsetOfSet(innerSet, outerSet)),
+    );
+}
+
+/**
+ * Returns the range of versions satisfying both ranges, which is empty (`[]`)
+ * if the ranges don't intersect
+ *
+ * @param {Range} a
+ * @param {Range} b
+ * @returns {Range}
+ */
+export function intersectRanges(a, b) {
+  return a
+    .flatMap((setA) => b.map((setB) => [...setA, ...setB]))
+    .filter(isSatisfiable);
+}
+
+/**
+ * Whether any version satisfies both ranges, e.g. `^18.2.0` and `>=18.3`
+ * intersect, while `^17` and `^18` don't
+ *
+ * @param {Range} a
+ * @param {Range} b
+ * @returns {boolean}
+ */
+export function intersects(a, b) {
+  return intersectRanges(a, b).length > 0;
+}
+
+/**
+ * Returns the lowest version that could satisfy the range, e.g. `^5.4` ->
+ * `5.4.0` or `<2` -> `0.0.0`
+ *
+ * @param {Range} range
+ * @returns {SemVer | null} - `null` for empty ranges
+ */
+export function getLowestVersion(range) {
+  let lowest = null;
+  for (let comparators of range.filter(isSatisfiable)) {
+    let lower = toVersion(0, 0, 0);
+    for (let { operator, version } of comparators) {
+      if (
+        (operator === ">=" || operator === ">" || operator === "=") &&
+        compareVersions(version, lower) > 0
+      ) {
+        lower = version;
+      }
+    }
+    if (!lowest || compareVersions(lower, lowest) < 0) {
+      lowest = lower;
+    }
+  }
+  return lowest;
+}
+
+/**
+ * Whether every version satisfying the range shares a major version, e.g.
+ * `^18.2.0`, `~18.2.0` and `18.x` are while `>=18` and `17 || 18` aren't
+ *
+ * @param {Range} range
+ * @returns {boolean}
+ */
+export function isWithinMajor(range) {
+  let lowest = getLowestVersion(range);
+  return Boolean(
+    lowest && isSubset(range, parseRange(`${lowest.major}.x`) ?? []),
+  );
+}
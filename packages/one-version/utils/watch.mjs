@@ -0,0 +1,117 @@
+import { watch } from "node:fs";
+import path from "node:path";
+
+/**
+ * The directory a workspace glob matches within, i.e. the segments before the
+ * first wildcard, e.g. `packages` for `packages/*` or `.` for `*`. Globs
+ * without wildcards (e.g. `tools/cli`) match within their parent directory.
+ *
+ * @param {string} glob
+ * @returns {string} - Relative to the root directory
+ */
+export function getGlobRoot(glob) {
+  let segments = glob.replace(/^\.\//, "").replace(/\/$/, "").split("/");
+  let wildcardIndex = segments.findIndex((segment) =>
+    /[*?[\]{}()!]/.test(segment),
+  );
+  let rootSegments =
+    wildcardIndex === -1
+      ? segments.slice(0, -1)
+      : segments.slice(0, wildcardIndex);
+  return rootSegments.join("/") || ".";
+}
+
+/**
+ * Compares the items of two runs, matching them by key
+ *
+ * @template T
+ * @param {Array<T>} previous
+ * @param {Array<T>} current
+ * @param {(item: T) => string} getKey
+ * @returns {{introduced: Array<T>, resolved: Array<T>}} - `introduced` items are only within `current`, `resolved` items only within `previous`
+ */
+export function diffByKey(previous, current, getKey) {
+  let previousKeys = new Set(previous.map(getKey));
+  let currentKeys = new Set(current.map(getKey));
+  return {
+    introduced: current.filter((item) => !previousKeys.has(getKey(item))),
+    resolved: previous.filter((item) => !currentKeys.has(getKey(item))),
+  };
+}
+
+/**
+ * Watches directories (rather than files, since editors often save by
+ * renaming a temporary file over the original), calling `onChange` with the
+ * changed paths once no more changes arrive for `delay` milliseconds
+ *
+ * @param {object} options
+ * @param {(changedPaths: Set<string>) => void} options.onChange
+ * @param {number} [options.delay]
+ */
+export function createWatcher({ onChange, delay = 100 }) {
+  /** @type {Map<string, import("node:fs").FSWatcher>} */
+  let watchers = new Map();
+  /** @type {Set<string>} */
+  let changedPaths = new Set();
+  /** @type {ReturnType<typeof setTimeout> | undefined} */
+  let timeout;
+  let closed = false;
+
+  function unwatch(/** @type {string} */ directory) {
+    watchers.get(directory)?.close();
+    watchers.delete(directory);
+  }
+
+  return {
+    /**
+     * Watches exactly these directories, closing the watchers of any
+     * directories left out. Missing directories are skipped, and nothing is
+     * watched once closed.
+     *
+     * @param {Array<string>} directories - Absolute paths
+     */
+    update(directories) {
+      if (closed) {
+        return;
+      }
+      let nextDirectories = new Set(directories);
+      for (let directory of watchers.keys()) {
+        if (!nextDirectories.has(directory)) {
+          unwatch(directory);
+        }
+      }
+      for (let directory of nextDirectories) {
+        if (watchers.has(directory)) {
+          continue;
+        }
+        let watcher;
+        try {
+          watcher = watch(directory, (_eventType, fileName) => {
+            changedPaths.add(
+              fileName ? path.join(directory, String(fileName)) : directory,
+            );
+            clearTimeout(timeout);
+            timeout = setTimeout(() => {
+              let paths = changedPaths;
+              changedPaths = new Set();
+              onChange(paths);
+            }, delay);
+          });
+        } catch {
+          // e.g. removed since the directories were listed
+          continue;
+        }
+        // e.g. the directory was removed
+        watcher.on("error", () => unwatch(directory));
+        watchers.set(directory, watcher);
+      }
+    },
+    close() {
+      closed = true;
+      clearTimeout(timeout);
+      for (let directory of watchers.keys()) {
+        unwatch(directory);
+      }
+    },
+  };
+}
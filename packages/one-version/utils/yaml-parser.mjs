@@ -0,0 +1,363 @@
+// A minimal YAML parser, supporting the subset of YAML used within lockfiles
+// and workspace config files (e.g. `pnpm-lock.yaml`, `pnpm-workspace.yaml`
+// and yarn berry's `yarn.lock`):
+// - block mappings and sequences
+// - flow mappings and sequences, e.g. `{integrity: sha512-...}` or `[arm64]`
+// - single and double quoted scalars
+// - comments
+//
+// Notably anchors, aliases, tags, multiple documents and block scalars
+// (`|` / `>`) are not supported. Plain scalars are kept as strings (other
+// than `true`, `false` and `null`) since they're almost always versions,
+// e.g. `5.4` should not become the number `5.4`.
+
+/**
+ * @typedef {object} Line
+ * @property {number} indent
+ * @property {string} text
+ * @property {number} lineNumber - One-based line number, used within errors
+ */
+
+/**
+ * Strips a trailing comment from the line, ignoring `#` within quotes
+ *
+ * @param {string} line
+ * @returns {string}
+ */
+function stripComment(line) {
+  let quote = null;
+  for (let i = 0; i < line.length; i++) {
+    let char = line[i];
+    if (quote) {
+      if (char === "\\" && quote === '"') {
+        i++;
+      } else if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === "#" && (i === 0 || /\s/.test(line[i - 1]))) {
+      return line.slice(0, i);
+    }
+  }
+  return line;
+}
+
+/**
+ * @param {string} text
+ * @returns {Array<Line>}
+ */
+function toLines(text) {
+  let lines = [];
+  let rawLines = text.split(/\r?\n/);
+  for (let i = 0; i < rawLines.length; i++) {
+    let line = stripComment(rawLines[i]).trimEnd();
+    let content = line.trimStart();
+    if (content === "" || content === "---") {
+      continue;
+    }
+    lines.push({
+      indent: line.length - content.length,
+      text: content,
+      lineNumber: i + 1,
+    });
+  }
+  return lines;
+}
+
+/**
+ * Reads a quoted string starting at `start`, returning the unquoted value and
+ * the index after the closing quote
+ *
+ * @param {string} text
+ * @param {number} start
+ * @returns {[string, number]}
+ */
+function readQuoted(text, start) {
+  let quote = text[start];
+  let i = start + 1;
+  let value = "";
+  while (i < text.length) {
+    let char = text[i];
+    if (quote === "'") {
+      if (char === "'") {
+        // `''` is an escaped single quote
+        if (text[i + 1] === "'") {
+          value += "'";
+          i += 2;
+          continue;
+        }
+        return [value, i + 1];
+      }
+    } else if (char === "\\") {
+      value += JSON.parse(`"\\${text[i + 1]}"`);
+      i += 2;
+      continue;
+    } else if (char === '"') {
+      return [value, i + 1];
+    }
+    value += char;
+    i++;
+  }
+  throw new SyntaxError(`Unterminated string: ${text.slice(start)}`);
+}
+
+/**
+ * @param {string} value
+ * @returns {string | boolean | null}
+ */
+function toPlainScalar(value) {
+  switch (value) {
+    case "true":
+      return true;
+    case "false":
+      return false;
+    case "null":
+    case "~":
+    case "":
+      return null;
+    default:
+      return value;
+  }
+}
+
+/**
+ * Parses a flow collection or scalar starting at `start`, stopping at any of
+ * the `terminators` (outside of nested collections and quotes)
+ *
+ * @param {string} text
+ * @param {number} start
+ * @param {string} terminators
+ * @returns {[unknown, number]}
+ */
+function parseFlow(text, start, terminators) {
+  let i = start;
+  while (text[i] === " ") {
+    i++;
+  }
+  let char = text[i];
+  if (char === "{" || char === "[") {
+    let isMapping = char === "{";
+    let close = isMapping ? "}" : "]";
+    let result = isMapping ? {} : [];
+    i++;
+    while (i < text.length) {
+      while (text[i] === " " || text[i] === ",") {
+        i++;
+      }
+      if (text[i] === close) {
+        return [result, i + 1];
+      }
+      if (isMapping) {
+        let [key, afterKey] = parseFlow(text, i, `:,${close}`);
+        i = afterKey;
+        let value = null;
+        if (text[i] === ":") {
+          [value, i] = parseFlow(text, i + 1, `,${close}`);
+        }
+        result[String(key)] = value;
+      } else {
+        let value;
+        [value, i] = parseFlow(text, i, `,${close}`);
+        result.push(value);
+      }
+    }
+    throw new SyntaxError(`Unterminated flow collection: ${text}`);
+  }
+  if (char === '"' || char === "'") {
+    let [value, end] = readQuoted(text, i);
+    while (text[end] === " ") {
+      end++;
+    }
+    return [value, end];
+  }
+  let end = i;
+  while (end < text.length) {
+    // within flow mappings, keys are only terminated by `: ` (or `:` at the end)
+    if (
+      terminators.includes(text[end]) &&
+      (text[end] !== ":" || /[\s,}\]]/.test(text[end + 1] ?? " "))
+    ) {
+      break;
+    }
+    end++;
+  }
+  return [toPlainScalar(text.slice(i, end).trim()), end];
+}
+
+/**
+ * @param {string} text
+ * @returns {unknown}
+ */
+function parseScalar(text) {
+  if (text.startsWith("{") || text.startsWith("[")) {
+    return parseFlow(text, 0, "")[0];
+  }
+  if (text.startsWith('"') || text.startsWith("'")) {
+    return readQuoted(text, 0)[0];
+  }
+  return toPlainScalar(text);
+}
+
+/**
+ * Splits `key: value` (or `key:`) into its parts, returns `null` if the text
+ * isn't a mapping entry
+ *
+ * @param {string} text
+ * @returns {[string, string] | null}
+ */
+function splitEntry(text) {
+  if (text.startsWith('"') || text.startsWith("'")) {
+    let [key, end] = readQuoted(text, 0);
+    let rest = text.slice(end).trimStart();
+    if (!rest.startsWith(":")) {
+      return null;
+    }
+    return [key, rest.slice(1).trim()];
+  }
+  if (text.startsWith("{") || text.startsWith("[")) {
+    return null;
+  }
+  let match = /^([^\s].*?):(?:\s+(.*))?$/.exec(text);
+  if (!match) {
+    return null;
+  }
+  return [match[1], (match[2] ?? "").trim()];
+}
+
+/**
+ * @param {Array<Line>} lines
+ * @param {number} index
+ * @param {number} indent
+ * @returns {[unknown, number]}
+ */
+function parseBlock(lines, index, indent) {
+  if (lines[index].text === "-" || lines[index].text.startsWith("- ")) {
+    return parseSequence(lines, index, indent);
+  }
+  return parseMapping(lines, index, indent);
+}
+
+/**
+ * Parses the nested value for an entry without an inline value, e.g. `key:`
+ * or `-`
+ *
+ * @param {Array<Line>} lines
+ * @param {number} index - Index of the line after the entry
+ * @param {number} indent - Indentation of the entry
+ * @param {boolean} allowSameIndentSequence
+ * @returns {[unknown, number]}
+ */
+function parseNested(lines, index, indent, allowSameIndentSequence) {
+  let next = lines[index];
+  if (next && next.indent > indent) {
+    return parseBlock(lines, index, next.indent);
+  }
+  // sequences are allowed at the same indentation as their parent key
+  if (
+    allowSameIndentSequence &&
+    next &&
+    next.indent === indent &&
+    (next.text === "-" || next.text.startsWith("- "))
+  ) {
+    return parseSequence(lines, index, indent);
+  }
+  return [null, index];
+}
+
+/**
+ * @param {Array<Line>} lines
+ * @param {number} index
+ * @param {number} indent
+ * @returns {[Record<string, unknown>, number]}
+ */
+function parseMapping(lines, index, indent) {
+  let result = {};
+  let i = index;
+  while (i < lines.length && lines[i].indent === indent) {
+    let line = lines[i];
+    if (line.text === "-" || line.text.startsWith("- ")) {
+      break;
+    }
+    let entry = splitEntry(line.text);
+    if (!entry) {
+      throw new SyntaxError(
+        `Expected a mapping entry on line ${line.lineNumber}: ${line.text}`,
+      );
+    }
+    let [key, rest] = entry;
+    if (rest === "") {
+      let value;
+      [value, i] = parseNested(lines, i + 1, indent, true);
+      result[key] = value;
+    } else {
+      result[key] = parseScalar(rest);
+      i++;
+    }
+  }
+  if (i < lines.length && lines[i].indent > indent) {
+    throw new SyntaxError(
+      `Unexpected indentation on line ${lines[i].lineNumber}: ${lines[i].text}`,
+    );
+  }
+  return [result, i];
+}
+
+/**
+ * @param {Array<Line>} lines
+ * @param {number} index
+ * @param {number} indent
+ * @returns {[Array<unknown>, number]}
+ */
+function parseSequence(lines, index, indent) {
+  let result = [];
+  let i = index;
+  while (
+    i < lines.length &&
+    lines[i].indent === indent &&
+    (lines[i].text === "-" || lines[i].text.startsWith("- "))
+  ) {
+    let line = lines[i];
+    let item = line.text.slice(1).trimStart();
+    if (item === "") {
+      let value;
+      [value, i] = parseNested(lines, i + 1, indent, false);
+      result.push(value);
+      continue;
+    }
+    if (splitEntry(item)) {
+      // a mapping starting on the same line as the `-`, continued by any
+      // following lines at the same indentation as the first key
+      let itemIndent = indent + (line.text.length - item.length);
+      lines[i] = { ...line, indent: itemIndent, text: item };
+      let value;
+      [value, i] = parseMapping(lines, i, itemIndent);
+      result.push(value);
+      continue;
+    }
+    result.push(parseScalar(item));
+    i++;
+  }
+  return [result, i];
+}
+
+/**
+ * Parses the given YAML text, throws a `SyntaxError` for unsupported or
+ * invalid input
+ *
+ * @param {string} text
+ * @returns {unknown}
+ */
+export function parse(text) {
+  let lines = toLines(text);
+  if (lines.length === 0) {
+    return null;
+  }
+  let [result, index] = parseBlock(lines, 0, lines[0].indent);
+  if (index < lines.length) {
+    throw new SyntaxError(
+      `Unexpected content on line ${lines[index].lineNumber}: ${lines[index].text}`,
+    );
+  }
+  return result;
+}